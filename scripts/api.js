@@ -0,0 +1,94 @@
+/**
+ * PF2e Awesome Macros - Scripting API
+ * Promise-returning, dialog-free versions of every macro for world scripts and other modules.
+ * The macro dialogs are thin UIs on top of these same functions.
+ *
+ * Available as game.pf2eAwedomeMacros.api and game.modules.get("pf2e-awesome-macros-for-gms").api.
+ * Every function takes a single options object; omitted actors default to the module's
+ * usual targeting (selected tokens, targeted tokens, then the party; see 'party.js').
+ *
+ * Example:
+ *   const { api } = game.modules.get("pf2e-awesome-macros-for-gms");
+ *   const award = await api.awardXP({ amount: 80, pace: "normal" });
+ *   await api.applyCondition({ actors: [actor], slug: "frightened", value: 2 });
+ *   await api.undo(award.undoId);
+ */
+
+import { applyXpAward } from './award-xp.js';
+import { calculateEncounterXp } from './encounter-xp.js';
+import { getXpLedger, exportXpLedger } from './xp-ledger.js';
+import { levelUpCharacters, setLevelingPace, syncXpMax } from './leveling.js';
+import { restoreActors } from './full-restore.js';
+import { planOvernightRest } from './rest-planner.js';
+import { applyCondition } from './easy-add-conditions.js';
+import { modifyInitiative } from './apply-initiative-modifier.js';
+import { cleanupCombat } from './quick-combat-cleanup.js';
+import { createEncounter } from './random-encounter-macro.js';
+import { rollRecallKnowledge } from './quick-recall-knowledge.js';
+import { identifyItem } from './identify-item.js';
+import { rollSecretGroupCheck } from './secret-group-check.js';
+import { getRecallMemory, resetRecallMemory } from './recall-memory.js';
+import { setExplorationActivity } from './easy-exploration.js';
+import { resizeTokenTo } from './quick-token-resizer.js';
+import { exportJournals } from './journal-to-html-export.js';
+import { resolveTargets, getPartyMembers, getCompanions, getCompanionMaster, setCompanionMaster } from './party.js';
+import { undoEntry, getJournal } from './undo-journal.js';
+import { sendGMRequest } from './socket.js';
+
+export const api = Object.freeze({
+    // Award XP: { actors, amount, amounts: { [actorUuid]: xp }, pace, resetXp, category, reason, breakdown, chat }
+    awardXP: applyXpAward,
+    // Encounter XP for the current or last encounter: { actors, combat }; pass the result as awardXP's amount (total) and breakdown
+    calculateEncounterXp,
+    // XP ledger: getXpLedger(actor) lists an actor's awards; exportXpLedger({ actors, format: 'csv' | 'json', download })
+    getXpLedger,
+    exportXpLedger,
+    // Leveling: levelUp({ actors, levels, reason, chat }) for milestone leveling; setLevelingPace('fast' | 'normal' | 'slow');
+    // syncXpMax(actors, { undo }) writes the pace's threshold to the characters' XP bars (undoable)
+    levelUp: levelUpCharacters,
+    setLevelingPace,
+    syncXpMax,
+    // Full Restore: { actors, mode: 'night' | 'short' | 'fiat', options: { heal, wounded, fatigued, drained, heroPoints, spells }
+    // or, for 'short', { treatWounds, refocus } plus medic and dc (15, 20, 30 or 40), companions, companionOptions,
+    // optionsByActor: { [actorUuid]: options }, hours, hoursByActor, chat }
+    restore: restoreActors,
+    // Overnight Rest Planner: { actors, watchers: [actor | null per watch], hours, interruptionDC, options, chat }
+    planOvernightRest,
+    // Easy Add Conditions: { actors, slug, value, persistent: { formula, damageType, dc }, chat }
+    applyCondition,
+    // Apply Initiative Modifier: { actors, modifier, combat, chat }
+    applyInitiativeModifier: modifyInitiative,
+    // Quick Combat Cleanup: { scene, endCombat, chat }
+    cleanupCombat,
+    // Random Encounter Generator: { difficulty, trait, rarity, scene, view, chat }
+    generateEncounter: createEncounter,
+    // Quick Recall Knowledge: { actors, skill ("auto" by default), dc, creature, target, chat }
+    recallKnowledge: rollRecallKnowledge,
+    // Recall Knowledge memory: getRecallMemory(actor, creature) returns { name, attempts, facts };
+    // resetRecallMemory({ actors, target }) forgets one creature, or every creature without a target
+    getRecallMemory,
+    resetRecallMemory,
+    // Identify Item (Identify Magic / Identify Alchemy): { actors, target (item, spell effect, hazard, token or UUID), dc, chat }
+    identifyItem,
+    // Secret Group Check: { actors, statistic (skill, 'perception' or save slug), dc, targets, against (e.g. 'stealth'),
+    // dcs: { [targetUuid]: dc }, label, action, traits, chat }
+    secretGroupCheck: rollSecretGroupCheck,
+    // Easy Exploration: { actor, activity, token, chat }
+    setExploration: setExplorationActivity,
+    // Quick Token Resizer: { token, size }
+    resizeToken: resizeTokenTo,
+    // Journal to HTML Export: { folderId, download }
+    exportJournals,
+    // Targeting service: { controlled, targeted, filter } / { filter }
+    resolveTargets,
+    getPartyMembers,
+    // Companion links: getCompanions(master), getCompanionMaster(companion), setCompanionMaster(companion, master | null)
+    getCompanions,
+    getCompanionMaster,
+    setCompanionMaster,
+    // Undo journal: undo(entryId) reverts the operation that returned that undoId
+    undo: undoEntry,
+    getUndoJournal: getJournal,
+    // Player requests: requestGMAction(type, { actorUuids, ... }) asks the active GM to run a tool (see 'player-requests.js')
+    requestGMAction: sendGMRequest
+});
@@ -1,50 +1,33 @@
 /**
  * PF2e Apply Initiative Modifier Macro
- * * Updates the initiative of selected actors or all actors in the 
- * 'Party' folder by a specified amount in the current encounter.
+ * * Updates the initiative of selected/targeted actors or the party
+ * (see 'party.js') by a specified amount in the current encounter.
  * * Requirements: Must be executed when a Combat/Encounter is active.
  */
+
+import { resolveTargets } from './party.js';
+import { UndoOperation, undoButtonHTML } from './undo-journal.js';
+import { callPreHook, callPostHook } from './hooks.js';
+import { localize, format } from './i18n.js';
+
 export const INITIATIVE_MODIFIER_MACRO_NAME = "Apply Initiative Modifier";
 export const INITIATIVE_MODIFIER_MACRO_ICON = "modules/pf2e-awesome-macros-for-gms/assets/apply-initiative-modifier.png";
 
 export async function applyInitiativeModifier() {
-    const macroName = INITIATIVE_MODIFIER_MACRO_NAME;
+    const macroName = localize("Macros.initiativeModifier");
 
-    // Determine the target actors
-    let targets = canvas.tokens.controlled.map(t => t.actor);
+    // Determine the target actors: selected tokens, then targeted tokens, then the party (see 'party.js')
+    let targets = resolveTargets({ targeted: true }).actors;
 
     if (targets.length === 0) {
-        // Try to find an actor Folder named "party" (case-insensitive)
-        const actorFolders = game.folders.filter(f => f.type === 'Actor');
-        const partyFolder = actorFolders.find(f => (f.name || '').toLowerCase() === 'party');
-
-        if (partyFolder) {
-            for (const actor of game.actors.values()) {
-                if (actor.folder?.id === partyFolder.id) {
-                    targets.push(actor);
-                }
-            }
-        }
-
-        // Fallback: if no party folder or it's empty, use player characters / actors with player owners
-        if (targets.length === 0) {
-            for (const actor of game.actors.values()) {
-                if (actor && (actor.type === 'character' || actor.hasPlayerOwner)) {
-                    // actor.hasPlayerOwner is true when at least one player has ownership
-                    targets.push(actor);
-                }
-            }
-        }
-        if (targets.length === 0) {
-            ui.notifications.error('No target actors found (no controlled tokens and no party actors).');
-            return;
-        }
+        ui.notifications.error(localize("Common.NoTargets"));
+        return;
     }
 
     // Filter out non-participants or those not in the current combat
     const combat = game.combat;
     if (!combat) {
-        ui.notifications.warn("There is no active combat to apply an initiative modifier to.");
+        ui.notifications.warn(localize("Initiative.NoCombat"));
         return;
     }
 
@@ -55,22 +38,22 @@ export async function applyInitiativeModifier() {
     });
 
     if (targets.length === 0) {
-        ui.notifications.info("None of the selected or default actors are participants in the current combat.");
+        ui.notifications.info(localize("Initiative.NoParticipants"));
         return;
     }
 
     // Prepare dialog content
     const targetNames = targets.map(a => `<li>${a.name}</li>`).join("");
     const dialogContent = `
-    <p>Apply an Initiative Modifier to the following combatants:</p>
+    <p>${localize("Initiative.Dialog.Intro")}</p>
     <ul style="list-style-type: disc; margin-left: 1.5em; max-height: 150px; overflow-y: auto;">
         ${targetNames}
     </ul>
     <div class="form-group" style="margin-top: 10px;">
-        <label for="modifier">Modifier (e.g., +5, -2):</label>
+        <label for="modifier">${localize("Initiative.Dialog.Modifier")}</label>
         <input type="number" id="modifier" name="modifier" value="" autofocus style="width: 100%; padding: 5px;">
     </div>
-    <p><em>The initiative for each target will be updated by this amount.</em></p>
+    <p><em>${localize("Initiative.Dialog.Hint")}</em></p>
 `;
 
     // Display the dialog
@@ -80,69 +63,111 @@ export async function applyInitiativeModifier() {
         buttons: {
             update: {
                 icon: '<i class="fas fa-running"></i>',
-                label: "Update Initiative",
+                label: localize("Initiative.Dialog.Update"),
                 callback: (html) => {
                     const modifierInput = html.find('#modifier').val();
                     const modifier = parseInt(modifierInput, 10);
 
                     if (isNaN(modifier)) {
-                        ui.notifications.error("Invalid modifier entered. Please enter a number.");
+                        ui.notifications.error(localize("Initiative.InvalidModifier"));
                         return;
                     }
 
-                    const updates = [];
-                    const chatMessages = [];
-
-                    targets.forEach(actor => {
-                        const combatant = combat.getCombatantByActor(actor.id);
-                        if (combatant) {
-                            const oldInitiative = combatant.initiative;
-                            const newInitiative = oldInitiative + modifier;
-
-                            updates.push({
-                                _id: combatant.id,
-                                initiative: newInitiative
-                            });
-
-                            // Prepare chat message content
-                            const sign = modifier >= 0 ? '+' : '';
-                            chatMessages.push(`<strong>${actor.name}</strong>: ${oldInitiative} &rarr; ${newInitiative} (${sign}${modifier})`);
-                        }
-                    });
-
-                    // Update Combatant Initiatives
-                    if (updates.length > 0) {
-                        combat.updateEmbeddedDocuments("Combatant", updates)
-                            .then(() => {
-                                // Post private GM chat message
-                                const chatContent = `
-                                <h3>${macroName} - Initiative Updated</h3>
-                                <p>Applied a modifier of <strong>${modifier >= 0 ? '+' : ''}${modifier}</strong> to the following combatants:</p>
-                                <ul style="list-style-type: none; padding-left: 0;">${chatMessages.map(msg => `<li>${msg}</li>`).join('')}</ul>
-                            `;
-
-                                ChatMessage.create({
-                                    content: chatContent,
-                                    whisper: ChatMessage.getWhisperRecipients('GM'),
-                                    speaker: { alias: macroName }
-                                });
-
-                                ui.notifications.info(`Successfully updated initiative for ${updates.length} combatant(s).`);
-                            })
-                            .catch(err => {
-                                console.error("Failed to update combatant initiatives:", err);
-                                ui.notifications.error("Failed to update combatant initiatives. Check the console for details.");
-                            });
-                    } else {
-                        ui.notifications.info("No combatants were updated.");
-                    }
+                    modifyInitiative({ actors: targets, modifier, combat });
                 }
             },
             cancel: {
                 icon: '<i class="fas fa-times"></i>',
-                label: "Cancel"
+                label: localize("Common.Cancel")
             }
         },
         default: "update"
     }).render(true);
-}
\ No newline at end of file
+}
+
+/**
+ * Adjusts combatant initiative without any dialog. Used by the dialog and the scripting API.
+ * @param {object} params
+ * @param {Actor[]} [params.actors] - Actors whose combatants are adjusted; defaults to the resolved targets (see 'party.js').
+ * @param {number} params.modifier - Amount added to each initiative (may be negative).
+ * @param {Combat} [params.combat=game.combat] - The encounter to update.
+ * @param {boolean} [params.chat=true] - Whisper the report to the GMs.
+ * @returns {Promise<{modifier: number, results: {actor: Actor, combatant: Combatant, before: number, after: number}[]}|null>}
+ * Null if a preModifyInitiative hook cancelled it.
+ */
+export async function modifyInitiative({ actors, modifier, combat = game.combat, chat = true } = {}) {
+    const macroName = localize("Macros.initiativeModifier");
+    actors ??= resolveTargets({ targeted: true }).actors;
+
+    // Let other modules adjust or cancel the change (see 'hooks.js')
+    const params = { actors, modifier, combat };
+    if (!callPreHook("preModifyInitiative", params)) return null;
+    ({ actors, modifier, combat } = params);
+
+    modifier = Number(modifier);
+
+    if (!Number.isFinite(modifier)) {
+        throw new Error("PF2e Awesome Macros | applyInitiativeModifier: modifier must be a number.");
+    }
+    if (!combat) {
+        throw new Error("PF2e Awesome Macros | applyInitiativeModifier: there is no active combat.");
+    }
+
+    const updates = [];
+    const results = [];
+    const chatMessages = [];
+
+    actors.forEach(actor => {
+        const combatant = combat.getCombatantByActor(actor.id);
+        if (combatant) {
+            const oldInitiative = combatant.initiative;
+            const newInitiative = oldInitiative + modifier;
+
+            updates.push({
+                _id: combatant.id,
+                initiative: newInitiative
+            });
+            results.push({ actor, combatant, before: oldInitiative, after: newInitiative });
+
+            // Prepare chat message content
+            const sign = modifier >= 0 ? '+' : '';
+            chatMessages.push(`<strong>${actor.name}</strong>: ${oldInitiative} &rarr; ${newInitiative} (${sign}${modifier})`);
+        }
+    });
+
+    // Update Combatant Initiatives
+    if (updates.length === 0) {
+        if (chat) ui.notifications.info(localize("Initiative.NoneUpdated"));
+        return { modifier, results };
+    }
+
+    const undo = new UndoOperation(format("Initiative.UndoLabel", { modifier: `${modifier >= 0 ? '+' : ''}${modifier}` }));
+    try {
+        await undo.updateEmbedded(combat, "Combatant", updates);
+    } catch (err) {
+        console.error("Failed to update combatant initiatives:", err);
+        ui.notifications.error(localize("Initiative.UpdateFailed"));
+        throw err;
+    }
+    const undoId = await undo.commit();
+    callPostHook("initiativeModified", { actors, modifier, combat, results, undoId });
+
+    if (chat) {
+        // Post private GM chat message
+        const chatContent = `
+            <h3>${format("Initiative.Chat.Title", { macro: macroName })}</h3>
+            <p>${format("Initiative.Chat.Intro", { modifier: `<strong>${modifier >= 0 ? '+' : ''}${modifier}</strong>` })}</p>
+            <ul style="list-style-type: none; padding-left: 0;">${chatMessages.map(msg => `<li>${msg}</li>`).join('')}</ul>
+            ${undoButtonHTML(undoId)}
+        `;
+
+        await ChatMessage.create({
+            content: chatContent,
+            whisper: ChatMessage.getWhisperRecipients('GM'),
+            speaker: { alias: macroName }
+        });
+
+        ui.notifications.info(format("Initiative.Updated", { count: updates.length }));
+    }
+    return { modifier, results, undoId };
+}
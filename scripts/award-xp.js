@@ -1,214 +1,365 @@
 /**
  * PF2e Experience Award Macro
- * * Awards a specified amount of XP to selected actors, optionally applying
- * a custom leveling pace (Fast/Normal/Slow) and resetting excess XP.
- * Selection logic:
+ * * Awards a specified amount of XP to selected actors at the world's leveling pace (Fast/Normal/Slow),
+ * optionally resetting excess XP. The pace chosen in the dialog becomes the world's pace (see 'leveling.js').
+ * Selection logic (see 'party.js'):
  * 1. Selected tokens/actors.
- * 2. If none selected, the members of the "Party" actor (if it exists).
- * 3. If "Party" doesn't exist, all owned Player Characters (type: character).
+ * 2. If none selected, targeted tokens.
+ * 3. Otherwise the party (roster, PF2e Party actor, party folder or Player Characters).
+ * Only Player Characters (type: character) are awarded XP.
+ * Awards can be accomplishments (minor/moderate/major) with a reason, or calculated from an encounter,
+ * and each actor can receive a different amount. Every award is kept in the actor's XP ledger (see 'xp-ledger.js').
  * * Notifies the public chat of the update, including a level-up alert if max XP is reached.
+ * In automatic leveling mode the characters level up right away, keeping the leftover XP; in milestone
+ * mode XP never levels anyone up and the dialog offers a Milestone Level Up instead.
  */
 
+import { getXpThreshold, LEVELING_PACES } from './settings.js';
+import { resolveTargets } from './party.js';
+import { calculateEncounterXp } from './encounter-xp.js';
+import { getLevelingPace, getLevelingMode, setLevelingPace, carryOverLevels, levelUpCharacters } from './leveling.js';
+import { buildLedgerUpdate, categoryLabel, openXpLedger } from './xp-ledger.js';
+import { UndoOperation } from './undo-journal.js';
+import { createChatCard } from './chat-cards.js';
+import { callPreHook, callPostHook } from './hooks.js';
+import { localize, format } from './i18n.js';
+
 export const EXPERIENCE_AWARD_MACRO_NAME = "Award Experience Points (XP)";
 export const EXPERIENCE_AWARD_MACRO_ICON = "modules/pf2e-awesome-macros-for-gms/assets/award-xp.png";
 
-// Define the main asynchronous function for the macro
-export async function awardXP() {
-    // --- 1. Determine Target Actors ---
-    const selectedActors = canvas.tokens.controlled.map(t => t.actor).filter(a => a);
-    let actorsToUpdate = [];
-
-    if (selectedActors.length > 0) {
-        // Case 1: Use selected tokens/actors
-        actorsToUpdate = selectedActors.filter(a => a.type === "character");
-    }
-
-    if (actorsToUpdate.length === 0) {
-        // Case 2: Check for the "Party" actor
-        const partyActor = game.actors.find(a => a.name === "Party" && a.type === "party");
+// Accomplishment XP by size of the accomplishment
+export const ACCOMPLISHMENT_XP = {
+    minor: 10,
+    moderate: 30,
+    major: 80
+};
 
-        if (partyActor) {
-            // Party actor found, update all its members (characters only)
-            actorsToUpdate = partyActor.members.filter(m => m.type === "character");
-        }
-    }
+// Award categories recorded in the XP ledger (see 'xp-ledger.js')
+export const AWARD_CATEGORIES = ["custom", "encounter", ...Object.keys(ACCOMPLISHMENT_XP)];
 
-    if (actorsToUpdate.length === 0) {
-        // Case 3: Default to all owned PCs
-        actorsToUpdate = game.actors.filter(a => a.type === "character" && a.isOwner);
-    }
+// Define the main asynchronous function for the macro (a dialog on top of applyXpAward)
+export async function awardXP() {
+    // --- 1. Determine Target Actors ---
+    // Selected tokens, then targeted tokens, then the party (see 'party.js'), keeping Player Characters only
+    const { actors: actorsToUpdate } = resolveTargets({ targeted: true, filter: a => a.type === "character" });
 
     // Final check for valid targets
     if (actorsToUpdate.length === 0) {
-        return ui.notifications.warn("No valid PC actors found (selected, Party members, or owned PCs).");
+        return ui.notifications.warn(localize("AwardXP.NoActors"));
     }
 
     // --- 2. Build and Display Dialog ---
-    const actorNames = actorsToUpdate.map(a => a.name).join(", ");
-    const content = `
-        <div class="form-group">
-            <p style="font-size: 0.9em; color: #555;">Awarding XP to the following actor(s):</p>
-            <strong style="display: block; margin-bottom: 10px; padding: 5px; background: #f0f0f0; border-radius: 5px;">${actorNames}</strong>
+    const inputStyle = "height: 28px; color: black; padding-left: 5px; box-sizing: border-box; border-radius: 4px; border: 1px solid #ccc;";
+    const categoryOptions = AWARD_CATEGORIES.map(category => {
+        const label = categoryLabel(category);
+        const xp = ACCOMPLISHMENT_XP[category];
+        return `<option value="${category}">${xp ? `${label} (${xp} XP)` : label}</option>`;
+    }).join('');
+
+    // One amount per actor, so different characters can receive different awards
+    const actorRows = actorsToUpdate.map(actor => `
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 4px;">
+            <label for="xp-${actor.id}">${foundry.utils.escapeHTML(actor.name)}</label>
+            <input type="number" id="xp-${actor.id}" class="actor-xp" data-uuid="${actor.uuid}" value="10" min="0" style="width: 35%; ${inputStyle}">
         </div>
+    `).join('');
 
+    // The world's pace is pre-selected; choosing another one changes it for the whole world
+    const worldPace = getLevelingPace();
+    const mode = getLevelingMode();
+    const paceOptions = Object.keys(LEVELING_PACES).map(pace =>
+        `<option value="${pace}" ${pace === worldPace ? "selected" : ""}>${format(`AwardXP.Pace.${pace}`, { xp: getXpThreshold(pace) })}</option>`
+    ).join('');
+
+    const content = `
         <div class="form-group" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
-            <label for="levelingPace"><strong>Leveling Pace:</strong></label>
+            <label for="levelingPace"><strong>${localize("AwardXP.Dialog.Pace")}</strong></label>
             <!-- Fixed height and color to ensure visibility -->
-            <select id="levelingPace" name="levelingPace" style="width: 65%; height: 28px; color: black; padding-left: 5px; border-radius: 4px; border: 1px solid #ccc;">
-                <option value="normal" selected>Normal (1000 XP)</option>
-                <option value="fast">Fast (800 XP)</option>
-                <option value="slow">Slow (1200 XP)</option>
-            </select>
+            <select id="levelingPace" name="levelingPace" style="width: 65%; ${inputStyle}">${paceOptions}</select>
+        </div>
+        <p style="font-size: 0.9em; color: #555; margin-bottom: 10px;">${localize(`AwardXP.Dialog.Mode.${mode}`)}</p>
+
+        <div class="form-group" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+            <label for="xpCategory"><strong>${localize("AwardXP.Dialog.Category")}</strong></label>
+            <select id="xpCategory" name="xpCategory" style="width: 65%; ${inputStyle}">${categoryOptions}</select>
+        </div>
+
+        <div class="form-group">
+            <label for="xpReason"><strong>${localize("AwardXP.Dialog.Reason")}</strong></label>
+            <input type="text" id="xpReason" name="xpReason" placeholder="${localize("AwardXP.Dialog.ReasonPlaceholder")}" style="width: 100%; ${inputStyle}">
         </div>
 
         <div class="form-group">
-            <label for="xpAmount"><strong>XP to Award:</strong></label>
-            <!-- Adjusted style to match dropdown -->
-            <input type="number" id="xpAmount" name="xpAmount" value="10" min="1" required style="width: 100%; height: 28px; color: black; padding-left: 5px; box-sizing: border-box; border-radius: 4px; border: 1px solid #ccc;">
+            <label for="xpAmount"><strong>${localize("AwardXP.Dialog.Amount")}</strong></label>
+            <!-- Sets every actor's amount below -->
+            <input type="number" id="xpAmount" name="xpAmount" value="10" min="1" required style="width: 100%; ${inputStyle}">
         </div>
 
+        <div class="form-group">
+            <!-- Pre-fills the amount from the current or last encounter (see 'encounter-xp.js') -->
+            <button type="button" id="encounterXp"><i class="fas fa-fist-raised"></i> ${localize("AwardXP.Dialog.FromEncounter")}</button>
+        </div>
+        <ul id="encounterBreakdown" style="display: none; list-style: none; margin: 0 0 10px; padding: 5px; font-size: 0.9em; background: #f0f0f0; border-radius: 5px; color: black;"></ul>
+
+        <p style="font-size: 0.9em; color: #555; margin-bottom: 4px;">${localize("AwardXP.Dialog.Recipients")}</p>
+        <div style="margin-bottom: 10px; padding: 5px; background: #f0f0f0; border-radius: 5px; color: black;">${actorRows}</div>
+
         <div class="form-group" style="display: flex; align-items: flex-start; margin-top: 15px;">
             <input type="checkbox" id="resetXp" name="resetXp" style="margin-top: 5px; margin-right: 10px;" checked>
-            <label for="resetXp" title="If the actor's current XP already exceeds the leveling threshold, the XP will be reset to the remainder before adding the new amount. This fixes accumulated XP from missed level-ups.">
-                Reset Over-Max XP (if already leveled)
+            <label for="resetXp" title="${localize("AwardXP.Dialog.ResetHint")}">
+                ${localize("AwardXP.Dialog.Reset")}
             </label>
         </div>
     `;
 
+    // The encounter breakdown shown in the dialog, kept for the chat card while the amounts match it
+    let breakdown = null;
+
+    // Milestone leveling: level the characters up directly, with the reason as the milestone
+    const milestoneButton = {
+        milestone: {
+            icon: '<i class="fas fa-flag-checkered"></i>',
+            label: localize("Leveling.Milestone"),
+            callback: async (html) => {
+                await levelUpCharacters({ actors: actorsToUpdate, reason: String(html.find('#xpReason').val() ?? '').trim() });
+            }
+        }
+    };
+
     new Dialog({
-        title: "Award XP",
+        title: localize("AwardXP.Title"),
         content: content,
         buttons: {
             award: {
                 icon: '<i class="fas fa-trophy"></i>',
-                label: "Award XP",
+                label: localize("AwardXP.Title"),
                 callback: async (html) => {
-                    const xpAmount = parseInt(html.find('#xpAmount').val());
                     const pace = html.find('#levelingPace').val();
                     const resetXp = html.find('#resetXp').prop('checked');
+                    const category = html.find('#xpCategory').val();
+                    const reason = String(html.find('#xpReason').val() ?? '').trim();
 
-                    if (isNaN(xpAmount) || xpAmount <= 0) {
-                        return ui.notifications.error("Please enter a valid positive number for the XP amount.");
+                    const amounts = {};
+                    for (const input of html.find('.actor-xp')) {
+                        amounts[input.dataset.uuid] = parseInt(input.value);
                     }
-
-                    // Determine XP Threshold based on pace selection
-                    let xpThreshold;
-                    if (pace === 'fast') {
-                        xpThreshold = 800;
-                    } else if (pace === 'slow') {
-                        xpThreshold = 1200;
-                    } else {
-                        xpThreshold = 1000;
+                    const values = Object.values(amounts);
+                    if (values.some(xp => isNaN(xp) || xp < 0) || !values.some(xp => xp > 0)) {
+                        return ui.notifications.error(localize("AwardXP.InvalidAmount"));
                     }
 
-                    await awardXp(actorsToUpdate, xpAmount, xpThreshold, resetXp);
+                    await setLevelingPace(pace);
+                    await applyXpAward({
+                        actors: actorsToUpdate, amounts, pace, resetXp, category, reason,
+                        breakdown: category === "encounter" && values.every(xp => xp === breakdown?.total) ? breakdown : null
+                    });
                 }
             },
+            ledger: {
+                icon: '<i class="fas fa-book"></i>',
+                label: localize("Ledger.Title"),
+                callback: () => openXpLedger()
+            },
+            ...(mode === "milestone" ? milestoneButton : {}),
             cancel: {
                 icon: '<i class="fas fa-times"></i>',
-                label: "Cancel"
+                label: localize("Common.Cancel")
             }
         },
-        default: "award"
-    }, { width: 350 }).render(true);
-
-    // --- 3. Function to Handle XP Update and Notification ---
-    async function awardXp(actors, amount, xpThreshold, resetXp) {
-        let levelUpMessages = [];
-        let notificationSummary = [];
-
-        for (const actor of actors) {
-            let currentXP = actor.system.details.xp.value;
-            const currentLevel = actor.system.details.level.value;
-
-            const originalXP = currentXP; // Keep original for display
-            let resetApplied = false;
-
-            // --- Apply XP Reset Logic ---
-            if (resetXp && currentXP >= xpThreshold) {
-                // If current XP is >= threshold and reset is checked, correct the XP
-                currentXP = currentXP % xpThreshold; // Calculates the remainder, effectively resetting the counter
-                resetApplied = true;
-            }
+        default: "award",
+        render: (html) => {
+            const setAmount = (xp) => {
+                html.find('#xpAmount').val(xp);
+                html.find('.actor-xp').val(xp);
+            };
 
-            // Calculate new XP
-            const newXP = currentXP + amount;
-
-            // Prepare update
-            let updateData = { "system.details.xp.value": newXP };
-
-            // Check for level up using the dynamic threshold
-            if (newXP >= xpThreshold) {
-                // The PF2e system handles the actual level up on data update,
-                // but we flag it here for the chat notification.
-                levelUpMessages.push(`
-                    <li style="color: #ffaa00; font-weight: bold;">
-                        ${actor.name} has reached ${newXP} XP and is ready to 
-                        LEVEL UP to Level ${currentLevel + 1} (using ${xpThreshold} XP threshold)!
-                    </li>
-                `);
-            }
+            html.find('#xpAmount').on('input', (event) => html.find('.actor-xp').val(event.currentTarget.value));
 
-            // Build summary for chat
-            notificationSummary.push(`
-                <li style="color: #333;">
-                    ${actor.name}: 
-                    <span style="font-weight: bold;">${originalXP}${resetApplied ? ' (Reset)' : ''} XP</span> 
-                    &rarr; 
-                    <span style="font-weight: bold; color: #16a34a;">${newXP} XP</span>
-                </li>
-            `);
-
-            // Perform the update
-            try {
-                await actor.update(updateData);
-            } catch (error) {
-                console.error(`PF2E XP Macro: Failed to update XP for ${actor.name}:`, error);
-            }
+            // Accomplishments pre-fill their standard award
+            html.find('#xpCategory').on('change', (event) => {
+                const xp = ACCOMPLISHMENT_XP[event.currentTarget.value];
+                if (xp) setAmount(xp);
+            });
+
+            html.find('#encounterXp').on('click', () => {
+                breakdown = calculateEncounterXp({ actors: actorsToUpdate });
+                if (!breakdown) return ui.notifications.warn(localize("AwardXP.Encounter.NoCombat"));
+
+                const { heading, lines, scaling } = describeBreakdown(breakdown);
+                const list = html.find('#encounterBreakdown').empty().show();
+                list.append($('<li>').append($('<strong>').text(heading)));
+                for (const line of lines) list.append($('<li>').text(`${line.name} (${line.detail}): ${line.xp} XP`));
+                list.append($('<li>').append($('<em>').text(scaling)));
+                setAmount(breakdown.total);
+                html.find('#xpCategory').val("encounter");
+            });
         }
+    }, { width: 380 }).render(true);
+}
 
-        // --- 4. Send Chat Notification ---
-        let chatContent = `
-            <div style="background: #fcfcfc; border: 1px solid #ddd; padding: 10px; border-radius: 8px; font-family: sans-serif;">
-                <h3 style="margin-top: 0; color: #1e40af; border-bottom: 2px solid #3b82f6; padding-bottom: 5px;">
-                    <i class="fas fa-coins"></i> Experience Awarded: +${amount} XP (${xpThreshold} XP Level)
-                </h3>
-                <ul style="list-style-type: none; padding: 0;">
-                    ${notificationSummary.join('')}
-                </ul>
-        `;
-
-        let notificationSound = '';
-
-        if (levelUpMessages.length > 0) {
-            notificationSound = CONFIG.sounds.notification; // Play sound on level up
-            chatContent += `
-                <hr style="border-top: 1px solid #ddd; margin: 10px 0;">
-                <div style="text-align: center; background: #fffbe6; border: 2px solid #fcd34d; padding: 10px; border-radius: 6px;">
-                    <h3 style="color: #b45309; text-shadow: 1px 1px 1px rgba(0,0,0,0.1); margin: 0 0 5px 0;">
-                        <i class="fas fa-star" style="margin-right: 5px;"></i> LEVEL UP ALERT!
-                    </h3>
-                    <ul style="list-style-type: disc; padding-left: 20px; margin: 0;">
-                        ${levelUpMessages.join('')}
-                    </ul>
-                </div>
-            `;
+/**
+ * Turns an encounter XP breakdown (see calculateEncounterXp() in 'encounter-xp.js') into display text.
+ * @param {object} breakdown - The breakdown.
+ * @returns {{heading: string, lines: {name: string, detail: string, xp: number}[], scaling: string, total: number}}
+ */
+function describeBreakdown(breakdown) {
+    return {
+        heading: format(`AwardXP.Encounter.Source.${breakdown.source}`, { encounter: breakdown.encounter }),
+        lines: breakdown.lines.map(line => ({
+            name: line.name,
+            detail: format("AwardXP.Encounter.Detail", {
+                kind: localize(`AwardXP.Encounter.Kind.${line.kind}`),
+                level: line.level,
+                difference: line.difference >= 0 ? `+${line.difference}` : `${line.difference}`
+            }),
+            xp: line.xp
+        })),
+        scaling: format("AwardXP.Encounter.Scaling", {
+            size: breakdown.partySize,
+            level: breakdown.partyLevel,
+            subtotal: breakdown.subtotal
+        }),
+        total: breakdown.total
+    };
+}
+
+// --- 3. Function to Handle XP Update and Notification ---
+/**
+ * Awards XP to actors without any dialog. Used by the Award XP dialog and the scripting API.
+ * @param {object} params
+ * @param {Actor[]} [params.actors] - Actors to award; defaults to the resolved PC targets (see 'party.js').
+ * @param {number} [params.amount] - XP to award to every actor without an entry in amounts.
+ * @param {Object<string, number>} [params.amounts={}] - XP per actor, keyed by actor UUID. Actors awarded 0 XP are skipped.
+ * @param {string} [params.pace] - Leveling pace: 'fast', 'normal' or 'slow'; defaults to the world's pace (see 'leveling.js').
+ * @param {boolean} [params.resetXp=true] - Reset XP that already exceeds the threshold to the remainder first.
+ * @param {string} [params.category] - Ledger category: 'custom', 'encounter', 'minor', 'moderate' or 'major';
+ * defaults to 'encounter' with a breakdown, otherwise 'custom'.
+ * @param {string} [params.reason=""] - Free-text reason, shown on the chat card and kept in the XP ledger.
+ * @param {object|null} [params.breakdown=null] - Encounter XP breakdown from calculateEncounterXp() ('encounter-xp.js'),
+ * itemised on the chat card.
+ * @param {boolean} [params.chat=true] - Post the public chat report.
+ * @returns {Promise<{amount: number|null, pace: string, mode: string, threshold: number, category: string, reason: string, results: object[]}|null>}
+ * amount is null if actors received different amounts; mode is the world's leveling mode. One result per actor:
+ * { actor, amount, originalXP, newXP, resetApplied, levelUp, levelBefore, levelAfter, error }, where levelAfter differs
+ * from levelBefore only in automatic mode; or null if a preAwardXP hook cancelled the award.
+ */
+export async function applyXpAward({ actors, amount, amounts = {}, pace, resetXp = true, category, reason = "", breakdown = null, chat = true } = {}) {
+    actors ??= resolveTargets({ targeted: true, filter: a => a.type === "character" }).actors;
+    category ??= breakdown ? "encounter" : "custom";
+    pace ??= getLevelingPace();
+
+    // Let other modules adjust or cancel the award (see 'hooks.js')
+    const params = { actors, amount, amounts, pace, resetXp, category, reason, breakdown };
+    if (!callPreHook("preAwardXP", params)) return null;
+    ({ actors, amount, amounts, pace, resetXp, category, reason, breakdown } = params);
+
+    if (!AWARD_CATEGORIES.includes(category)) {
+        throw new Error(`PF2e Awesome Macros | awardXP: unknown category "${category}".`);
+    }
+
+    // Per-actor amounts override the common amount; actors awarded nothing are left out
+    const awardFor = actor => Number(amounts?.[actor.uuid] ?? amount);
+    if (actors.some(actor => !Number.isFinite(awardFor(actor)) || awardFor(actor) < 0)) {
+        throw new Error("PF2e Awesome Macros | awardXP: amount must be a positive number.");
+    }
+    actors = actors.filter(actor => awardFor(actor) > 0);
+    if (actors.length === 0) {
+        throw new Error("PF2e Awesome Macros | awardXP: amount must be a positive number.");
+    }
+
+    const awarded = actors.map(awardFor);
+    const uniformAmount = awarded.every(xp => xp === awarded[0]) ? awarded[0] : null;
+    const amountLabel = uniformAmount ?? `${Math.min(...awarded)}–${Math.max(...awarded)}`;
+
+    // Determine XP Threshold based on pace selection (configured in the module settings)
+    const xpThreshold = getXpThreshold(pace);
+    const mode = getLevelingMode();
+
+    const levelUpMessages = [];
+    const summaryRows = [];
+    const results = [];
+    const undo = new UndoOperation(format("AwardXP.UndoLabel", { amount: amountLabel }));
+
+    for (const actor of actors) {
+        const actorAmount = awardFor(actor);
+        let currentXP = actor.system.details.xp.value;
+        const currentLevel = actor.system.details.level.value;
+
+        const originalXP = currentXP; // Keep original for display
+        let resetApplied = false;
+
+        // --- Apply XP Reset Logic (milestone leveling ignores XP) ---
+        if (mode !== "milestone" && resetXp && currentXP >= xpThreshold) {
+            // If current XP is >= threshold and reset is checked, correct the XP
+            currentXP = currentXP % xpThreshold; // Calculates the remainder, effectively resetting the counter
+            resetApplied = true;
         }
 
-        chatContent += '</div>';
+        // Calculate new XP; in automatic mode every full threshold becomes a level, keeping the leftover XP
+        let newXP = currentXP + actorAmount;
+        let newLevel = currentLevel;
+        if (mode === "automatic") ({ level: newLevel, xp: newXP } = carryOverLevels(currentLevel, newXP, xpThreshold));
+        const levelUp = mode === "automatic" ? newLevel > currentLevel : mode === "manual" && newXP >= xpThreshold;
+
+        // Prepare update, recording the award in the actor's XP ledger (see 'xp-ledger.js').
+        // The XP maximum follows the pace so the sheet's XP bar agrees with the award.
+        const updateData = {
+            "system.details.xp.value": newXP,
+            "system.details.xp.max": xpThreshold,
+            ...buildLedgerUpdate(actor, {
+                amount: actorAmount, category, reason, xpBefore: originalXP, xpAfter: newXP,
+                levelBefore: currentLevel, levelAfter: newLevel
+            })
+        };
+        if (newLevel !== currentLevel) updateData["system.details.level.value"] = newLevel;
+
+        // Check for level up using the dynamic threshold
+        if (levelUp && mode === "automatic") {
+            levelUpMessages.push(format("AwardXP.Chat.LeveledUpLine", { name: actor.name, level: newLevel, xp: newXP }));
+        } else if (levelUp) {
+            // Manual leveling: the GM levels the character up on the sheet,
+            // so we only flag it here for the chat notification.
+            levelUpMessages.push(format("AwardXP.Chat.LevelUpLine", { name: actor.name, xp: newXP, level: currentLevel + 1, threshold: xpThreshold }));
+        }
 
-        await ChatMessage.create({
-            user: game.user.id,
-            speaker: ChatMessage.getSpeaker({ alias: "GM XP Award" }),
-            content: chatContent,
-            whisper: [],
-            // Public to all
-            roll: null,
-            sound: notificationSound,
-            type: CONST.CHAT_MESSAGE_TYPES.OTHER,
-        });
+        // Build summary for chat
+        summaryRows.push({ name: actor.name, amount: actorAmount, before: originalXP, reset: resetApplied, after: newXP });
 
-        ui.notifications.info(`Successfully awarded +${amount} XP to ${actors.length} actor(s). Check chat for details.`);
+        // Perform the update
+        const result = { actor, amount: actorAmount, originalXP, newXP, resetApplied, levelUp, levelBefore: currentLevel, levelAfter: newLevel, error: null };
+        try {
+            await undo.update(actor, updateData);
+        } catch (error) {
+            console.error(`PF2E XP Macro: Failed to update XP for ${actor.name}:`, error);
+            result.error = error;
+        }
+        results.push(result);
     }
 
-};
\ No newline at end of file
+    const undoId = await undo.commit();
+    const award = { amount: uniformAmount, pace, mode, threshold: xpThreshold, category, reason, results, undoId };
+    callPostHook("xpAwarded", { actors, ...award });
+    if (!chat) return award;
+
+    // --- 4. Send Chat Notification (see 'templates/chat/xp-award.hbs') ---
+    await createChatCard("xpAward", {
+        title: uniformAmount
+            ? format("AwardXP.Chat.Title", { amount: uniformAmount, threshold: xpThreshold })
+            : format("AwardXP.Chat.TitleVaried", { threshold: xpThreshold }),
+        reason: reason
+            ? format("AwardXP.Chat.Reason", { category: categoryLabel(category), reason })
+            : (category === "custom" ? null : categoryLabel(category)),
+        varied: uniformAmount === null,
+        rows: summaryRows,
+        levelUps: levelUpMessages,
+        breakdown: breakdown ? describeBreakdown(breakdown) : null,
+        undoId
+    }, {
+        speaker: ChatMessage.getSpeaker({ alias: localize("AwardXP.Chat.Speaker") }),
+        // Public to all; play a sound on level up. No Re-run button: it would award the XP a second time.
+        sound: levelUpMessages.length > 0 ? CONFIG.sounds.notification : null
+    });
+
+    ui.notifications.info(format("AwardXP.Awarded", { amount: amountLabel, count: actors.length }));
+    return award;
+}
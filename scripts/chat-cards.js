@@ -0,0 +1,269 @@
+/**
+ * PF2e Awesome Macros - Chat Cards
+ * The module's chat reports are rendered from the Handlebars templates in 'templates/chat/'. Every card wraps
+ * its body in the shared 'pf2e-awesome-card' partial, so they share one design (see 'styles/chat-cards.css')
+ * that follows the light and dark UI themes.
+ *
+ * Card buttons carry a data-card-action attribute and are wired up on the 'renderChatMessageHTML' hook:
+ * - rerun:         runs the operation again through the scripting API with the settings stored on the message.
+ * - openActor:     opens the sheet of a spawned monster token.
+ * - whisperResult: whispers one Recall Knowledge result and the facts it earned to the players who own that character.
+ * - markIdentified: marks an item identified after a successful Identify Magic or Identify Alchemy check and tells
+ *   the players who own that character what it is.
+ * - sendOutcome:   whispers the generic outcome text the GM picked on a Secret Group Check row to that character's players.
+ * Card actions are GM-only; the buttons are removed for players. They only work on the module's own cards posted by a
+ * GM, since any user can put the module's flags on a message, and Re-run only calls the API functions in RERUN_FUNCTIONS.
+ */
+
+import { MODULE_ID } from './settings.js';
+import { undoButtonHTML } from './undo-journal.js';
+import { recordRecallFacts } from './recall-memory.js';
+import { localize, format, escape } from './i18n.js';
+
+const TEMPLATE_PATH = `modules/${MODULE_ID}/templates/chat`;
+
+// Name of the shared card layout partial used by every card template
+const CARD_PARTIAL = "pf2e-awesome-card";
+
+export const CARD_TEMPLATES = {
+    xpAward: `${TEMPLATE_PATH}/xp-award.hbs`,
+    rest: `${TEMPLATE_PATH}/rest-report.hbs`,
+    combatCleanup: `${TEMPLATE_PATH}/combat-cleanup.hbs`,
+    encounter: `${TEMPLATE_PATH}/encounter-report.hbs`,
+    recall: `${TEMPLATE_PATH}/recall-knowledge.hbs`,
+    recallWhisper: `${TEMPLATE_PATH}/recall-whisper.hbs`,
+    identify: `${TEMPLATE_PATH}/identify-item.hbs`,
+    identifyWhisper: `${TEMPLATE_PATH}/identify-whisper.hbs`,
+    secretCheck: `${TEMPLATE_PATH}/secret-check.hbs`,
+    secretCheckWhisper: `${TEMPLATE_PATH}/secret-check-whisper.hbs`,
+    levelUp: `${TEMPLATE_PATH}/level-up.hbs`
+};
+
+// Scripting API functions a Re-run button may call (see 'api.js')
+const RERUN_FUNCTIONS = ["restore", "cleanupCombat", "generateEncounter", "recallKnowledge", "identifyItem", "secretGroupCheck"];
+
+// --- 1. RENDERING ---
+
+/**
+ * Renders a card template and posts it to chat.
+ * @param {string} card - Key of CARD_TEMPLATES, e.g. 'xpAward'.
+ * @param {object} data - Template data. Every card reads 'title'; 'undoId' adds the Undo button.
+ * @param {object} [options]
+ * @param {object|null} [options.rerun=null] - Adds the Re-run button: { fn, label, actorUuids?, sceneId?, params },
+ * where fn is the name of a scripting API function (see 'api.js').
+ * @param {object} [options.flags={}] - Extra module flags stored on the message.
+ * @param {...object} [options.messageData] - Any other ChatMessage data (speaker, whisper, blind, sound, ...).
+ * @returns {Promise<ChatMessage>} The created message.
+ */
+export async function createChatCard(card, data, { rerun = null, flags = {}, ...messageData } = {}) {
+    const content = await foundry.applications.handlebars.renderTemplate(CARD_TEMPLATES[card], {
+        ...data,
+        rerun: !!rerun,
+        undoButton: undoButtonHTML(data.undoId)
+    });
+
+    return ChatMessage.create({
+        ...messageData,
+        content,
+        flags: { [MODULE_ID]: { card, rerun, ...flags } }
+    });
+}
+
+// --- 2. CARD ACTIONS ---
+
+/**
+ * Runs the card's operation again through the scripting API after confirmation.
+ */
+async function rerunCard(message) {
+    const rerun = message.getFlag(MODULE_ID, "rerun");
+    if (!RERUN_FUNCTIONS.includes(rerun?.fn)) return;
+    const run = game.modules.get(MODULE_ID).api?.[rerun.fn];
+    if (!run) return;
+
+    const confirmed = await Dialog.confirm({
+        title: localize("Cards.Rerun"),
+        content: `<p>${format("Cards.RerunConfirm", { label: `<strong>${escape(rerun.label)}</strong>` })}</p>`
+    });
+    if (!confirmed) return;
+
+    const params = { ...rerun.params };
+    if (rerun.actorUuids) {
+        params.actors = (await Promise.all(rerun.actorUuids.map(uuid => fromUuid(uuid)))).filter(actor => actor);
+        if (params.actors.length === 0) {
+            ui.notifications.warn(localize("Cards.ActorsGone"));
+            return;
+        }
+    }
+    if (rerun.sceneId) {
+        params.scene = game.scenes.get(rerun.sceneId);
+        if (!params.scene) {
+            ui.notifications.warn(localize("Cards.SceneGone"));
+            return;
+        }
+    }
+
+    try {
+        await run(params);
+    } catch (error) {
+        console.error(`PF2e Awesome Macros | Re-running ${rerun.fn} failed:`, error);
+        ui.notifications.error(format("Cards.RerunFailed", { label: escape(rerun.label) }));
+    }
+}
+
+/**
+ * Opens the sheet of the actor behind a spawned token (or an actor UUID).
+ */
+async function openActor(message, button) {
+    const doc = await fromUuid(button.dataset.uuid);
+    const actor = doc instanceof Actor ? doc : doc?.actor;
+    if (!actor) {
+        ui.notifications.warn(localize("Cards.ActorGone"));
+        return;
+    }
+    actor.sheet.render(true);
+}
+
+/**
+ * Whispers one row of a Recall Knowledge card to the players who own the character, with the row's facts.
+ * A critical failure's false fact, as the GM edited it, is sent as if the check had succeeded, so the player
+ * can't tell it apart from a true one. The character remembers the facts a success or critical success earned
+ * (see 'recall-memory.js'); a false fact is never remembered, so it can't pass for something the character knows.
+ */
+async function whisperResult(message, button) {
+    const row = button.closest("[data-actor-uuid]");
+    const actor = await fromUuid(row.dataset.actorUuid);
+    if (!actor) {
+        ui.notifications.warn(localize("Cards.ActorGone"));
+        return;
+    }
+
+    const owners = game.users.filter(u => !u.isGM && actor.testUserPermission(u, "OWNER"));
+    if (owners.length === 0) {
+        ui.notifications.warn(format("Cards.NoOwners", { name: actor.name }));
+        return;
+    }
+
+    const { creature, key } = message.getFlag(MODULE_ID, "recall") ?? {};
+    const falseFact = row.querySelector('[name="falseFact"]')?.value.trim();
+    const facts = falseFact ? [falseFact] : Array.from(row.querySelectorAll("[data-fact]"), fact => fact.textContent);
+    const degree = falseFact ? "success" : row.dataset.degree;
+    await createChatCard("recallWhisper", {
+        title: creature ? format("Cards.Recall.TitleCreature", { creature }) : localize("Cards.Recall.Title"),
+        degree,
+        text: format("Cards.Recall.Result", {
+            name: actor.name,
+            skill: row.dataset.skill,
+            degree: localize(`Recall.Degree.${degree}`)
+        }),
+        facts
+    }, {
+        speaker: ChatMessage.getSpeaker({ actor }),
+        whisper: owners.map(u => u.id)
+    });
+
+    const earned = row.dataset.degree === "success" || row.dataset.degree === "criticalSuccess";
+    if (key && earned && !falseFact) await recordRecallFacts(actor, { key, name: creature }, facts);
+    ui.notifications.info(format("Cards.Whispered", { name: actor.name }));
+}
+
+/**
+ * Marks the item of an Identify Item card identified and tells the players who own the row's character what it is.
+ * PF2e keeps one identification status per item, so a physical item is identified for everyone who sees it; spell
+ * effects and hazards have no status, so their players are only told.
+ */
+async function markIdentified(message, button) {
+    const row = button.closest("[data-actor-uuid]");
+    const { target, name } = message.getFlag(MODULE_ID, "identify") ?? {};
+    const [actor, document] = await Promise.all([fromUuid(row.dataset.actorUuid), target ? fromUuid(target) : null]);
+    if (!actor || !document) {
+        ui.notifications.warn(localize(actor ? "Cards.ItemGone" : "Cards.ActorGone"));
+        return;
+    }
+
+    if (document instanceof Item && document.system?.identification?.status === "unidentified") {
+        await document.setIdentificationStatus("identified");
+    }
+
+    const owners = game.users.filter(u => !u.isGM && actor.testUserPermission(u, "OWNER"));
+    if (owners.length > 0) {
+        await createChatCard("identifyWhisper", {
+            title: format("Cards.Identify.Title", { name }),
+            degree: row.dataset.degree,
+            text: format("Cards.Identify.Result", { name: actor.name, item: name }),
+            link: document.toAnchor().outerHTML
+        }, {
+            speaker: ChatMessage.getSpeaker({ actor }),
+            whisper: owners.map(u => u.id)
+        });
+    }
+
+    ui.notifications.info(format("Cards.Identified", { item: name, name: actor.name }));
+}
+
+/**
+ * Whispers the outcome text picked on a Secret Group Check row to the players who own the row's character.
+ * The texts are generic ("You notice nothing unusual."), so the player never learns the degree of success.
+ */
+async function sendOutcome(message, button) {
+    const row = button.closest("[data-actor-uuid]");
+    const actor = await fromUuid(row.dataset.actorUuid);
+    if (!actor) {
+        ui.notifications.warn(localize("Cards.ActorGone"));
+        return;
+    }
+
+    const owners = game.users.filter(u => !u.isGM && actor.testUserPermission(u, "OWNER"));
+    if (owners.length === 0) {
+        ui.notifications.warn(format("Cards.NoOwners", { name: actor.name }));
+        return;
+    }
+
+    const { label } = message.getFlag(MODULE_ID, "secretCheck") ?? {};
+    await createChatCard("secretCheckWhisper", {
+        title: label,
+        text: localize(`SecretCheck.Outcomes.${row.querySelector('[name="outcome"]').value}`)
+    }, {
+        speaker: ChatMessage.getSpeaker({ actor }),
+        whisper: owners.map(u => u.id)
+    });
+
+    ui.notifications.info(format("Cards.Whispered", { name: actor.name }));
+}
+
+const CARD_ACTIONS = { rerun: rerunCard, openActor, whisperResult, markIdentified, sendOutcome };
+
+// --- 3. REGISTRATION ---
+
+/**
+ * Preloads the card templates and wires up the card buttons. Called on the 'init' hook.
+ */
+export function registerChatCards() {
+    foundry.applications.handlebars.loadTemplates({
+        [CARD_PARTIAL]: `${TEMPLATE_PATH}/card.hbs`,
+        ...CARD_TEMPLATES
+    });
+
+    Hooks.on("renderChatMessageHTML", (message, html) => {
+        const buttons = html.querySelectorAll(".pf2e-awesome-card [data-card-action]");
+        if (buttons.length === 0) return;
+
+        // A player could post a message with forged card flags, so only the module's cards from a GM work
+        const card = message.getFlag(MODULE_ID, "card");
+        const trusted = game.user.isGM && message.author?.isGM && Object.hasOwn(CARD_TEMPLATES, card ?? "");
+        for (const button of buttons) {
+            if (!trusted) {
+                button.remove();
+                continue;
+            }
+            button.addEventListener("click", async (event) => {
+                event.preventDefault();
+                button.disabled = true;
+                try {
+                    await CARD_ACTIONS[button.dataset.cardAction]?.(message, button);
+                } finally {
+                    button.disabled = false;
+                }
+            });
+        }
+    });
+}
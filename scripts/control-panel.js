@@ -0,0 +1,449 @@
+/**
+ * PF2e Awesome Macros - GM Control Panel
+ * One window for every tool, so the GM doesn't need a hotbar slot per macro:
+ * - a target list that can be pinned, so every tool keeps acting on the same actors while the
+ *   canvas selection changes (see getPinnedTargets in 'party.js'),
+ * - a quick-action bar for one-click actions,
+ * - a tab per tool with a live summary of what it would act on and a button that opens it.
+ * The panel opens from a Token Controls button, a keybinding or the "GM Control Panel" macro,
+ * and remembers where it was placed. Every tool also gets an (unbound) keybinding of its own.
+ */
+
+import { MODULE_ID, getSetting } from './settings.js';
+import { resolveTargets, describeTargetSource, getPartyMembers, getAveragePartyLevel, setPinnedTargets } from './party.js';
+import { generateEncounter, RANDOM_ENCOUNTER_MACRO_ICON } from './random-encounter-macro.js';
+import { openRecallKnowledgeDialog, QUICK_RECALL_MACRO_ICON } from './quick-recall-knowledge.js';
+import { openJournalExportDialog, JOURNAL_EXPORT_MACRO_ICON } from './journal-to-html-export.js';
+import { openFullRestoreDialog, restoreActors, FULL_RESTORE_MACRO_ICON } from './full-restore.js';
+import { resizeToken, QUICK_TOKEN_RESIZER_MACRO_ICON } from './quick-token-resizer.js';
+import { cleanupCombat, COMBAT_CLEANUP_MACRO_ICON } from './quick-combat-cleanup.js';
+import { applyInitiativeModifier, INITIATIVE_MODIFIER_MACRO_ICON } from './apply-initiative-modifier.js';
+import { awardXP, EXPERIENCE_AWARD_MACRO_ICON } from './award-xp.js';
+import { addStatusEffect, STATUS_EFFECT_MACRO_ICON } from './easy-add-conditions.js';
+import { addExplorationActivity, EXPLORATION_ACTIVITY_MACRO_ICON } from './easy-exploration.js';
+import { undoLastAction, getJournal, UNDO_MACRO_ICON } from './undo-journal.js';
+import { openXpLedger, getXpLedger, XP_LEDGER_MACRO_ICON } from './xp-ledger.js';
+import { openRestPlanner, getDefaultRestHours, REST_PLANNER_MACRO_ICON } from './rest-planner.js';
+import { openIdentifyItemDialog, resolveIdentifyTarget, IDENTIFY_ITEM_MACRO_ICON } from './identify-item.js';
+import { getIdentificationDC, getIdentifyingSkills, getIdentifyAction } from './identification.js';
+import { openSecretGroupCheckDialog, getTargetDC, SECRET_GROUP_CHECK_MACRO_ICON } from './secret-group-check.js';
+import { localize, format, skillLabel, escape } from './i18n.js';
+
+export const CONTROL_PANEL_MACRO_NAME = "GM Control Panel";
+export const CONTROL_PANEL_MACRO_ICON = "icons/svg/combat.svg";
+
+/**
+ * The panel's tabs, in display order. Each opens its tool and summarizes what the tool would act on.
+ * Keys match the macro keys in 'macro-sync.js', so tab labels reuse the localized macro names.
+ */
+const PANEL_TOOLS = [
+    { key: "awardXp", icon: EXPERIENCE_AWARD_MACRO_ICON, open: awardXP, summary: summarizeXp },
+    { key: "xpLedger", icon: XP_LEDGER_MACRO_ICON, open: openXpLedger, summary: summarizeLedger },
+    { key: "fullRestore", icon: FULL_RESTORE_MACRO_ICON, open: openFullRestoreDialog, summary: summarizeHitPoints },
+    { key: "restPlanner", icon: REST_PLANNER_MACRO_ICON, open: openRestPlanner, summary: summarizeRestPlanner },
+    { key: "statusEffect", icon: STATUS_EFFECT_MACRO_ICON, open: addStatusEffect, summary: summarizeConditions },
+    { key: "quickRecall", icon: QUICK_RECALL_MACRO_ICON, open: openRecallKnowledgeDialog, summary: summarizeRecall },
+    { key: "identifyItem", icon: IDENTIFY_ITEM_MACRO_ICON, open: openIdentifyItemDialog, summary: summarizeIdentify },
+    { key: "secretCheck", icon: SECRET_GROUP_CHECK_MACRO_ICON, open: openSecretGroupCheckDialog, summary: summarizeSecretCheck },
+    { key: "exploration", icon: EXPLORATION_ACTIVITY_MACRO_ICON, open: addExplorationActivity, summary: summarizeExploration },
+    { key: "initiativeModifier", icon: INITIATIVE_MODIFIER_MACRO_ICON, open: applyInitiativeModifier, summary: summarizeCombat },
+    { key: "combatCleanup", icon: COMBAT_CLEANUP_MACRO_ICON, open: () => cleanupCombat(), summary: summarizeCleanup },
+    { key: "randomEncounter", icon: RANDOM_ENCOUNTER_MACRO_ICON, open: generateEncounter, summary: summarizeEncounter },
+    { key: "tokenResizer", icon: QUICK_TOKEN_RESIZER_MACRO_ICON, open: resizeToken, summary: summarizeToken },
+    { key: "journalExport", icon: JOURNAL_EXPORT_MACRO_ICON, open: openJournalExportDialog, summary: summarizeJournals },
+    { key: "undoLastAction", icon: UNDO_MACRO_ICON, open: undoLastAction, summary: summarizeUndo }
+];
+
+/**
+ * Buttons of the quick-action bar: one click, no tab switching.
+ */
+const QUICK_ACTIONS = [
+    { key: "undo", icon: "fas fa-undo", run: undoLastAction },
+    { key: "heal", icon: "fas fa-heart", run: () => restoreActors({ options: { heal: true, wounded: false } }) },
+    { key: "cleanup", icon: "fas fa-broom", run: () => cleanupCombat() },
+    { key: "encounter", icon: "fas fa-dragon", run: generateEncounter }
+];
+
+// Hooks after which the panel's summaries may be out of date
+const REFRESH_HOOKS = [
+    "controlToken", "targetToken", "updateActor", "createItem", "updateItem", "deleteItem",
+    "createCombat", "updateCombat", "deleteCombat", "updateCombatant", "updateSetting"
+];
+
+// --- 1. TOOL SUMMARIES ---
+// Each summarize* function returns the HTML shown on its tool's tab.
+
+/**
+ * Renders a list of "name: value" rows, or a note if there are none.
+ * @param {{name: string, value: string}[]} rows - Rows to show; values may contain HTML.
+ * @returns {string} HTML.
+ */
+function summaryList(rows) {
+    if (rows.length === 0) return `<p class="notes">${localize("ControlPanel.Summary.None")}</p>`;
+    return `<ul class="pf2e-awesome-panel-summary">${rows.map(row =>
+        `<li><strong>${escape(row.name)}</strong><span>${row.value}</span></li>`).join("")}</ul>`;
+}
+
+function summarizeXp() {
+    const { actors } = resolveTargets({ targeted: true, filter: a => a.type === "character" });
+    return summaryList(actors.map(a => {
+        const xp = a.system.details?.xp ?? {};
+        return { name: a.name, value: `${xp.value ?? 0} / ${xp.max ?? 1000} ${localize("ControlPanel.Summary.XP")}` };
+    }));
+}
+
+function summarizeLedger() {
+    const { actors } = resolveTargets({ targeted: true, filter: a => a.type === "character" });
+    return summaryList(actors.map(a => {
+        const last = getXpLedger(a).at(-1);
+        return {
+            name: a.name,
+            value: last ? escape(format("ControlPanel.Summary.LastAward", { amount: last.amount, reason: last.reason || "—" })) : "—"
+        };
+    }));
+}
+
+function summarizeHitPoints() {
+    const { actors } = resolveTargets({ targeted: true });
+    return summaryList(actors.map(a => {
+        const hp = a.system.attributes?.hp ?? {};
+        return { name: a.name, value: `${hp.value ?? 0} / ${hp.max ?? 0} ${localize("ControlPanel.Summary.HP")}` };
+    }));
+}
+
+function summarizeRestPlanner() {
+    const { actors } = resolveTargets({ targeted: true, filter: a => a.type === "character" });
+    return `<p>${escape(format("ControlPanel.Summary.RestPlan", {
+        watches: actors.length,
+        hours: getDefaultRestHours(actors.length).toFixed(1),
+        dc: getSetting("restInterruptionDC")
+    }))}</p>`;
+}
+
+function summarizeConditions() {
+    const { actors } = resolveTargets({ targeted: true });
+    return summaryList(actors.map(a => ({
+        name: a.name,
+        value: escape(a.conditions?.active?.map(c => c.name).join(", ") || "—")
+    })));
+}
+
+function summarizeRecall() {
+    const creature = Array.from(game.user.targets ?? [])[0];
+    const { actors, source } = resolveTargets();
+    const target = creature
+        ? format("ControlPanel.Summary.RecallTarget", {
+            name: escape(creature.name),
+            level: creature.actor?.level ?? "?",
+            dc: creature.actor ? getIdentificationDC(creature.actor) : "?",
+            skills: creature.actor ? getIdentifyingSkills(creature.actor).map(skillLabel).join(", ") : "?"
+        })
+        : localize("ControlPanel.Summary.RecallNoTarget");
+    return `<p>${target}</p><p class="notes">${escape(describeTargetSource(source, actors.length))}</p>`;
+}
+
+function summarizeIdentify() {
+    const item = resolveIdentifyTarget();
+    if (!item) return `<p>${localize("ControlPanel.Summary.IdentifyNoTarget")}</p>`;
+    return `<p>${format("ControlPanel.Summary.IdentifyTarget", {
+        name: escape(item.name),
+        action: localize(`Identify.Actions.${getIdentifyAction(item)}`),
+        dc: getIdentificationDC(item)
+    })}</p>`;
+}
+
+function summarizeSecretCheck() {
+    const targets = Array.from(game.user.targets ?? []).filter(t => t.actor);
+    if (targets.length === 0) return `<p>${localize("ControlPanel.Summary.SecretCheckNoTarget")}</p>`;
+    return summaryList(targets.map(t => ({
+        name: t.name,
+        value: escape(format("ControlPanel.Summary.StealthDC", { dc: getTargetDC(t.actor, "stealth") ?? "—" }))
+    })));
+}
+
+function summarizeExploration() {
+    const { actors } = resolveTargets({ filter: a => a.type === "character" });
+    return summaryList(actors.map(a => {
+        const activities = (a.system.exploration ?? []).map(id => a.items.get(id)?.name).filter(n => n);
+        return { name: a.name, value: escape(activities.join(", ") || "—") };
+    }));
+}
+
+function summarizeCombat() {
+    const combat = game.combat;
+    if (!combat) return `<p class="notes">${localize("ControlPanel.Summary.NoCombat")}</p>`;
+    return summaryList(combat.turns.map(c => ({ name: c.name, value: escape(c.initiative ?? "—") })));
+}
+
+function summarizeCleanup() {
+    const defeated = (canvas.scene?.tokens?.contents ?? [])
+        .filter(t => t.actor?.type === "npc" && (t.actor.system.attributes?.hp?.value ?? 1) <= 0);
+    const combat = game.combat
+        ? format("ControlPanel.Summary.CombatRound", { round: game.combat.round })
+        : localize("ControlPanel.Summary.NoCombat");
+    return `<p>${combat}</p><p>${format("ControlPanel.Summary.Defeated", { count: defeated.length })}</p>`;
+}
+
+function summarizeEncounter() {
+    const { actors } = getPartyMembers({ filter: a => a.type === "character" });
+    return `<p>${format("ControlPanel.Summary.Party", { size: actors.length, apl: getAveragePartyLevel(actors) })}</p>
+        <p class="notes">${format("ControlPanel.Summary.SceneFolder", { folder: escape(getSetting("sceneFolderName")) })}</p>`;
+}
+
+function summarizeToken() {
+    const token = canvas.tokens?.controlled?.[0];
+    if (!token) return `<p class="notes">${localize("TokenResizer.SelectToken")}</p>`;
+    return `<p>${format("ControlPanel.Summary.Token", { name: escape(token.name), grid: `${token.document.width}x${token.document.height}` })}</p>`;
+}
+
+function summarizeJournals() {
+    return `<p>${format("ControlPanel.Summary.Journals", { count: game.journal.size, folders: game.folders.filter(f => f.type === "JournalEntry").length })}</p>`;
+}
+
+function summarizeUndo() {
+    const entries = getJournal().slice(-5).reverse();
+    return summaryList(entries.map(e => ({
+        name: e.label,
+        value: `${new Date(e.timestamp).toLocaleTimeString()}${e.undone ? ` (${localize("Undo.Undone")})` : ""}`
+    })));
+}
+
+// --- 2. CONTROL PANEL APPLICATION ---
+
+const { ApplicationV2 } = foundry.applications.api;
+
+/**
+ * The GM control panel window.
+ */
+class GMControlPanel extends ApplicationV2 {
+    static DEFAULT_OPTIONS = {
+        id: "pf2e-awesome-macros-control-panel",
+        classes: ["pf2e-awesome-panel"],
+        window: {
+            title: "PF2EAM.ControlPanel.Title",
+            icon: "fas fa-dungeon",
+            resizable: true
+        },
+        position: { width: 460, height: 560 },
+        actions: {
+            selectTab: GMControlPanel.#onSelectTab,
+            openTool: GMControlPanel.#onOpenTool,
+            quickAction: GMControlPanel.#onQuickAction,
+            pinTargets: GMControlPanel.#onPinTargets,
+            unpinTarget: GMControlPanel.#onUnpinTarget,
+            clearPin: GMControlPanel.#onClearPin
+        }
+    };
+
+    // The tab shown when the panel (re-)renders
+    #activeTab = PANEL_TOOLS[0].key;
+
+    // Hook IDs registered while the panel is open
+    #hookIds = [];
+
+    #refresh = foundry.utils.debounce(() => {
+        if (this.rendered) this.render();
+    }, 200);
+
+    #savePosition = foundry.utils.debounce(() => {
+        const { left, top, width, height } = this.position;
+        game.settings.set(MODULE_ID, "controlPanelPosition", { left, top, width, height });
+    }, 500);
+
+    /** @override */
+    async _renderHTML() {
+        const { actors, source } = resolveTargets({ targeted: true });
+        const pinned = source === "pinned";
+
+        const targets = actors.map(actor => `
+            <li class="pf2e-awesome-panel-target">
+                <img src="${actor.img}" alt="">
+                <span>${escape(actor.name)}</span>
+                ${pinned ? `<a data-action="unpinTarget" data-uuid="${actor.uuid}" data-tooltip="${localize("ControlPanel.Targets.Unpin")}"><i class="fas fa-times"></i></a>` : ""}
+            </li>`).join("");
+
+        const quickActions = QUICK_ACTIONS.map(action => `
+            <button type="button" data-action="quickAction" data-key="${action.key}" data-tooltip="${localize(`ControlPanel.QuickActions.${action.key}`)}">
+                <i class="${action.icon}"></i>
+            </button>`).join("");
+
+        const tabs = PANEL_TOOLS.map(tool => `
+            <a class="pf2e-awesome-panel-tab ${tool.key === this.#activeTab ? "active" : ""}" data-action="selectTab" data-tab="${tool.key}" data-tooltip="${localize(`Macros.${tool.key}`)}">
+                <img src="${tool.icon}" alt="">
+            </a>`).join("");
+
+        const sections = PANEL_TOOLS.map(tool => {
+            let summary;
+            try {
+                summary = tool.summary();
+            } catch (err) {
+                console.error(`PF2e Awesome Macros | Control panel summary failed for ${tool.key}:`, err);
+                summary = "";
+            }
+            return `
+            <section class="pf2e-awesome-panel-section ${tool.key === this.#activeTab ? "active" : ""}" data-tab="${tool.key}">
+                <h3>${localize(`Macros.${tool.key}`)}</h3>
+                <p class="hint">${localize(`ControlPanel.Tools.${tool.key}`)}</p>
+                ${summary}
+                <button type="button" data-action="openTool" data-key="${tool.key}"><i class="fas fa-external-link-alt"></i> ${localize("ControlPanel.Open")}</button>
+            </section>`;
+        }).join("");
+
+        return `
+            <fieldset class="pf2e-awesome-panel-targets">
+                <legend>${localize("Common.Targeting")}</legend>
+                <p class="notes">${escape(describeTargetSource(source, actors.length))}</p>
+                <ul>${targets}</ul>
+                <div class="pf2e-awesome-panel-buttons">
+                    <button type="button" data-action="pinTargets"><i class="fas fa-thumbtack"></i> ${localize("ControlPanel.Targets.Pin")}</button>
+                    ${pinned ? `<button type="button" data-action="clearPin"><i class="fas fa-unlink"></i> ${localize("ControlPanel.Targets.Clear")}</button>` : ""}
+                </div>
+            </fieldset>
+            <nav class="pf2e-awesome-panel-quick">${quickActions}</nav>
+            <nav class="pf2e-awesome-panel-tabs">${tabs}</nav>
+            ${sections}
+        `;
+    }
+
+    /** @override */
+    _replaceHTML(result, content) {
+        content.innerHTML = result;
+    }
+
+    /** @override */
+    _onFirstRender(context, options) {
+        super._onFirstRender(context, options);
+        this.#hookIds = REFRESH_HOOKS.map(hook => [hook, Hooks.on(hook, () => this.#refresh())]);
+    }
+
+    /** @override */
+    _onClose(options) {
+        super._onClose(options);
+        for (const [hook, id] of this.#hookIds) Hooks.off(hook, id);
+        this.#hookIds = [];
+    }
+
+    /** @override */
+    setPosition(position) {
+        const result = super.setPosition(position);
+        if (this.rendered) this.#savePosition();
+        return result;
+    }
+
+    /**
+     * Shows another tool's tab without re-rendering.
+     */
+    static #onSelectTab(event, target) {
+        this.#activeTab = target.dataset.tab;
+        for (const element of this.element.querySelectorAll("[data-tab]")) {
+            element.classList.toggle("active", element.dataset.tab === this.#activeTab);
+        }
+    }
+
+    /**
+     * Opens the tool of the clicked tab.
+     */
+    static async #onOpenTool(event, target) {
+        await PANEL_TOOLS.find(t => t.key === target.dataset.key)?.open();
+    }
+
+    /**
+     * Runs a quick-action bar button.
+     */
+    static async #onQuickAction(event, target) {
+        await QUICK_ACTIONS.find(a => a.key === target.dataset.key)?.run();
+    }
+
+    /**
+     * Pins the selected tokens' actors (or, with nothing selected, the targeted tokens' actors).
+     */
+    static async #onPinTargets() {
+        const tokens = canvas.tokens.controlled.length > 0 ? canvas.tokens.controlled : Array.from(game.user.targets);
+        const actors = tokens.map(t => t.actor).filter(a => a);
+        if (actors.length === 0) {
+            ui.notifications.warn(localize("ControlPanel.Targets.NothingSelected"));
+            return;
+        }
+        await setPinnedTargets(actors);
+        this.render();
+    }
+
+    /**
+     * Removes one actor from the pin.
+     */
+    static async #onUnpinTarget(event, target) {
+        const { actors } = resolveTargets();
+        await setPinnedTargets(actors.filter(a => a.uuid !== target.dataset.uuid));
+        this.render();
+    }
+
+    /**
+     * Clears the pin, so tools follow the canvas selection again.
+     */
+    static async #onClearPin() {
+        await setPinnedTargets(null);
+        this.render();
+    }
+}
+
+// --- 3. OPENING AND REGISTRATION ---
+
+/**
+ * Opens the control panel, or brings it to the front if it's already open.
+ * This is the function that the "GM Control Panel" macro, its keybinding and scene control call.
+ */
+export function openControlPanel() {
+    if (!game.user.isGM) {
+        ui.notifications.warn(localize("ControlPanel.GMOnly"));
+        return;
+    }
+    const existing = foundry.applications.instances.get(GMControlPanel.DEFAULT_OPTIONS.id);
+    if (existing) {
+        existing.bringToFront();
+        return;
+    }
+    new GMControlPanel({ position: getSetting("controlPanelPosition") ?? {} }).render(true);
+}
+
+/**
+ * Registers the keybindings and the Token Controls button. Called on the 'init' hook.
+ */
+export function registerControlPanel() {
+    game.keybindings.register(MODULE_ID, "openControlPanel", {
+        name: "PF2EAM.Macros.controlPanel",
+        hint: "PF2EAM.ControlPanel.KeybindingHint",
+        editable: [{ key: "KeyG", modifiers: ["Shift"] }],
+        restricted: true,
+        onDown: () => {
+            openControlPanel();
+            return true;
+        }
+    });
+
+    // One unbound keybinding per tool; the GM assigns the keys under Configure Controls
+    for (const tool of PANEL_TOOLS) {
+        game.keybindings.register(MODULE_ID, `open-${tool.key}`, {
+            name: `PF2EAM.Macros.${tool.key}`,
+            hint: "PF2EAM.ControlPanel.ToolKeybindingHint",
+            editable: [],
+            restricted: true,
+            onDown: () => {
+                tool.open();
+                return true;
+            }
+        });
+    }
+
+    Hooks.on("getSceneControlButtons", (controls) => {
+        if (!game.user.isGM || !controls.tokens) return;
+        controls.tokens.tools.pf2eAwesomeMacros = {
+            name: "pf2eAwesomeMacros",
+            title: "PF2EAM.ControlPanel.Title",
+            icon: "fas fa-dungeon",
+            order: Object.keys(controls.tokens.tools).length,
+            button: true,
+            visible: true,
+            onChange: () => openControlPanel()
+        };
+    });
+}
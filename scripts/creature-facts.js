@@ -0,0 +1,131 @@
+/**
+ * PF2e Awesome Macros - Creature Facts
+ * Prepares what a Recall Knowledge check can reveal about a creature, read from its actor data:
+ * - its highest and lowest save,
+ * - its weaknesses, resistances and immunities,
+ * - its notable offensive and defensive abilities.
+ * Quick Recall Knowledge (see 'quick-recall-knowledge.js') hands these out by degree of success:
+ * two facts for a critical success, one for a success, none for a failure, and a false fact for a critical failure.
+ */
+
+import { localize, format, damageTypeLabel } from './i18n.js';
+
+// Facts earned by each degree of success
+export const FACTS_BY_DEGREE = {
+    criticalSuccess: 2,
+    success: 1,
+    failure: 0,
+    criticalFailure: 0
+};
+
+const SAVES = ["fortitude", "reflex", "will"];
+
+// NPC ability categories worth revealing; "interaction" holds languages, senses and the like
+const NOTABLE_ABILITY_CATEGORIES = ["offensive", "defensive"];
+
+// --- 1. READING THE CREATURE ---
+
+/**
+ * Returns the creature's saves from highest to lowest modifier.
+ * @returns {{slug: string, label: string, mod: number}[]} The saves it has.
+ */
+function sortedSaves(creature) {
+    return SAVES
+        .map(slug => creature.saves?.[slug])
+        .filter(save => save)
+        .map(save => ({ slug: save.slug, label: save.label, mod: save.mod }))
+        .sort((a, b) => b.mod - a.mod);
+}
+
+/**
+ * Lists a creature's weaknesses, resistances or immunities as text, e.g. "Fire 10, Cold Iron 5".
+ * @param {Actor} creature - The creature.
+ * @param {string} kind - 'weaknesses', 'resistances' or 'immunities'.
+ * @returns {string} The list, or an empty string.
+ */
+function listIWR(creature, kind) {
+    return (creature.attributes?.[kind] ?? [])
+        .map(iwr => iwr.label ?? [damageTypeLabel(iwr.type), iwr.value].filter(part => part).join(" "))
+        .join(", ");
+}
+
+// --- 2. FACTS ---
+
+/**
+ * Prepares the true facts about a creature, most useful first: weaknesses, highest and lowest save,
+ * resistances, immunities, then one fact per notable ability.
+ * @param {Actor} creature - The creature.
+ * @returns {string[]} The facts, localized.
+ */
+export function getCreatureFacts(creature) {
+    const facts = [];
+
+    const weaknesses = listIWR(creature, "weaknesses");
+    if (weaknesses) facts.push(format("Recall.Facts.Weaknesses", { list: weaknesses }));
+
+    // A creature whose saves are all equal has no highest or lowest one
+    const saves = sortedSaves(creature);
+    if (saves.length > 1 && saves[0].mod > saves.at(-1).mod) {
+        facts.push(format("Recall.Facts.HighestSave", { save: saves[0].label }));
+        facts.push(format("Recall.Facts.LowestSave", { save: saves.at(-1).label }));
+    }
+
+    const resistances = listIWR(creature, "resistances");
+    if (resistances) facts.push(format("Recall.Facts.Resistances", { list: resistances }));
+    const immunities = listIWR(creature, "immunities");
+    if (immunities) facts.push(format("Recall.Facts.Immunities", { list: immunities }));
+
+    for (const ability of creature.itemTypes?.action ?? []) {
+        if (NOTABLE_ABILITY_CATEGORIES.includes(ability.system.category)) {
+            facts.push(format("Recall.Facts.Ability", { ability: ability.name }));
+        }
+    }
+    return facts;
+}
+
+/**
+ * Prepares a false fact for a critical failure, which the GM can edit before sending it: the creature's lowest
+ * save given as its highest, a weakness given as a resistance, or an immunity given as a weakness.
+ * @param {Actor} creature - The creature.
+ * @returns {string} The false fact, localized.
+ */
+export function getFalseCreatureFact(creature) {
+    const saves = sortedSaves(creature);
+    if (saves.length > 1 && saves[0].mod > saves.at(-1).mod) {
+        return format("Recall.Facts.HighestSave", { save: saves.at(-1).label });
+    }
+
+    const weakness = creature.attributes?.weaknesses?.[0];
+    if (weakness) return format("Recall.Facts.Resistances", { list: damageTypeLabel(weakness.type) });
+    const immunity = creature.attributes?.immunities?.[0];
+    if (immunity) return format("Recall.Facts.Weaknesses", { list: damageTypeLabel(immunity.type) });
+
+    return localize("Recall.Facts.FalseDefault");
+}
+
+/**
+ * Hands out facts to Recall Knowledge results by degree of success. Each result takes the next facts in the list
+ * that its character doesn't know yet, so characters who succeed together learn different things until the facts
+ * run out and the list starts over.
+ * @param {Actor} creature - The creature.
+ * @param {{degree: string, known?: string[]}[]} results - Recall Knowledge results in card order, with the facts
+ * each character already knows (see 'recall-memory.js').
+ * @returns {{facts: string[], falseFact: string|null}[]} Per result: its new facts, or a false fact for a critical failure.
+ */
+export function dealCreatureFacts(creature, results) {
+    const facts = getCreatureFacts(creature);
+    let next = 0;
+    return results.map(({ degree, known = [] }) => {
+        if (degree === "criticalFailure") return { facts: [], falseFact: getFalseCreatureFact(creature) };
+
+        const dealt = [];
+        const start = next;
+        for (let i = 0; i < facts.length && dealt.length < (FACTS_BY_DEGREE[degree] ?? 0); i++) {
+            const index = (start + i) % facts.length;
+            if (known.includes(facts[index])) continue;
+            dealt.push(facts[index]);
+            next = index + 1;
+        }
+        return { facts: dealt, falseFact: null };
+    });
+}
@@ -0,0 +1,231 @@
+/**
+ * PF2e Awesome Macros - Daily Preparations
+ * Refreshes everything a creature gets back when it makes its daily preparations, as one pass used by
+ * Full Restore (see 'full-restore.js'):
+ * - Focus Points and spell slots,
+ * - expended prepared spells and innate spell uses,
+ * - actions and feats usable a limited number of times per day (or per shorter period),
+ * - staff charges (staff spellcasting entries of the PF2e Dailies module) and wand uses,
+ * - infused alchemical items, which expire and are removed.
+ * Every change goes through the caller's undo operation.
+ */
+
+import { localize, format } from './i18n.js';
+
+// Frequencies that have always refreshed by the next daily preparations
+const DAILY_FREQUENCIES = ["turn", "round", "PT1M", "PT10M", "PT1H", "PT24H", "day"];
+
+// --- 1. HELPER FUNCTIONS ---
+
+/**
+ * Joins labels into a list, e.g. "A, B and C".
+ * @param {string[]} labels - The labels.
+ * @returns {string} The list.
+ */
+export function listLabels(labels) {
+    if (labels.length < 2) return labels.join("");
+    return `${labels.slice(0, -1).join(", ")}${localize("FullRestore.Changes.And")}${labels.at(-1)}`;
+}
+
+/**
+ * Builds the label for a refreshed resource, e.g. "3 spell slot(s)".
+ * @param {string} key - Key under "PF2EAM.FullRestore.Preparations".
+ * @param {number} count - How many were refreshed.
+ * @returns {string} The label.
+ */
+function preparationLabel(key, count) {
+    return format(`FullRestore.Preparations.${key}`, { count });
+}
+
+/**
+ * Marks every prepared spell of a slot rank as not expended.
+ * @param {object[]|object} prepared - The rank's prepared spells (an array, or an object keyed by index).
+ * @returns {{prepared: object[]|object, count: number}} The reset spells and how many were expended.
+ */
+function unexpend(prepared) {
+    const count = Object.values(prepared ?? {}).filter(spell => spell?.expended).length;
+    const reset = (spell) => (spell?.expended ? { ...spell, expended: false } : spell);
+    return {
+        prepared: Array.isArray(prepared)
+            ? prepared.map(reset)
+            : Object.fromEntries(Object.entries(prepared ?? {}).map(([index, spell]) => [index, reset(spell)])),
+        count
+    };
+}
+
+/**
+ * Whether a spellcasting entry has spell slots to refill. Rituals, focus spells, innate spells and staves don't.
+ * @param {Item} entry - The spellcasting entry.
+ * @returns {boolean} True for prepared and spontaneous entries.
+ */
+function hasSpellSlots(entry) {
+    return !(entry.isRitual || entry.isFocusPool || entry.isInnate || entry.system.prepared?.value === "charge");
+}
+
+/**
+ * Counts an actor's spell slots over all its slotted spellcasting entries, e.g. for the rest preview.
+ * @param {Actor} actor - The actor.
+ * @returns {{value: number, max: number}} Slots left and slots in total.
+ */
+export function getSpellSlotTotals(actor) {
+    const totals = { value: 0, max: 0 };
+    for (const entry of actor.itemTypes?.spellcastingEntry ?? []) {
+        if (!hasSpellSlots(entry)) continue;
+        for (const slotData of Object.values(entry.system.slots ?? {})) {
+            if (!(slotData.max > 0)) continue;
+            totals.value += slotData.value;
+            totals.max += slotData.max;
+        }
+    }
+    return totals;
+}
+
+// --- 2. PREPARATION STEPS ---
+
+/**
+ * Refills spell slots and un-expends prepared spells on every slotted spellcasting entry.
+ * @returns {Promise<{slots: number, prepared: number}>} How many slots and prepared spells were refreshed.
+ */
+async function refreshSpellSlots(actor, undo) {
+    let slots = 0;
+    let prepared = 0;
+
+    for (const entry of actor.itemTypes.spellcastingEntry) {
+        if (!hasSpellSlots(entry)) continue;
+
+        const updates = {};
+        for (const [key, slotData] of Object.entries(entry.system.slots ?? {})) {
+            if (slotData.max > 0 && slotData.value < slotData.max) {
+                updates[`system.slots.${key}.value`] = slotData.max;
+                slots += slotData.max - slotData.value;
+            }
+
+            if (entry.isPrepared && slotData.prepared) {
+                const reset = unexpend(slotData.prepared);
+                if (reset.count > 0) {
+                    updates[`system.slots.${key}.prepared`] = reset.prepared;
+                    prepared += reset.count;
+                }
+            }
+        }
+
+        if (Object.keys(updates).length > 0) await undo.update(entry, updates);
+    }
+
+    return { slots, prepared };
+}
+
+/**
+ * Restores the uses of innate spells.
+ * @returns {Promise<number>} How many innate spells got their uses back.
+ */
+async function refreshInnateSpells(actor, undo) {
+    const innateEntries = new Set(actor.itemTypes.spellcastingEntry.filter(entry => entry.isInnate).map(entry => entry.id));
+    const updates = actor.itemTypes.spell
+        .filter(spell => innateEntries.has(spell.system.location?.value))
+        .filter(spell => spell.system.location.uses?.max > 0 && spell.system.location.uses.value < spell.system.location.uses.max)
+        .map(spell => ({ _id: spell.id, "system.location.uses.value": spell.system.location.uses.max }));
+
+    if (updates.length > 0) await undo.updateEmbedded(actor, "Item", updates);
+    return updates.length;
+}
+
+/**
+ * Restores actions and feats with a per-day (or shorter) frequency.
+ * @returns {Promise<{actions: number, feats: number}>} How many actions and feats were restored.
+ */
+async function refreshFrequencies(actor, undo) {
+    const items = [...actor.itemTypes.action, ...actor.itemTypes.feat].filter(item => {
+        const frequency = item.system.frequency;
+        return frequency?.max > 0 && frequency.value < frequency.max && DAILY_FREQUENCIES.includes(frequency.per);
+    });
+
+    if (items.length > 0) {
+        await undo.updateEmbedded(actor, "Item", items.map(item => ({ _id: item.id, "system.frequency.value": item.system.frequency.max })));
+    }
+    return {
+        actions: items.filter(item => item.type === "action").length,
+        feats: items.filter(item => item.type === "feat").length
+    };
+}
+
+/**
+ * Recharges staves prepared with the PF2e Dailies module.
+ * @returns {Promise<number>} How many staves were recharged.
+ */
+async function refreshStaffCharges(actor, undo) {
+    let count = 0;
+    for (const entry of actor.itemTypes.spellcastingEntry) {
+        const staff = entry.flags["pf2e-dailies"]?.staff;
+        if (entry.system.prepared?.value !== "charge" || !(staff?.charges < staff?.max)) continue;
+
+        await undo.update(entry, { "flags.pf2e-dailies.staff.charges": staff.max, "flags.pf2e-dailies.staff.overcharge": 0 });
+        count++;
+    }
+    return count;
+}
+
+/**
+ * Gives wands back their daily spell. Wands broken by overcharging stay broken until repaired.
+ * @returns {Promise<number>} How many wands were restored.
+ */
+async function refreshWands(actor, undo) {
+    const updates = actor.itemTypes.consumable
+        .filter(item => item.category === "wand" && item.system.uses?.value < item.system.uses?.max)
+        .filter(item => !(item.system.hp?.max > 0 && item.system.hp.value <= item.system.hp.brokenThreshold))
+        .map(item => ({ _id: item.id, "system.uses.value": item.system.uses.max }));
+
+    if (updates.length > 0) await undo.updateEmbedded(actor, "Item", updates);
+    return updates.length;
+}
+
+/**
+ * Removes infused alchemical items, which last only until the next daily preparations.
+ * @returns {Promise<string[]>} Names of the removed items.
+ */
+async function expireInfusedItems(actor, undo) {
+    const infused = actor.items.filter(item => {
+        const traits = item.system.traits?.value ?? [];
+        return item.isOfType?.("physical") && traits.includes("infused") && traits.includes("alchemical");
+    });
+
+    if (infused.length > 0) await undo.delete(actor, "Item", infused.map(item => item.id));
+    return infused.map(item => item.name);
+}
+
+// --- 3. DAILY PREPARATIONS PASS ---
+
+/**
+ * Runs the daily preparations for one actor.
+ * @param {Actor} actor - The actor.
+ * @param {UndoOperation} undo - The rest's undo operation (see 'undo-journal.js').
+ * @returns {Promise<{refreshed: string[], expired: string[]}>} Labels of what was refreshed, e.g. "Focus Points"
+ * or "3 spell slot(s)", and the names of the infused items that expired.
+ */
+export async function resetDailyPreparations(actor, undo) {
+    const refreshed = [];
+
+    // Focus Points
+    const focus = actor.system.resources?.focus;
+    if (focus && focus.value < focus.max) {
+        await undo.update(actor, { "system.resources.focus.value": focus.max });
+        refreshed.push(localize("FullRestore.Changes.FocusPoints"));
+    }
+
+    const spells = await refreshSpellSlots(actor, undo);
+    const frequencies = await refreshFrequencies(actor, undo);
+    const counts = {
+        SpellSlots: spells.slots,
+        PreparedSpells: spells.prepared,
+        InnateSpells: await refreshInnateSpells(actor, undo),
+        StaffCharges: await refreshStaffCharges(actor, undo),
+        Wands: await refreshWands(actor, undo),
+        Actions: frequencies.actions,
+        Feats: frequencies.feats
+    };
+    for (const [key, count] of Object.entries(counts)) {
+        if (count > 0) refreshed.push(preparationLabel(key, count));
+    }
+
+    return { refreshed, expired: await expireInfusedItems(actor, undo) };
+}
@@ -2,56 +2,55 @@
  * PF2e Add Status Effect
  * * A macro to add a specific condition or persistent damage type
  * * to selected actors or the entire party.
- * * Targeting: Auto-detects selected tokens or defaults to Party folder/PC actors.
+ * * Targeting: Selected tokens, then targeted tokens, then the party (see 'party.js').
  * * Updated for PF2e V12/V13
  */
 
+import { resolveTargets } from './party.js';
+import { UndoOperation, undoButtonHTML } from './undo-journal.js';
+import { callPreHook, callPostHook } from './hooks.js';
+import { localize, format, conditionLabel, damageTypeLabel } from './i18n.js';
+
 export const STATUS_EFFECT_MACRO_NAME = "Easy Add Status/Condition";
 export const STATUS_EFFECT_MACRO_ICON = "modules/pf2e-awesome-macros-for-gms/assets/easy-add-condition.png";
 
+// Conditions offered by the dialog; ranked conditions take a value
+const DIALOG_CONDITIONS = [
+    { slug: "persistent-damage", ranked: false },
+    { slug: "wounded", ranked: true },
+    { slug: "dying", ranked: true },
+    { slug: "clumsy", ranked: true },
+    { slug: "drained", ranked: true },
+    { slug: "fatigued", ranked: false },
+    { slug: "frightened", ranked: true },
+    { slug: "sickened", ranked: true },
+    { slug: "off-guard", ranked: false },
+    { slug: "stupefied", ranked: true },
+    { slug: "enfeebled", ranked: true }
+];
+
+// Damage types offered for persistent damage
+const DIALOG_DAMAGE_TYPES = ["acid", "bleed", "bludgeoning", "cold", "electricity", "fire", "force", "mental", "piercing", "poison", "slashing"];
+
 // --------------- MAIN MACRO LOGIC ---------------
 export async function addStatusEffect() {
     // 1. Determine Actors (Run immediately to populate Dialog)
-    const controlled = canvas?.tokens?.controlled ?? [];
-    let targetActors = [];
-    let targetLabel = "The Party";
-
-    if (controlled.length > 0) {
-        const seen = new Set();
-        for (const token of controlled) {
-            const actor = token.actor;
-            if (actor && !seen.has(actor.id)) {
-                targetActors.push(actor);
-                seen.add(actor.id);
-            }
-        }
-        targetLabel = targetActors.map(a => a.name).join(", ");
-    } else {
-        const actorFolders = game.folders.filter(f => f.type === 'Actor');
-        const partyFolder = actorFolders.find(f => (f.name || '').toLowerCase() === 'party');
-
-        if (partyFolder) {
-            for (const actor of game.actors.values()) {
-                if (actor.folder?.id === partyFolder.id) {
-                    targetActors.push(actor);
-                }
-            }
-        }
-
-        if (targetActors.length === 0) {
-            for (const actor of game.actors.values()) {
-                if (actor && (actor.type === 'character' || actor.hasPlayerOwner)) {
-                    targetActors.push(actor);
-                }
-            }
-        }
-    }
+    // Selected tokens, then targeted tokens, then the party (see 'party.js')
+    const { actors: targetActors, label: targetLabel } = resolveTargets({ targeted: true });
 
     if (targetActors.length === 0) {
-        ui.notifications.error('No target actors found.');
+        ui.notifications.error(localize("Conditions.NoTargets"));
         return;
     }
 
+    const conditionOptions = DIALOG_CONDITIONS.map(({ slug, ranked }) => {
+        const label = ranked ? format("Conditions.Ranked", { condition: conditionLabel(slug) }) : conditionLabel(slug);
+        return `<option value="${slug}">${label}</option>`;
+    }).join("");
+    const damageTypeOptions = DIALOG_DAMAGE_TYPES.map(type =>
+        `<option value="${type}" ${type === "fire" ? "selected" : ""}>${damageTypeLabel(type)}</option>`
+    ).join("");
+
     const content = `
 <style>
     .pf2e-status-dialog .form-group { display: flex; align-items: center; justify-content: space-between; margin-bottom: 8px; }
@@ -61,55 +60,35 @@ export async function addStatusEffect() {
     .pf2e-status-header { border-bottom: 1px solid #782e22; margin-bottom: 10px; font-weight: bold; color: #782e22; }
 </style>
 <form class="pf2e-status-dialog">
-    <div class="pf2e-status-header">Targeting</div>
+    <div class="pf2e-status-header">${localize("Common.Targeting")}</div>
     <div class="form-group">
-        <label>Targets:</label>
+        <label>${localize("Common.Targets")}</label>
         <div class="target-list">${targetLabel}</div>
     </div>
 
-    <div class="pf2e-status-header">Status Effect Details</div>
+    <div class="pf2e-status-header">${localize("Conditions.Dialog.Details")}</div>
     
     <div class="form-group">
-        <label for="conditionName">Status/Condition:</label>
+        <label for="conditionName">${localize("Conditions.Dialog.Condition")}</label>
         <select id="conditionName" name="conditionName">
-            <option value="persistent-damage">Persistent Damage</option>
-            <option value="wounded">Wounded (Ranked)</option>
-            <option value="dying">Dying (Ranked)</option>
-            <option value="clumsy">Clumsy (Ranked)</option>
-            <option value="drained">Drained (Ranked)</option>
-            <option value="fatigued">Fatigued</option>
-            <option value="frightened">Frightened (Ranked)</option>
-            <option value="sickened">Sickened (Ranked)</option>
-            <option value="off-guard">Off-Guard (Flat-Footed)</option>
-            <option value="stupefied">Stupefied (Ranked)</option>
-            <option value="enfeebled">Enfeebled (Ranked)</option>
+            ${conditionOptions}
         </select>
     </div>
 
     <div class="form-group">
-        <label for="conditionValue">Value/Rank:</label>
+        <label for="conditionValue">${localize("Conditions.Dialog.Value")}</label>
         <input type="number" id="conditionValue" name="conditionValue" value="1" min="1">
     </div>
 
     <div id="persistentDamageOptions" style="display: none;">
         <div class="form-group">
-            <label for="damageType">Damage Type:</label>
+            <label for="damageType">${localize("Conditions.Dialog.DamageType")}</label>
             <select id="damageType" name="damageType">
-                <option value="acid">Acid</option>
-                <option value="bleed">Bleed</option>
-                <option value="bludgeoning">Bludgeoning</option>
-                <option value="cold">Cold</option>
-                <option value="electricity">Electricity</option>
-                <option value="fire" selected>Fire (Burn)</option>
-                <option value="force">Force</option>
-                <option value="mental">Mental</option>
-                <option value="piercing">Piercing</option>
-                <option value="poison">Poison</option>
-                <option value="slashing">Slashing</option>
+                ${damageTypeOptions}
             </select>
         </div>
         <div class="form-group">
-            <label for="damageFormula">Damage Formula (e.g., 1d6):</label>
+            <label for="damageFormula">${localize("Conditions.Dialog.Formula")}</label>
             <input type="text" id="damageFormula" name="damageFormula" value="1d6">
         </div>
     </div>
@@ -117,17 +96,17 @@ export async function addStatusEffect() {
 `;
 
     new Dialog({
-        title: "Apply Status/Condition",
+        title: localize("Conditions.Title"),
         content: content,
         buttons: {
             apply: {
                 icon: "<i class='fas fa-plus-circle'></i>",
-                label: "Apply Status",
+                label: localize("Conditions.Dialog.Apply"),
                 callback: (html) => executeStatusAdd(html, targetActors)
             },
             cancel: {
                 icon: "<i class='fas fa-times'></i>",
-                label: "Cancel"
+                label: localize("Common.Cancel")
             }
         },
         default: "apply",
@@ -151,91 +130,148 @@ export async function addStatusEffect() {
             updateVisibility(); // Init
         }
     }).render(true);
+}
 
-    /**
-     * Executes the logic to apply the condition/status to the actors.
-     * @param {JQuery} html The dialog HTML element.
-     * @param {ActorPF2e[]} actorsToUpdate The list of actors to target.
-     */
-    async function executeStatusAdd(html, actorsToUpdate) {
-        const conditionName = html.find('[name="conditionName"]').val();
-        const conditionValue = parseInt(html.find('[name="conditionValue"]').val());
-        const damageType = html.find('[name="damageType"]').val();
-        const damageFormula = html.find('[name="damageFormula"]').val().trim();
-
-        const appliedResults = [];
-
-        for (const actor of actorsToUpdate) {
-            try {
-                if (conditionName === 'persistent-damage') {
-                    if (!damageFormula) {
-                        ui.notifications.error(`Persistent Damage requires a Formula. Skipping ${actor.name}.`);
-                        continue;
-                    }
+/**
+ * Reads the dialog fields and applies the status through applyCondition().
+ * @param {JQuery} html The dialog HTML element.
+ * @param {ActorPF2e[]} actorsToUpdate The list of actors to target.
+ */
+async function executeStatusAdd(html, actorsToUpdate) {
+    const conditionName = html.find('[name="conditionName"]').val();
+    const conditionValue = parseInt(html.find('[name="conditionValue"]').val());
+    const damageType = html.find('[name="damageType"]').val();
+    const damageFormula = html.find('[name="damageFormula"]').val().trim();
 
-                    // Construct the Persistent Damage Condition Item directly
-                    const itemData = {
-                        type: "condition",
-                        name: `Persistent ${damageType.capitalize()}`,
-                        system: {
-                            slug: "persistent-damage",
-                            persistent: {
-                                formula: damageFormula,
-                                damageType: damageType,
-                                dc: 15 // Standard DC 15 base
-                            }
-                        }
-                    };
+    await applyCondition({
+        actors: actorsToUpdate,
+        slug: conditionName,
+        value: conditionValue,
+        persistent: { formula: damageFormula, damageType: damageType }
+    });
+}
 
-                    await actor.createEmbeddedDocuments("Item", [itemData]);
-                    appliedResults.push(`Persistent Damage (${damageFormula} ${damageType}) to ${actor.name}`);
+/**
+ * Applies a condition or persistent damage without any dialog. Used by the dialog and the scripting API.
+ * @param {object} params
+ * @param {ActorPF2e[]} [params.actors] - Actors to affect; defaults to the resolved targets (see 'party.js').
+ * @param {string} params.slug - Condition slug (e.g. 'frightened') or 'persistent-damage'.
+ * @param {number} [params.value=1] - Value/rank for ranked conditions.
+ * @param {object} [params.persistent] - For persistent damage: { formula = "1d6", damageType = "fire", dc = 15 }.
+ * @param {boolean} [params.chat=true] - Whisper the report to the GMs.
+ * @returns {Promise<{results: {actor: ActorPF2e, slug: string, value: number|null, message: string}[], errors: {actor: ActorPF2e, error: Error}[]}|null>}
+ * Null if a preApplyCondition hook cancelled it.
+ */
+export async function applyCondition({ actors, slug, value = 1, persistent = {}, chat = true } = {}) {
+    actors ??= resolveTargets({ targeted: true }).actors;
 
-                } else {
-                    // 1. Ensure the condition exists on the actor
-                    if (!actor.hasCondition(conditionName)) {
-                        await actor.increaseCondition(conditionName);
+    // Let other modules adjust or cancel the condition (see 'hooks.js')
+    const params = { actors, slug, value, persistent };
+    if (!callPreHook("preApplyCondition", params)) return null;
+    ({ actors, slug, value, persistent } = params);
+
+    if (!slug) {
+        throw new Error("PF2e Awesome Macros | applyCondition: a condition slug is required.");
+    }
+
+    const conditionName = slug;
+    const conditionValue = Number(value) || 1;
+    const damageType = persistent.damageType ?? "fire";
+    const damageFormula = String(persistent.formula ?? "1d6").trim();
+    const persistentDC = persistent.dc ?? 15; // Standard DC 15 base
+
+    const appliedResults = [];
+    const errors = [];
+    const undo = new UndoOperation(format("Conditions.UndoLabel", { condition: conditionLabel(slug) }));
+
+    for (const actor of actors) {
+        try {
+            if (conditionName === 'persistent-damage') {
+                if (!damageFormula) {
+                    ui.notifications.error(format("Conditions.FormulaRequired", { name: actor.name }));
+                    continue;
+                }
+
+                // Construct the Persistent Damage Condition Item directly
+                const itemData = {
+                    type: "condition",
+                    name: format("Conditions.PersistentName", { type: damageTypeLabel(damageType) }),
+                    system: {
+                        slug: "persistent-damage",
+                        persistent: {
+                            formula: damageFormula,
+                            damageType: damageType,
+                            dc: persistentDC
+                        }
                     }
+                };
+
+                await undo.create(actor, "Item", [itemData]);
+                appliedResults.push({
+                    actor, slug: conditionName, value: null,
+                    message: format("Conditions.Chat.Persistent", {
+                        condition: conditionLabel("persistent-damage"), formula: damageFormula, type: damageTypeLabel(damageType), name: actor.name
+                    })
+                });
+
+            } else {
+                // 1. Ensure the condition exists on the actor
+                if (!actor.hasCondition(conditionName)) {
+                    await undo.trackItems(actor, () => actor.increaseCondition(conditionName));
+                }
 
-                    // 2. Force the value to the specific rank requested
-                    const condition = actor.getCondition(conditionName);
-                    if (condition) {
-                        // Only update if the condition supports values (ranked conditions)
-                        // and if the value is different from current.
-                        // We check system.value.value to be safe.
-                        if (typeof condition.system.value.value === 'number') {
-                            if (condition.system.value.value !== conditionValue) {
-                                await condition.update({ "system.value.value": conditionValue });
-                            }
-                            const label = conditionName.capitalize();
-                            appliedResults.push(`${label} (Rank ${conditionValue}) to ${actor.name}`);
-                        } else {
-                            // For unranked conditions (like Fatigued, Off-Guard), just adding it (step 1) is enough
-                            const label = conditionName.capitalize();
-                            appliedResults.push(`${label} to ${actor.name}`);
+                // 2. Force the value to the specific rank requested
+                const condition = actor.getCondition(conditionName);
+                if (condition) {
+                    // Only update if the condition supports values (ranked conditions)
+                    // and if the value is different from current.
+                    // We check system.value.value to be safe.
+                    if (typeof condition.system.value.value === 'number') {
+                        if (condition.system.value.value !== conditionValue) {
+                            await undo.update(condition, { "system.value.value": conditionValue });
                         }
+                        const label = conditionLabel(conditionName);
+                        appliedResults.push({
+                            actor, slug: conditionName, value: conditionValue,
+                            message: format("Conditions.Chat.Ranked", { condition: label, value: conditionValue, name: actor.name })
+                        });
+                    } else {
+                        // For unranked conditions (like Fatigued, Off-Guard), just adding it (step 1) is enough
+                        const label = conditionLabel(conditionName);
+                        appliedResults.push({
+                            actor, slug: conditionName, value: null,
+                            message: format("Conditions.Chat.Unranked", { condition: label, name: actor.name })
+                        });
                     }
                 }
-            } catch (err) {
-                console.error(`Error applying condition to ${actor.name}:`, err);
-                ui.notifications.error(`Error applying to ${actor.name}. Check console.`);
             }
+        } catch (err) {
+            console.error(`Error applying condition to ${actor.name}:`, err);
+            ui.notifications.error(format("Conditions.ApplyError", { name: actor.name }));
+            errors.push({ actor, error: err });
         }
+    }
 
-        // Report Results
-        if (appliedResults.length > 0) {
-            let chatContent = '<strong>Applied Status Effects:</strong><br>';
+    const undoId = await undo.commit();
+    callPostHook("conditionApplied", { actors, slug, value: conditionValue, persistent, results: appliedResults, errors, undoId });
+    if (!chat) return { results: appliedResults, errors, undoId };
 
-            for (const message of appliedResults) {
-                chatContent += ` ${message}<br>`;
-            }
+    // Report Results
+    if (appliedResults.length > 0) {
+        let chatContent = `<strong>${localize("Conditions.Chat.Title")}</strong><br>`;
 
-            ChatMessage.create({
-                content: chatContent,
-                whisper: ChatMessage.getWhisperRecipients("GM")
-            });
-            ui.notifications.info(`Processed ${actorsToUpdate.length} actors.`);
-        } else {
-            ui.notifications.info("No status effects were applied (or no changes needed).");
+        for (const result of appliedResults) {
+            chatContent += `— ${result.message}<br>`;
         }
+        chatContent += undoButtonHTML(undoId);
+
+        ChatMessage.create({
+            content: chatContent,
+            whisper: ChatMessage.getWhisperRecipients("GM")
+        });
+        ui.notifications.info(format("Conditions.Processed", { count: actors.length }));
+    } else {
+        ui.notifications.info(localize("Conditions.NothingApplied"));
     }
-}
\ No newline at end of file
+    return { results: appliedResults, errors, undoId };
+}
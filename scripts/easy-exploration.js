@@ -7,8 +7,13 @@
  * - If the item exists on the actor, activates it.
  * - If the item is only in the compendium, copies it to the actor FIRST, then activates the new item.
  * 4. Updates actor.system.exploration with the LOCAL Item ID (required for the sheet to work).
+ * Players don't change their sheet directly: the choice is sent to the GM for approval (see 'player-requests.js').
  */
 
+import { sendGMRequest } from './socket.js';
+import { callPreHook, callPostHook } from './hooks.js';
+import { localize, format } from './i18n.js';
+
 export const EXPLORATION_ACTIVITY_MACRO_NAME = "Easy Exploration";
 export const EXPLORATION_ACTIVITY_MACRO_ICON = "modules/pf2e-awesome-macros-for-gms/assets/easy-exploration.png";
 
@@ -16,193 +21,274 @@ export async function addExplorationActivity() {
     const tokens = canvas.tokens.controlled;
 
     if (tokens.length === 0) {
-        ui.notifications.warn("Please select a token first.");
+        ui.notifications.warn(localize("Exploration.SelectToken"));
     } else if (tokens.length > 1) {
-        ui.notifications.warn("Please select only one token.");
+        ui.notifications.warn(localize("Exploration.SelectOne"));
     } else {
         const token = tokens[0];
         const actor = token.actor;
 
         if (!actor || actor.type !== "character") {
-            ui.notifications.warn("This macro only works on Player Character actors.");
+            ui.notifications.warn(localize("Exploration.CharactersOnly"));
         } else {
             manageExploration(token, actor);
         }
     }
+}
 
-    async function manageExploration(token, actor) {
-        const pack = game.packs.get("pf2e.actionspf2e");
-        if (!pack) {
-            ui.notifications.error("Could not find compendium 'pf2e.actionspf2e'.");
-            return;
-        }
+/**
+ * Lists the standard exploration activities from the PF2e actions compendium.
+ * @returns {Promise<{name: string, uuid: string, img: string}[]|null>} Sorted activities, or null if the compendium is missing.
+ */
+async function getStandardActivities() {
+    const pack = game.packs.get("pf2e.actionspf2e");
+    if (!pack) {
+        ui.notifications.error(format("Exploration.MissingCompendium", { pack: "pf2e.actionspf2e" }));
+        return null;
+    }
 
-        // 1. Get Compendium Index
-        const index = await pack.getIndex({ fields: ["name", "img", "system.traits"] });
-
-        // 2. Prepare Options
-        // We store the Compendium UUID for everything initially. 
-        // We will resolve it to a Local ID in the setExploration function.
-        let standardOptions = [];
-        let characterOptions = [];
-
-        // Filter Compendium for 'exploration' trait
-        for (const entry of index) {
-            const traits = entry.system?.traits?.value || [];
-            if (traits.includes("exploration")) {
-                // Standard Compendium UUID
-                const compendiumUuid = `Compendium.${pack.collection}.Item.${entry._id}`;
-                standardOptions.push({
-                    name: entry.name,
-                    uuid: compendiumUuid,
-                    img: entry.img
-                });
-            }
-        }
-        standardOptions.sort((a, b) => a.name.localeCompare(b.name));
-
-        // Filter Actor Items for 'exploration' trait
-        // These are items the actor DEFINITELY has.
-        const explorationItems = [
-            ...actor.itemTypes.action,
-            ...actor.itemTypes.feat
-        ].filter(i => i.system.traits.value.includes("exploration"));
-
-        for (const item of explorationItems) {
-            characterOptions.push({
-                name: item.name,
-                // For these, we specifically want the UUID to point to the Actor's item, 
-                // but for simplicity in the dialog, we can pass the item's ID or UUID.
-                // We'll pass the UUID for consistency.
-                uuid: item.uuid,
-                img: item.img
+    // Get Compendium Index
+    const index = await pack.getIndex({ fields: ["name", "img", "system.traits"] });
+
+    // We store the Compendium UUID for everything initially. 
+    // We will resolve it to a Local ID in the setExploration function.
+    const standardOptions = [];
+
+    // Filter Compendium for 'exploration' trait
+    for (const entry of index) {
+        const traits = entry.system?.traits?.value || [];
+        if (traits.includes("exploration")) {
+            // Standard Compendium UUID
+            const compendiumUuid = `Compendium.${pack.collection}.Item.${entry._id}`;
+            standardOptions.push({
+                name: entry.name,
+                uuid: compendiumUuid,
+                img: entry.img
             });
         }
-        characterOptions.sort((a, b) => a.name.localeCompare(b.name));
-
-        // 3. Build Dialog
-        let content = `
-    <style>
-        .exp-macro-row { display: flex; align-items: center; margin-bottom: 5px; }
-        .exp-macro-select { flex: 1; }
-    </style>
-    <div class="form-group">
-        <label>Select Activity:</label>
-        <div class="exp-macro-row">
-            <select id="exploration-select" style="width: 100%">
-                <option value="CLEAR">-- Stop Exploring --</option>
-                
-                <optgroup label="Character Abilities (On Sheet)">
-                    ${characterOptions.map(opt => `<option value="${opt.uuid}">${opt.name}</option>`).join("")}
-                </optgroup>
-
-                <optgroup label="Standard Activities (Compendium)">
-                    ${standardOptions.map(opt => `<option value="${opt.uuid}">${opt.name}</option>`).join("")}
-                </optgroup>
-            </select>
-        </div>
-        <p class="notes" style="font-size: 0.9em; color: #666; margin-top: 5px;">
-            If you select a Standard Activity not on your sheet, it will be added automatically.
-        </p>
+    }
+    return standardOptions.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Lists the exploration actions and feats already on the actor's sheet.
+ * @param {Actor} actor - The character.
+ * @returns {{name: string, uuid: string, img: string}[]} Sorted activities.
+ */
+function getCharacterActivities(actor) {
+    // Filter Actor Items for 'exploration' trait
+    // These are items the actor DEFINITELY has.
+    const explorationItems = [
+        ...actor.itemTypes.action,
+        ...actor.itemTypes.feat
+    ].filter(i => i.system.traits.value.includes("exploration"));
+
+    return explorationItems
+        .map(item => ({ name: item.name, uuid: item.uuid, img: item.img }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function manageExploration(token, actor) {
+    // 1. Get Compendium Index
+    const standardOptions = await getStandardActivities();
+    if (!standardOptions) return;
+
+    // 2. Prepare Options from the actor's own exploration abilities
+    const characterOptions = getCharacterActivities(actor);
+
+    // 3. Build Dialog
+    let content = `
+<style>
+    .exp-macro-row { display: flex; align-items: center; margin-bottom: 5px; }
+    .exp-macro-select { flex: 1; }
+</style>
+<div class="form-group">
+    <label>${localize("Exploration.Dialog.Select")}</label>
+    <div class="exp-macro-row">
+        <select id="exploration-select" style="width: 100%">
+            <option value="CLEAR">-- ${localize("Exploration.Dialog.Stop")} --</option>
+            
+            <optgroup label="${localize("Exploration.Dialog.CharacterGroup")}">
+                ${characterOptions.map(opt => `<option value="${opt.uuid}">${opt.name}</option>`).join("")}
+            </optgroup>
+
+            <optgroup label="${localize("Exploration.Dialog.StandardGroup")}">
+                ${standardOptions.map(opt => `<option value="${opt.uuid}">${opt.name}</option>`).join("")}
+            </optgroup>
+        </select>
     </div>
-    `;
-
-        new Dialog({
-            title: `Exploration: ${token.name}`,
-            content: content,
-            buttons: {
-                ok: {
-                    label: "Set Activity",
-                    icon: `<i class="fas fa-walking"></i>`,
-                    callback: async (html) => {
-                        const selectedUuid = html.find("#exploration-select").val();
-                        const selectedName = html.find("#exploration-select option:selected").text();
-
-                        if (selectedUuid === "CLEAR") {
-                            await clearExploration(actor, token);
-                        } else {
-                            await setExploration(actor, token, selectedUuid, selectedName);
-                        }
+    <p class="notes" style="font-size: 0.9em; color: #666; margin-top: 5px;">
+        ${localize("Exploration.Dialog.Hint")}
+    </p>
+</div>
+`;
+
+    new Dialog({
+        title: format("Exploration.Dialog.Title", { name: token.name }),
+        content: content,
+        buttons: {
+            ok: {
+                label: localize(game.user.isGM ? "Exploration.Dialog.Set" : "Requests.Send"),
+                icon: `<i class="fas fa-walking"></i>`,
+                callback: async (html) => {
+                    const selectedUuid = html.find("#exploration-select").val();
+                    const selectedName = html.find("#exploration-select option:selected").text();
+
+                    const activity = selectedUuid === "CLEAR" ? null : selectedUuid;
+                    if (!game.user.isGM) {
+                        await sendGMRequest("exploration", {
+                            actorUuids: [actor.uuid],
+                            activity,
+                            activityName: selectedName
+                        });
+                    } else {
+                        await setExplorationActivity({ actor, activity, token });
                     }
-                },
-                cancel: { label: "Cancel" }
+                }
             },
-            default: "ok"
-        }).render(true);
-    }
+            cancel: { label: localize("Common.Cancel") }
+        },
+        default: "ok"
+    }).render(true);
+}
 
-    async function setExploration(actor, token, uuid, name) {
-        try {
-            let finalItemId = "";
-
-            // CHECK: Is this UUID pointing to a Compendium Item?
-            if (uuid.startsWith("Compendium")) {
-                // We need to find if the actor ALREADY has this item to avoid duplicates.
-                // We check matching Source ID (best) or Name (fallback)
-                let existingItem = actor.items.find(i =>
-                    i.sourceId === uuid || i.name === name
-                );
-
-                if (existingItem) {
-                    finalItemId = existingItem.id;
-                } else {
-                    // IMPORT REQUIRED: Actor doesn't have this activity yet.
-                    ui.notifications.info(`Adding ${name} to ${token.name}'s sheet...`);
-
-                    // Fetch from Compendium
-                    const sourceItem = await fromUuid(uuid);
-                    if (!sourceItem) throw new Error("Could not find item in compendium.");
-
-                    // Create on Actor
-                    const createdItems = await actor.createEmbeddedDocuments("Item", [sourceItem.toObject()]);
-                    finalItemId = createdItems[0].id;
-                }
+async function setExploration(actor, token, uuid, name, chat = true) {
+    const displayName = token?.name ?? actor.name;
+    try {
+        let finalItemId = "";
+
+        // CHECK: Is this UUID pointing to a Compendium Item?
+        if (uuid.startsWith("Compendium")) {
+            // We need to find if the actor ALREADY has this item to avoid duplicates.
+            // We check matching Source ID (best) or Name (fallback)
+            let existingItem = actor.items.find(i =>
+                i.sourceId === uuid || i.name === name
+            );
+
+            if (existingItem) {
+                finalItemId = existingItem.id;
             } else {
-                // It's already an Actor UUID (Actor.xyz.Item.abc)
-                // We just need the actual Item ID (the last part of the UUID)
-                finalItemId = uuid.split(".").pop();
+                // IMPORT REQUIRED: Actor doesn't have this activity yet.
+                ui.notifications.info(format("Exploration.Adding", { activity: name, name: displayName }));
+
+                // Fetch from Compendium
+                const sourceItem = await fromUuid(uuid);
+                if (!sourceItem) throw new Error("Could not find item in compendium.");
+
+                // Create on Actor
+                const createdItems = await actor.createEmbeddedDocuments("Item", [sourceItem.toObject()]);
+                finalItemId = createdItems[0].id;
             }
+        } else {
+            // It's already an Actor UUID (Actor.xyz.Item.abc)
+            // We just need the actual Item ID (the last part of the UUID)
+            finalItemId = uuid.split(".").pop();
+        }
 
-            // CRITICAL STEP: Update the system.exploration array with the LOCAL Item ID
-            await actor.update({
-                "system.exploration": [finalItemId]
-            });
+        // CRITICAL STEP: Update the system.exploration array with the LOCAL Item ID
+        await actor.update({
+            "system.exploration": [finalItemId]
+        });
 
-            // Chat Message
-            ChatMessage.create({
-                speaker: ChatMessage.getSpeaker({ token: token }),
-                content: `
-                <div style="display: flex; align-items: center;">
-                    <div style="margin-right: 10px;">
-                        <img src="${token.document.texture.src}" style="width: 40px; height: 40px; border: none; object-fit: cover;" />
-                    </div>
-                    <div>
-                        <strong>${token.name}</strong> is exploring:<br/>
-                        <span style="font-weight: bold; font-size: 1.1em; color: var(--color-text-hyperlink);">
-                            ${name}
-                        </span>
-                    </div>
+        const result = { actor, activity: name, itemId: finalItemId };
+        if (!chat) return result;
+
+        // Chat Message
+        const img = token?.document.texture.src ?? actor.prototypeToken?.texture?.src ?? actor.img;
+        ChatMessage.create({
+            speaker: ChatMessage.getSpeaker({ token: token?.document, actor: actor }),
+            content: `
+            <div style="display: flex; align-items: center;">
+                <div style="margin-right: 10px;">
+                    <img src="${img}" style="width: 40px; height: 40px; border: none; object-fit: cover;" />
                 </div>
-            `,
-                flags: { pf2e: { context: { type: "exploration-selection" } } }
-            });
+                <div>
+                    ${format("Exploration.Chat.Exploring", { name: `<strong>${displayName}</strong>` })}<br/>
+                    <span style="font-weight: bold; font-size: 1.1em; color: var(--color-text-hyperlink);">
+                        ${name}
+                    </span>
+                </div>
+            </div>
+        `,
+            flags: { pf2e: { context: { type: "exploration-selection" } } }
+        });
 
-            ui.notifications.info(`Set ${token.name}'s exploration to ${name}`);
+        ui.notifications.info(format("Exploration.Set", { name: displayName, activity: name }));
+        return result;
 
-        } catch (err) {
-            console.error(`Error setting exploration:`, err);
-            ui.notifications.error(`Could not set exploration. Check console.`);
-        }
+    } catch (err) {
+        console.error(`Error setting exploration:`, err);
+        ui.notifications.error(localize("Exploration.SetFailed"));
+        return null;
     }
+}
 
-    async function clearExploration(actor, token) {
-        await actor.update({
-            "system.exploration": []
-        });
+async function clearExploration(actor, token, chat = true) {
+    await actor.update({
+        "system.exploration": []
+    });
 
+    if (chat) {
         ChatMessage.create({
-            speaker: ChatMessage.getSpeaker({ token: token }),
-            content: `<strong>${token.name}</strong> has stopped exploration activities.`
+            speaker: ChatMessage.getSpeaker({ token: token?.document, actor: actor }),
+            content: format("Exploration.Chat.Stopped", { name: `<strong>${token?.name ?? actor.name}</strong>` })
         });
     }
-}
\ No newline at end of file
+    return { actor, activity: null, itemId: null };
+}
+
+/**
+ * Sets or clears a character's exploration activity without any dialog. Used by the dialog, player requests and the
+ * scripting API.
+ * @param {object} params
+ * @param {Actor} [params.actor] - The character; defaults to the actor of the single controlled token.
+ * @param {string|null} [params.activity=null] - An item UUID, or the name of an activity on the sheet or in the
+ * PF2e actions compendium. Null stops exploring.
+ * @param {Token} [params.token] - Token used as the chat speaker; defaults to the actor's first active token.
+ * @param {boolean} [params.chat=true] - Announce the activity in chat.
+ * @returns {Promise<{actor: Actor, activity: string|null, itemId: string|null}|null>} The activity set, or null if setting
+ * it failed or a preSetExploration hook cancelled it.
+ */
+export async function setExplorationActivity({ actor, activity = null, token = null, chat = true } = {}) {
+    if (!actor) {
+        const controlled = canvas.tokens.controlled;
+        if (controlled.length !== 1) {
+            throw new Error("PF2e Awesome Macros | setExploration: pass an actor or control exactly one token.");
+        }
+        token ??= controlled[0];
+        actor = token.actor;
+    }
+    token ??= actor?.getActiveTokens()[0] ?? null;
+
+    if (!actor || actor.type !== "character") {
+        throw new Error("PF2e Awesome Macros | setExploration: only Player Character actors can explore.");
+    }
+
+    // Let other modules change the activity or cancel it (see 'hooks.js')
+    const params = { actor, activity, token };
+    if (!callPreHook("preSetExploration", params)) return null;
+    ({ actor, activity, token } = params);
+
+    const result = await applyExplorationActivity(actor, activity, token, chat);
+    if (result) callPostHook("explorationSet", { token, ...result });
+    return result;
+}
+
+/**
+ * Resolves an activity, then sets it, or stops exploring if there is none.
+ */
+async function applyExplorationActivity(actor, activity, token, chat) {
+    if (!activity) {
+        return clearExploration(actor, token, chat);
+    }
+
+    // Resolve the activity by UUID first, then by name (sheet abilities before compendium activities)
+    const options = [...getCharacterActivities(actor), ...(await getStandardActivities() ?? [])];
+    const wanted = String(activity).toLowerCase();
+    const option = options.find(opt => opt.uuid === activity) ?? options.find(opt => opt.name.toLowerCase() === wanted);
+    if (!option) {
+        throw new Error(`PF2e Awesome Macros | setExploration: unknown exploration activity "${activity}".`);
+    }
+
+    return setExploration(actor, token, option.uuid, option.name, chat);
+}
@@ -0,0 +1,149 @@
+/**
+ * PF2e Awesome Macros - Encounter XP
+ * Works out the XP award for an encounter from its combatants, using the PF2e encounter-building rules:
+ * - Creatures are worth XP by their level relative to the party level (-4 to +4, see CREATURE_XP).
+ * - Complex hazards are worth as much as a creature of their level, simple hazards a fifth of that.
+ * - The total is scaled to the party size (the table assumes a party of four).
+ *
+ * Encounters are deleted when they end, so the combatants of the most recently ended encounter are
+ * kept in the 'lastCombat' world setting for Award XP to read afterwards.
+ */
+
+import { MODULE_ID } from './settings.js';
+import { getAveragePartyLevel } from './party.js';
+import { localize } from './i18n.js';
+
+// XP for one creature by its level minus the party level
+export const CREATURE_XP = {
+    "-4": 10,
+    "-3": 15,
+    "-2": 20,
+    "-1": 30,
+    "0": 40,
+    "1": 60,
+    "2": 80,
+    "3": 120,
+    "4": 160
+};
+
+// Simple hazards are worth a fifth of a creature of the same level
+const SIMPLE_HAZARD_FACTOR = 1 / 5;
+
+// --- 1. CALCULATION ---
+
+/**
+ * XP for one creature or hazard. Creatures more than 4 levels below the party are worth nothing;
+ * anything above +4 is capped at the +4 value.
+ * @param {number} level - Creature or hazard level.
+ * @param {number} partyLevel - The party level.
+ * @param {string} [kind="creature"] - 'creature', 'simpleHazard' or 'complexHazard'.
+ * @returns {number} The XP value.
+ */
+export function getCreatureXp(level, partyLevel, kind = "creature") {
+    const difference = Math.min(level - partyLevel, 4);
+    const xp = CREATURE_XP[difference] ?? 0;
+    return kind === "simpleHazard" ? Math.round(xp * SIMPLE_HAZARD_FACTOR) : xp;
+}
+
+/**
+ * Reduces an encounter to the opposing creatures and hazards that count for XP.
+ * Player characters, their allies and actorless combatants are left out.
+ * @param {Combat} combat - The encounter.
+ * @returns {{id: string, name: string, endedAt: number|null, creatures: {name: string, level: number, kind: string}[]}}
+ */
+export function snapshotCombat(combat) {
+    const creatures = [];
+    for (const combatant of combat.combatants) {
+        const actor = combatant.actor;
+        if (!actor) continue;
+
+        let kind;
+        if (actor.type === "hazard") {
+            kind = (actor.isComplex ?? actor.system.details?.isComplex) ? "complexHazard" : "simpleHazard";
+        } else if (actor.type === "npc" && actor.alliance !== "party") {
+            kind = "creature";
+        } else {
+            continue;
+        }
+
+        // actor.level includes the elite and weak adjustments
+        creatures.push({ name: combatant.name, level: Number(actor.level) || 0, kind });
+    }
+
+    return {
+        id: combat.id,
+        name: combat.scene?.name ?? localize("AwardXP.Encounter.Unnamed"),
+        endedAt: null,
+        creatures
+    };
+}
+
+/**
+ * The encounter to award XP for: the current one if it has opponents, otherwise the most recently ended one.
+ * @returns {{source: string, snapshot: object}|null} source is 'current' or 'last'; null if there is neither.
+ */
+export function getAwardableCombat() {
+    if (game.combat) {
+        const snapshot = snapshotCombat(game.combat);
+        if (snapshot.creatures.length > 0) return { source: "current", snapshot };
+    }
+
+    const last = game.settings.get(MODULE_ID, "lastCombat");
+    if (last?.creatures?.length > 0) return { source: "last", snapshot: last };
+    return null;
+}
+
+/**
+ * Calculates the XP award for an encounter, with an itemised breakdown.
+ * @param {object} [params]
+ * @param {Actor[]} params.actors - The characters receiving the award; sets the party level and party size.
+ * @param {Combat} [params.combat] - Encounter to use; defaults to the current or most recently ended one.
+ * @returns {object|null} { source, encounter, partyLevel, partySize, lines: [{ name, level, kind, difference, xp }],
+ * subtotal, total }, or null if there is no encounter with opponents.
+ */
+export function calculateEncounterXp({ actors, combat } = {}) {
+    if (!actors?.length) {
+        throw new Error("PF2e Awesome Macros | calculateEncounterXp: at least one actor is required.");
+    }
+
+    const found = combat ? { source: "current", snapshot: snapshotCombat(combat) } : getAwardableCombat();
+    if (!found || found.snapshot.creatures.length === 0) return null;
+
+    const partyLevel = getAveragePartyLevel(actors);
+    const partySize = actors.length;
+
+    const lines = found.snapshot.creatures.map(creature => ({
+        ...creature,
+        difference: creature.level - partyLevel,
+        xp: getCreatureXp(creature.level, partyLevel, creature.kind)
+    }));
+    const subtotal = lines.reduce((sum, line) => sum + line.xp, 0);
+
+    return {
+        source: found.source,
+        encounter: found.snapshot.name,
+        partyLevel,
+        partySize,
+        lines,
+        subtotal,
+        // The XP table is built for four characters
+        total: Math.round(subtotal * 4 / partySize)
+    };
+}
+
+// --- 2. REGISTRATION ---
+
+/**
+ * Keeps the combatants of every ended encounter for later XP awards. Called on the 'init' hook.
+ */
+export function registerEncounterTracking() {
+    Hooks.on("deleteCombat", (combat) => {
+        // One client writes the world setting
+        if (!game.users.activeGM?.isSelf || !combat.started) return;
+
+        const snapshot = snapshotCombat(combat);
+        if (snapshot.creatures.length === 0) return;
+        snapshot.endedAt = Date.now();
+        game.settings.set(MODULE_ID, "lastCombat", snapshot);
+    });
+}
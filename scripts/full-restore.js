@@ -1,66 +1,78 @@
 /**
  * PF2e Party Rest & Reset
- * * A macro to reset HP, remove Wounded/Fatigued conditions, reset Hero Points, 
- * and restore Spell Slots for the party.
+ * * A macro to rest the party, in one of three modes:
+ * - Rest for the Night (rules): regain Con modifier × level HP (at least 1 × level, multiplied by feats such as
+ *   Fast Recovery), reduce Drained and Doomed by 1, remove Fatigued after a full night's sleep, remove Wounded
+ *   for characters back at full HP, and reset daily preparations.
+ * - 10-Minute Rest: Treat Wounds by a chosen medic and Refocus, advancing world time (see 'short-rest.js').
+ * - GM Fiat: heal to max HP and remove Wounded/Fatigued outright.
  * * Options:
- * - Scope: Auto-detects selected tokens or defaults to Party folder/PC actors.
- * - Reset Health: Heals to max HP.
- * - Remove Conditions: Removes "wounded" and "fatigued".
- * - Reset Hero Points: Sets Hero Points to 1.
- * - Reset Spells/Focus: Refills spell slots and focus points.
+ * - Scope: Selected tokens, then targeted tokens, then the party (see 'party.js').
+ * - Reset Hero Points: Sets Hero Points to 1 (both modes).
+ * - Daily Preparations: Refills spell slots, focus points, prepared and innate spells, daily actions and feats,
+ *   staff charges and wands, and removes expired infused items (see 'daily-preparations.js').
+ * - Companions: familiars, animal companions, eidolons and minions linked to a resting character rest with it,
+ *   with their own options and report lines (see getCompanions in 'party.js').
+ * - Preview: a grid of each actor's HP, conditions, Hero Points, Focus Points and spell slots before and after the
+ *   rest, with a checkbox per actor and option to apply the rest selectively (see 'rest-preview.js').
  * * Notes:
  * - Skips actors with the "Dead" condition.
+ * - Players request the rest for their own characters; the GM approves it (see 'player-requests.js').
  */
 
+import { resolveTargets } from './party.js';
+import { UndoOperation } from './undo-journal.js';
+import { resetDailyPreparations, listLabels } from './daily-preparations.js';
+import { takeShortRest, canTreatWounds, getTreatWoundsDCs, TREAT_WOUNDS_DCS } from './short-rest.js';
+import {
+    REST_MODES, COMPANION_REST_OPTIONS, FULL_REST_HOURS, restOptionLabel, resolveRestOptions, getRestingActors,
+    getActorRestOptions, getActorRestHours, companionName, sharesMasterHitPoints, planActorRest
+} from './rest-plan.js';
+import { openRestPreview } from './rest-preview.js';
+import { createChatCard } from './chat-cards.js';
+import { sendGMRequest } from './socket.js';
+import { callPreHook, callPostHook } from './hooks.js';
+import { localize, format, conditionLabel } from './i18n.js';
+
 export const FULL_RESTORE_MACRO_NAME = "Full Restore";
 export const FULL_RESTORE_MACRO_ICON = "modules/pf2e-awesome-macros-for-gms/assets/full-restore.png"
 
 // --- DIALOG POPULATION AND LAUNCH ---
 export function openFullRestoreDialog() {
-    const controlled = canvas?.tokens?.controlled ?? [];
-    let targetActors = [];
-    let targetLabel = "The Party";
-
-    if (controlled.length > 0) {
-        const seen = new Set();
-        for (const token of controlled) {
-            const actor = token.actor;
-            if (actor && !seen.has(actor.id)) {
-                targetActors.push(actor);
-                seen.add(actor.id);
-            }
-        }
-        // Create a comma-separated list of names
-        targetLabel = targetActors.map(a => a.name).join(", ");
-    } else {
-        // Try to find an actor Folder named "party" (case-insensitive)
-        const actorFolders = game.folders.filter(f => f.type === 'Actor');
-        const partyFolder = actorFolders.find(f => (f.name || '').toLowerCase() === 'party');
-
-        if (partyFolder) {
-            for (const actor of game.actors.values()) {
-                if (actor.folder?.id === partyFolder.id) {
-                    targetActors.push(actor);
-                }
-            }
-        }
-
-        // Fallback: if no party folder or it's empty, use player characters / actors with player owners
-        if (targetActors.length === 0) {
-            for (const actor of game.actors.values()) {
-                if (actor && (actor.type === 'character' || actor.hasPlayerOwner)) {
-                    // actor.hasPlayerOwner is true when at least one player has ownership
-                    targetActors.push(actor);
-                }
-            }
-        }
-    }
+    // Selected tokens, then targeted tokens, then the party (see 'party.js')
+    // Players can only ask for a rest for characters they own
+    const isRequest = !game.user.isGM;
+    const { actors: targetActors, label: targetLabel } = resolveTargets({ targeted: true, filter: isRequest ? (a => a.isOwner) : null });
 
     if (targetActors.length === 0) {
-        ui.notifications.error('No target actors found (no controlled tokens and no party actors).');
+        ui.notifications.error(localize("Common.NoTargets"));
         return;
     }
 
+    // One block of checkboxes per mode; only the selected mode's block is shown
+    const modeOptions = Object.keys(REST_MODES).map(mode =>
+        `<option value="${mode}">${localize(`FullRestore.Modes.${mode}`)}</option>`
+    ).join("");
+    // Companions get the same options again, limited to those that apply to them
+    const { masters: companions } = getRestingActors(targetActors);
+    const optionBlocks = Object.entries(REST_MODES).map(([mode, defaults]) => `
+        <div data-rest-mode="${mode}" ${mode === "night" ? "" : 'style="display: none;"'}>
+            ${mode === "short" ? treatWoundsFields([...new Set([...targetActors, ...companions.keys()])]) : ""}
+            ${Object.entries(defaults).map(([option, checked]) => `
+            <div class="form-group">
+                <label for="${mode}-${option}">${restOptionLabel(mode, option)}</label>
+                <input type="checkbox" id="${mode}-${option}" name="${mode}.${option}" ${checked ? "checked" : ""}>
+            </div>`).join("")}
+            ${companions.size > 0 ? `
+            <div class="pf2e-reset-header">${localize("FullRestore.Dialog.Companions")}</div>
+            ${COMPANION_REST_OPTIONS[mode].map(option => `
+            <div class="form-group">
+                <label for="companion-${mode}-${option}">${restOptionLabel(mode, option)}</label>
+                <input type="checkbox" id="companion-${mode}-${option}" name="companion.${mode}.${option}" ${defaults[option] ? "checked" : ""}>
+            </div>`).join("")}` : ""}
+        </div>`).join("");
+    const companionList = [...companions].map(([companion, master]) => companionName(companion, master)).join(", ");
+
     const content = `
     <style>
         .pf2e-reset-dialog .form-group { display: flex; align-items: center; justify-content: space-between; margin-bottom: 5px; }
@@ -70,166 +82,303 @@ export function openFullRestoreDialog() {
         .pf2e-reset-header { border-bottom: 1px solid #782e22; margin-bottom: 10px; font-weight: bold; color: #782e22; }
     </style>
     <form class="pf2e-reset-dialog">
-        <div class="pf2e-reset-header">Targeting</div>
+        <div class="pf2e-reset-header">${localize("Common.Targeting")}</div>
         <div class="form-group">
-            <label>Targets:</label>
+            <label>${localize("Common.Targets")}</label>
             <div class="target-list">${targetLabel}</div>
         </div>
 
-        <div class="pf2e-reset-header">Recovery Options</div>
-        <div class="form-group">
-            <label for="resetHP">Heal to Full HP</label>
-            <input type="checkbox" id="resetHP" name="resetHP" checked>
-        </div>
-        <div class="form-group">
-            <label for="removeWounded">Remove "Wounded" Condition</label>
-            <input type="checkbox" id="removeWounded" name="removeWounded" checked>
-        </div>
+        <div class="pf2e-reset-header">${localize("FullRestore.Dialog.Options")}</div>
         <div class="form-group">
-            <label for="removeFatigued">Remove "Fatigued" Condition</label>
-            <input type="checkbox" id="removeFatigued" name="removeFatigued">
+            <label for="restMode">${localize("FullRestore.Dialog.Mode")}</label>
+            <select id="restMode" name="restMode">${modeOptions}</select>
         </div>
+        ${companions.size > 0 ? `
         <div class="form-group">
-            <label for="resetHero">Reset Hero Points to 1</label>
-            <input type="checkbox" id="resetHero" name="resetHero">
-        </div>
-        <div class="form-group">
-            <label for="resetSpells">Refill Spell Slots & Focus Points</label>
-            <input type="checkbox" id="resetSpells" name="resetSpells">
+            <label for="companions">${localize("FullRestore.Dialog.IncludeCompanions")}</label>
+            <input type="checkbox" id="companions" name="companions" checked>
         </div>
+        <p class="notes">${foundry.utils.escapeHTML(companionList)}</p>` : ""}
+        ${optionBlocks}
     </form>
     `;
 
     new Dialog({
-        title: "Party Rest & Reset",
+        title: localize("FullRestore.Title"),
         content: content,
         buttons: {
             rest: {
                 icon: "<i class='fas fa-bed'></i>",
-                label: "Rest",
+                label: localize(isRequest ? "Requests.Send" : "FullRestore.Dialog.Rest"),
                 callback: (html) => executeRest(html, targetActors)
             },
+            ...(isRequest ? {} : {
+                preview: {
+                    icon: "<i class='fas fa-table'></i>",
+                    label: localize("FullRestore.Dialog.Preview"),
+                    callback: (html) => openRestPreview({ actors: targetActors, ...readRestDialog(html) }, restoreActors)
+                }
+            }),
             cancel: {
                 icon: "<i class='fas fa-times'></i>",
-                label: "Cancel"
+                label: localize("Common.Cancel")
             }
         },
-        default: "rest"
+        default: "rest",
+        render: (html) => {
+            html.find('[name="restMode"]').on('change', (event) => {
+                html.find('[data-rest-mode]').hide();
+                html.find(`[data-rest-mode="${event.currentTarget.value}"]`).show();
+            });
+            html.find('[name="short.medic"]').on('change', () => limitTreatWoundsDCs(html));
+            limitTreatWoundsDCs(html);
+        }
     }).render(true);
 }
 
+/**
+ * Builds the medic and DC fields of the 10-minute rest. Any resting actor trained in Medicine can be the medic;
+ * each medic option lists the DCs their proficiency allows (see limitTreatWoundsDCs).
+ * @param {Actor[]} actors - The resting actors.
+ * @returns {string} The fields' HTML.
+ */
+function treatWoundsFields(actors) {
+    const medics = actors.filter(canTreatWounds);
+    const medicOptions = medics.length > 0
+        ? medics.map(actor => `<option value="${actor.uuid}" data-dcs="${getTreatWoundsDCs(actor).join(",")}">${foundry.utils.escapeHTML(actor.name)}</option>`).join("")
+        : `<option value="">${localize("FullRestore.Short.NoMedic")}</option>`;
+    const dcOptions = Object.entries(TREAT_WOUNDS_DCS).map(([dc, bonus]) =>
+        `<option value="${dc}">${format("FullRestore.Short.DCOption", { dc, bonus })}</option>`
+    ).join("");
+
+    return `
+        <div class="form-group">
+            <label for="short-medic">${localize("FullRestore.Short.Medic")}</label>
+            <select id="short-medic" name="short.medic">${medicOptions}</select>
+        </div>
+        <div class="form-group">
+            <label for="short-dc">${localize("FullRestore.Short.DC")}</label>
+            <select id="short-dc" name="short.dc">${dcOptions}</select>
+        </div>`;
+}
+
+/**
+ * Offers only the Treat Wounds DCs the selected medic qualifies for.
+ * @param {JQuery} html The dialog HTML element.
+ */
+function limitTreatWoundsDCs(html) {
+    const dcs = html.find('[name="short.medic"] option:selected').data("dcs");
+    if (dcs === undefined) return;
+    const allowed = dcs.toString().split(",");
+    const select = html.find('[name="short.dc"]');
+    select.find("option").each((i, option) => {
+        option.hidden = option.disabled = !allowed.includes(option.value);
+    });
+    if (!allowed.includes(select.val())) select.val(allowed[0] ?? "");
+}
+
+/**
+ * Reads the dialog's mode, checkboxes, medic and Treat Wounds DC.
+ * @param {JQuery} html The dialog HTML element.
+ * @returns {{mode: string, options: object, companions: boolean, companionOptions: object, medic: string|null,
+ * dc: number|null}} The restoreActors() parameters.
+ */
+function readRestDialog(html) {
+    const mode = html.find('[name="restMode"]').val();
+    const options = Object.fromEntries(Object.keys(REST_MODES[mode]).map(option =>
+        [option, html.find(`[name="${mode}.${option}"]`).is(':checked')]
+    ));
+    const companions = html.find('[name="companions"]').is(':checked');
+    const companionOptions = Object.fromEntries(COMPANION_REST_OPTIONS[mode].map(option =>
+        [option, html.find(`[name="companion.${mode}.${option}"]`).is(':checked')]
+    ));
+
+    // The 10-minute rest also needs its medic and Treat Wounds DC
+    const medicUuid = mode === "short" ? html.find('[name="short.medic"]').val() || null : null;
+    const dc = mode === "short" ? Number(html.find('[name="short.dc"]').val()) : null;
+    return { mode, options, companions, companionOptions, medic: medicUuid, dc };
+}
+
+/**
+ * Reads the dialog and runs the rest through restoreActors(), or sends it to the GM as a player request.
+ * @param {JQuery} html The dialog HTML element.
+ * @param {Actor[]} actorsToUpdate The list of actors to target.
+ */
 async function executeRest(html, actorsToUpdate) {
-    const doHeal = html.find('[name="resetHP"]').is(':checked');
-    const doWounded = html.find('[name="removeWounded"]').is(':checked');
-    const doFatigued = html.find('[name="removeFatigued"]').is(':checked');
-    const doHero = html.find('[name="resetHero"]').is(':checked');
-    const doSpells = html.find('[name="resetSpells"]').is(':checked');
+    const rest = readRestDialog(html);
+    if (!game.user.isGM) {
+        await sendGMRequest("rest", { actorUuids: actorsToUpdate.map(a => a.uuid), ...rest });
+        return;
+    }
 
-    // Array to store results for chat message: [{ name: string, changes: string[] }]
-    const results = [];
+    await restoreActors({ actors: actorsToUpdate, ...rest });
+}
 
-    for (const actor of actorsToUpdate) {
-        // Skip dead actors completely
-        if (actor.hasCondition("dead")) continue;
+// --- RECOVERY STEPS ---
 
-        const changes = [];
+/**
+ * Removes a condition entirely.
+ * @returns {Promise<boolean>} True if the actor had the condition.
+ */
+async function removeCondition(actor, slug, undo) {
+    if (!actor.hasCondition(slug)) return false;
+    await undo.trackItems(actor, () => actor.decreaseCondition(slug, { forceRemove: true }));
+    return true;
+}
 
-        // --- Heal HP ---
-        if (doHeal) {
-            const maxHP = actor.system.attributes.hp.max;
-            const currentHP = actor.system.attributes.hp.value;
-            if (currentHP < maxHP) {
-                await actor.update({ "system.attributes.hp.value": maxHP });
-                changes.push("Health (HP)");
-            }
-        }
+/**
+ * Resets Hero Points to 1 for characters.
+ * @returns {Promise<boolean>} True if they changed.
+ */
+async function resetHeroPoints(actor, undo) {
+    if (actor.type !== "character" || actor.system.resources.heroPoints.value === 1) return false;
+    await undo.update(actor, { "system.resources.heroPoints.value": 1 });
+    return true;
+}
 
-        // --- Remove Wounded ---
-        if (doWounded) {
-            if (actor.hasCondition("wounded")) {
-                await actor.decreaseCondition("wounded", { forceRemove: true });
-                changes.push("Wounded Condition");
-            }
-        }
+/**
+ * Applies an actor's rest plan (see planActorRest in 'rest-plan.js'), except for the daily preparations.
+ * @returns {Promise<string[]>} Sentences describing each change: "+12 HP" by the rules, "Health (HP)" for the
+ * "{changes} restored." line of GM fiat.
+ */
+async function applyActorRest(actor, mode, plan, undo) {
+    const night = mode === "night";
+    const changes = [];
+    if (plan.partial !== null) changes.push(format("FullRestore.Night.Partial", { hours: Math.floor(plan.partial * 10) / 10 }));
 
-        // --- Remove Fatigued ---
-        if (doFatigued) {
-            if (actor.hasCondition("fatigued")) {
-                await actor.decreaseCondition("fatigued", { forceRemove: true });
-                changes.push("Fatigued Condition");
-            }
-        }
+    // --- Heal HP ---
+    if (plan.hp !== null) {
+        const currentHP = actor.system.attributes.hp.value;
+        await undo.update(actor, { "system.attributes.hp.value": plan.hp });
+        changes.push(night ? format("FullRestore.Night.HP", { hp: plan.hp - currentHP }) : localize("FullRestore.Changes.HP"));
+    }
 
-        // --- Reset Hero Points ---
-        if (doHero && actor.type === "character") {
-            const currentHero = actor.system.resources.heroPoints.value;
-            if (currentHero !== 1) {
-                await actor.update({ "system.resources.heroPoints.value": 1 });
-                changes.push("Hero Points");
-            }
-        }
+    // --- Remove Wounded and Fatigued ---
+    for (const slug of plan.remove) {
+        if (!await removeCondition(actor, slug, undo)) continue;
+        changes.push(night ? format("FullRestore.Night.Removed", { condition: conditionLabel(slug) }) : conditionLabel(slug));
+    }
 
-        // --- Reset Spells & Focus Points ---
-        if (doSpells) {
-            let spellChanges = [];
-
-            // Reset Focus Points
-            if (actor.system.resources?.focus) {
-                const currentFocus = actor.system.resources.focus.value;
-                const maxFocus = actor.system.resources.focus.max;
-                if (currentFocus < maxFocus) {
-                    await actor.update({ "system.resources.focus.value": maxFocus });
-                    spellChanges.push("Focus Points");
-                }
-            }
+    // --- Drained and Doomed drop by 1 ---
+    for (const { slug, from, to } of plan.reduce) {
+        await undo.trackItems(actor, () => actor.decreaseCondition(slug));
+        changes.push(format("FullRestore.Night.Reduced", { condition: conditionLabel(slug), from, to }));
+    }
 
-            // Reset Spell Slots (requires updating the Embedded Items)
-            const spellcastingEntries = actor.itemTypes.spellcastingEntry;
-            for (const entry of spellcastingEntries) {
-                // We only care about entries that use slots (not wands/scrolls usually)
-                if (entry.isRitual || entry.isFocusPool) continue;
-
-                const updates = {};
-                const slots = entry.system.slots;
-                let hasSlotUpdate = false;
-
-                // Loop through spell levels 1-10 (and 0 for cantrips if applicable, though usually infinite)
-                for (const [key, slotData] of Object.entries(slots)) {
-                    if (slotData.max > 0 && slotData.value < slotData.max) {
-                        updates[`system.slots.${key}.value`] = slotData.max;
-                        hasSlotUpdate = true;
-                    }
-                }
+    // --- Reset Hero Points ---
+    if (plan.heroPoints && await resetHeroPoints(actor, undo)) {
+        changes.push(localize(night ? "FullRestore.Night.HeroPoints" : "FullRestore.Changes.HeroPoints"));
+    }
+    return changes;
+}
 
-                if (hasSlotUpdate) {
-                    await entry.update(updates);
-                    if (!spellChanges.includes("Spell Slots")) spellChanges.push("Spell Slots");
-                }
-            }
+/**
+ * Rests actors without any dialog. Used by the Full Restore dialog and the scripting API.
+ * @param {object} params
+ * @param {Actor[]} [params.actors] - Actors to rest; defaults to the resolved targets (see 'party.js').
+ * @param {string} [params.mode="fiat"] - 'night' (Rest for the Night, by the rules), 'short' (10-minute rest)
+ * or 'fiat' (full restore).
+ * @param {object} [params.options] - Which recoveries to apply; defaults per mode (see REST_MODES):
+ * { heal, wounded, fatigued, drained, heroPoints, spells } or, in 'short' mode, { treatWounds, refocus }.
+ * In 'night' mode fatigued means a full night's sleep, drained reduces Drained and Doomed by 1.
+ * spells runs the daily preparations (see 'daily-preparations.js').
+ * @param {boolean} [params.companions=true] - Also rest the actors' companions, familiars, eidolons and minions.
+ * @param {object} [params.companionOptions] - The companions' options (see COMPANION_REST_OPTIONS); defaults to options.
+ * @param {Object<string, object>} [params.optionsByActor={}] - Options for single actors, keyed by actor UUID, on top of
+ * options or companionOptions, e.g. { [uuid]: { heal: false } } (as set in the rest preview, see 'rest-preview.js').
+ * @param {number} [params.hours=8] - 'night' mode: hours slept; less than 8 is a partial rest (see planActorRest).
+ * @param {Object<string, number>} [params.hoursByActor={}] - 'night' mode: hours slept per actor, keyed by actor UUID.
+ * Companions sleep as long as their master unless listed.
+ * @param {Actor|string|null} [params.medic=null] - 'short' mode: the actor (or its UUID) rolling Treat Wounds.
+ * @param {number} [params.dc=15] - 'short' mode: the Treat Wounds DC, 15, 20, 30 or 40 (see 'short-rest.js').
+ * @param {boolean} [params.chat=true] - Post the rest report to chat.
+ * @returns {Promise<{mode: string, results: {actor: Actor, master: Actor|null, changes: string[], expired: string[]}[],
+ * skipped: Actor[], minutes: number}|null>} Changes and expired infused items per actor (and the master of each
+ * companion), the dead actors skipped and the minutes of world time spent ('short' mode), or null if a preRest hook
+ * cancelled the rest.
+ */
+export async function restoreActors({ actors, mode = "fiat", options = {}, companions = true, companionOptions, optionsByActor = {}, hours = FULL_REST_HOURS, hoursByActor = {}, medic = null, dc = 15, chat = true } = {}) {
+    actors ??= resolveTargets({ targeted: true }).actors;
+    if (!(mode in REST_MODES)) {
+        throw new Error(`PF2e Awesome Macros | restore: unknown rest mode "${mode}".`);
+    }
+    if (typeof medic === "string") medic = await fromUuid(medic);
+
+    // Let other modules adjust or cancel the rest (see 'hooks.js'); companions default to the same options
+    const params = { actors, mode, ...resolveRestOptions(mode, options, companionOptions), companions, optionsByActor, hours, hoursByActor, medic, dc };
+    if (!callPreHook("preRest", params)) return null;
+    ({ actors, mode, options, companions, companionOptions, optionsByActor, hours, hoursByActor, medic, dc } = params);
+
+    const skipped = [];
+    const undo = new UndoOperation(localize(`FullRestore.Modes.${mode}`));
+
+    // Array to store results for chat message: [{ actor: Actor, master: Actor|null, changes: string[], expired: string[] }]
+    const results = [];
 
-            if (spellChanges.length > 0) {
-                changes.push(spellChanges.join(" and "));
+    // Companions rest right after their master, with the companion options (see 'rest-plan.js')
+    const { everyone, masters } = getRestingActors(actors, companions);
+    const optionsFor = (actor) => getActorRestOptions(actor, { masters, options, companionOptions, optionsByActor });
+
+    // Skip dead actors completely
+    skipped.push(...everyone.filter(actor => actor.hasCondition("dead")));
+    const resting = everyone.filter(actor => !skipped.includes(actor));
+
+    // The 10-minute rest treats patients one after another (see 'short-rest.js')
+    const shortRest = mode === "short" ? await takeShortRest({ actors: resting, optionsFor, medic, dc, undo }) : null;
+    const minutes = shortRest?.minutes ?? 0;
+
+    for (const actor of resting) {
+        const master = masters.get(actor) ?? null;
+        // A partial night's rest leaves out the daily preparations (see planActorRest in 'rest-plan.js')
+        const plan = planActorRest(actor, mode, optionsFor(actor), getActorRestHours(actor, { masters, hours, hoursByActor }));
+        const changes = mode === "short" ? shortRest.changes.get(actor) : await applyActorRest(actor, mode, plan, undo);
+        if (master && sharesMasterHitPoints(actor) && (mode === "short" ? companionOptions.treatWounds : companionOptions.heal)) {
+            changes.unshift(format("FullRestore.Chat.SharedHP", { master: master.name }));
+        }
+
+        // --- Daily preparations (see 'daily-preparations.js') ---
+        let expired = [];
+        if (plan.spells) {
+            const preparations = await resetDailyPreparations(actor, undo);
+            if (preparations.refreshed.length > 0) {
+                const refreshed = listLabels(preparations.refreshed);
+                changes.push(mode === "night" ? format("FullRestore.Night.Preparations", { changes: refreshed }) : refreshed);
             }
+            expired = preparations.expired;
         }
 
-        if (changes.length > 0) {
-            results.push({ name: actor.name, changes: changes });
+        if (changes.length > 0 || expired.length > 0) {
+            results.push({ actor: actor, master: master, changes: changes, expired: expired });
         }
     }
 
-    // Report Results
-    if (results.length > 0) {
-        let chatContent = '<strong>Party Rest Report:</strong><br>';
+    const undoId = await undo.commit();
+    callPostHook("restCompleted", { actors, mode, options, companions, companionOptions, optionsByActor, hours, hoursByActor, medic, dc, results, skipped, minutes, undoId });
+    if (!chat) return { mode, results, skipped, minutes, undoId };
 
-        for (const actorResult of results) {
-            chatContent += ` <strong>${actorResult.name}</strong>: ${actorResult.changes.join(", ")} restored.<br>`;
-        }
-
-        ChatMessage.create({
-            content: chatContent
+    // Report Results (see 'templates/chat/rest-report.hbs')
+    if (results.length > 0) {
+        await createChatCard("rest", {
+            title: format(`FullRestore.Chat.Titles.${mode}`, { minutes }),
+            rows: results.map(r => ({
+                name: r.master ? companionName(r.actor, r.master) : r.actor.name,
+                changes: r.changes.length > 0
+                    ? format(mode === "fiat" ? "FullRestore.Chat.Line" : "FullRestore.Chat.Report", { changes: r.changes.join(", ") })
+                    : "",
+                expired: r.expired.length > 0 ? format("FullRestore.Chat.Expired", { items: r.expired.join(", ") }) : null
+            })),
+            undoId
+        }, {
+            rerun: {
+                fn: "restore",
+                label: localize("Macros.fullRestore"),
+                actorUuids: actors.map(a => a.uuid),
+                params: { mode, options, companions, companionOptions, optionsByActor, hours, hoursByActor, medic: medic?.uuid ?? null, dc }
+            }
         });
-        ui.notifications.info(`Successfully rested ${results.length} actors.`);
+        ui.notifications.info(format("FullRestore.Rested", { count: results.length }));
     } else {
-        ui.notifications.info("All targeted actors were already full/reset (or dead).");
+        ui.notifications.info(localize("FullRestore.NothingToRestore"));
     }
-}
\ No newline at end of file
+    return { mode, results, skipped, minutes, undoId };
+}
@@ -0,0 +1,67 @@
+/**
+ * PF2e Awesome Macros - Public Hooks
+ * Every state-changing operation announces itself so other modules can react to it.
+ * All hook names start with "pf2eAwesomeMacros.".
+ *
+ * Pre-hooks fire with Hooks.call before anything changes. They receive one mutable payload object:
+ * change its properties to modify the operation, or return false to cancel it (the operation then
+ * returns null and changes nothing).
+ * - preAwardXP            { actors, amount, amounts, pace, resetXp, category, reason, breakdown }
+ * - preRest               { actors, mode, options: { heal, wounded, fatigued, drained, heroPoints, spells, treatWounds, refocus }, companions, companionOptions, optionsByActor, hours, hoursByActor, medic, dc }
+ * - preApplyCondition     { actors, slug, value, persistent: { formula, damageType, dc } }
+ * - preModifyInitiative   { actors, modifier, combat }
+ * - preCombatCleanup      { scene, combat, endCombat, defeated: [{ id, name, items }] }
+ * - preGenerateEncounter  { party, apl, partySize, difficulty, trait, rarity, budget, scene }
+ * - preRecallKnowledge    { actors, skill, dc, creature, target }
+ * - preRecallMemoryReset  { actors, target }
+ * - preIdentifyItem       { actors, target, dc }
+ * - preSecretGroupCheck   { actors, statistic, dc, targets, dcs, label, action, traits }
+ * - preLevelUp            { actors, levels, reason }
+ * - preOvernightRest      { actors, watchers, hours, interruptionDC, options }
+ * - preSetExploration     { actor, activity, token }
+ * - preResizeToken        { token, size }
+ * - preJournalExport      { folderId, title, journals, download }
+ *
+ * Post-hooks fire with Hooks.callAll after the operation, with the operation's result plus the
+ * actors and parameters it used:
+ * - xpAwarded             { actors, amount, pace, mode, threshold, category, reason, results, undoId }
+ * - restCompleted         { actors, mode, options, companions, companionOptions, optionsByActor, hours, hoursByActor, medic, dc, results, skipped, minutes, undoId }
+ * - conditionApplied      { actors, slug, value, persistent, results, errors, undoId }
+ * - initiativeModified    { actors, modifier, combat, results, undoId }
+ * - combatCleanedUp       { scene, combatEnded, removed, undoId }
+ * - encounterSpawned      { scene, difficulty, trait, rarity, budget, apl, partySize, monsters, tokens }
+ * - recallKnowledgeRolled { actors, skill, dc, creatureName, target, results }
+ * - recallMemoryReset     { actors, target }
+ * - itemIdentificationRolled { actors, target, dc, action, results, untrained }
+ * - secretGroupCheckRolled { actors, statistic, dc, targets, dcs, label, action, traits, results }
+ * - leveledUp             { actors, levels, reason, results, undoId }
+ * - overnightRestCompleted { actors, hours, interruptionDC, watches, interrupted, restedHours, hoursByActor, rest, journal }
+ * - explorationSet        { actor, activity, itemId, token }
+ * - tokenResized          { token, size, gridSize, linked }
+ * - journalExported       { folderId, journals, download, title, count, fileName, html }
+ *
+ * Example:
+ *   Hooks.on("pf2eAwesomeMacros.preAwardXP", (payload) => { payload.amount *= 2; });
+ *   Hooks.on("pf2eAwesomeMacros.encounterSpawned", ({ scene, tokens }) => console.log(scene.name, tokens.length));
+ */
+
+export const HOOK_PREFIX = "pf2eAwesomeMacros";
+
+/**
+ * Fires a pre-hook.
+ * @param {string} name - Hook name without the prefix, e.g. 'preAwardXP'.
+ * @param {object} payload - Mutable payload; listeners may change its properties.
+ * @returns {boolean} False if a listener cancelled the operation.
+ */
+export function callPreHook(name, payload) {
+    return Hooks.call(`${HOOK_PREFIX}.${name}`, payload) !== false;
+}
+
+/**
+ * Fires a post-hook.
+ * @param {string} name - Hook name without the prefix, e.g. 'xpAwarded'.
+ * @param {object} payload - The operation's actors, parameters and results.
+ */
+export function callPostHook(name, payload) {
+    Hooks.callAll(`${HOOK_PREFIX}.${name}`, payload);
+}
@@ -0,0 +1,88 @@
+/**
+ * PF2e Awesome Macros - Localization Helpers
+ * Shortcuts for the module's own strings (lang/*.json, all keys under "PF2EAM.") and for the
+ * PF2e system's localized condition, skill, save and damage-type labels, so no tool has to hand-type them,
+ * and the escaping of names and other text that goes into dialog and chat HTML.
+ */
+
+const I18N_PREFIX = "PF2EAM";
+
+/**
+ * Localizes one of the module's strings.
+ * @param {string} key - Key relative to "PF2EAM.", e.g. 'AwardXP.Title'.
+ * @returns {string} The localized string.
+ */
+export function localize(key) {
+    return game.i18n.localize(`${I18N_PREFIX}.${key}`);
+}
+
+/**
+ * Localizes one of the module's strings and fills in its {placeholders}.
+ * @param {string} key - Key relative to "PF2EAM.".
+ * @param {object} [data] - Placeholder values.
+ * @returns {string} The localized string.
+ */
+export function format(key, data = {}) {
+    return game.i18n.format(`${I18N_PREFIX}.${key}`, data);
+}
+
+/**
+ * Returns PF2e's localized label for a condition.
+ * @param {string} slug - Condition slug, e.g. 'frightened' or 'persistent-damage'.
+ * @returns {string} The localized label (the capitalized slug if the system has none).
+ */
+export function conditionLabel(slug) {
+    const key = CONFIG.PF2E?.conditionTypes?.[slug];
+    return key ? game.i18n.localize(key) : slug.capitalize();
+}
+
+/**
+ * Returns PF2e's localized label for a skill, or for Perception.
+ * @param {string} slug - Skill slug, e.g. 'arcana', or 'perception'.
+ * @returns {string} The localized label (the capitalized slug if the system has none).
+ */
+export function skillLabel(slug) {
+    if (slug === "perception") return game.i18n.localize("PF2E.PerceptionLabel");
+    const skill = CONFIG.PF2E?.skills?.[slug];
+    const key = typeof skill === "string" ? skill : skill?.label;
+    return key ? game.i18n.localize(key) : slug.capitalize();
+}
+
+/**
+ * Returns PF2e's localized label for a skill, Perception or a saving throw.
+ * @param {string} slug - Skill slug, 'perception', or 'fortitude', 'reflex' or 'will'.
+ * @returns {string} The localized label (the capitalized slug if the system has none).
+ */
+export function statisticLabel(slug) {
+    const save = CONFIG.PF2E?.saves?.[slug];
+    return save ? game.i18n.localize(save) : skillLabel(slug);
+}
+
+/**
+ * Returns PF2e's localized label for a rarity.
+ * @param {string} slug - 'common', 'uncommon', 'rare' or 'unique'.
+ * @returns {string} The localized label (the capitalized slug if the system has none).
+ */
+export function rarityLabel(slug) {
+    const key = CONFIG.PF2E?.rarityTraits?.[slug];
+    return key ? game.i18n.localize(key) : slug.capitalize();
+}
+
+/**
+ * Returns PF2e's localized label for a damage type.
+ * @param {string} slug - Damage type slug, e.g. 'fire'.
+ * @returns {string} The localized label (the capitalized slug if the system has none).
+ */
+export function damageTypeLabel(slug) {
+    const key = CONFIG.PF2E?.damageTypes?.[slug];
+    return key ? game.i18n.localize(key) : slug.capitalize();
+}
+
+/**
+ * Escapes text for dialog and chat HTML.
+ * @param {*} text - The text; null and undefined become an empty string.
+ * @returns {string} Escaped HTML.
+ */
+export function escape(text) {
+    return foundry.utils.escapeHTML(String(text ?? ""));
+}
@@ -0,0 +1,226 @@
+/**
+ * PF2e Awesome Macros - Identification Rules
+ * The PF2e rules for identifying creatures with Recall Knowledge (see 'quick-recall-knowledge.js') and items,
+ * spell effects and hazards with Identify Magic and Identify Alchemy (see 'identify-item.js'):
+ * - DCs by level (the level-based DC table), adjusted by rarity: uncommon +2, rare +5, unique +10,
+ * - the skills that identify each creature type (construct → Arcana or Crafting, undead → Religion and so on),
+ * - Lore skills: a Lore about the creature's type or another of its traits is easier (DC −2, "unspecific"),
+ *   a Lore about the creature itself much easier (DC −5, "specific"),
+ * - the skills that identify magic by tradition (arcane → Arcana, divine → Religion, occult → Occultism,
+ *   primal → Nature; another tradition's skill works at DC +5), and Crafting for alchemical items and mechanical hazards,
+ * - each character's best option: the skill with the highest modifier relative to its DC.
+ */
+
+import { skillLabel } from './i18n.js';
+
+// Level-based DCs for levels 0 to 25; level -1 is DC 13
+const LEVEL_BASED_DCS = [14, 15, 16, 18, 19, 20, 22, 23, 24, 26, 27, 28, 30, 31, 32, 34, 35, 36, 38, 39, 40, 42, 44, 46, 48, 50];
+
+// DC adjustment by rarity
+export const RARITY_DC_ADJUSTMENTS = {
+    common: 0,
+    uncommon: 2,
+    rare: 5,
+    unique: 10
+};
+
+// Skills that can Recall Knowledge about creatures, in dialog order
+export const RECALL_KNOWLEDGE_SKILLS = ["arcana", "crafting", "medicine", "nature", "occultism", "religion", "society"];
+
+// Identifying skills by creature trait (GM Core, Identifying Creatures)
+const CREATURE_TRAIT_SKILLS = {
+    aberration: ["occultism"],
+    animal: ["nature"],
+    astral: ["occultism"],
+    beast: ["arcana", "nature"],
+    celestial: ["religion"],
+    construct: ["arcana", "crafting"],
+    dragon: ["arcana"],
+    dream: ["occultism"],
+    elemental: ["arcana", "nature"],
+    ethereal: ["occultism"],
+    fey: ["nature"],
+    fiend: ["religion"],
+    fungus: ["nature"],
+    humanoid: ["society"],
+    monitor: ["religion"],
+    ooze: ["occultism"],
+    plant: ["nature"],
+    spirit: ["occultism"],
+    undead: ["religion"]
+};
+
+// DC adjustments for Lore skills
+const UNSPECIFIC_LORE_ADJUSTMENT = -2;
+const SPECIFIC_LORE_ADJUSTMENT = -5;
+
+// Magic traditions and the skill that identifies each
+const TRADITION_SKILLS = {
+    arcane: "arcana",
+    divine: "religion",
+    occult: "occultism",
+    primal: "nature"
+};
+
+// DC adjustment for identifying magic with another tradition's skill
+const OTHER_TRADITION_ADJUSTMENT = 5;
+
+// --- 1. DCs ---
+
+/**
+ * Returns the level-based DC.
+ * @param {number} level - Creature, item or spell level.
+ * @returns {number} The DC.
+ */
+export function getLevelBasedDC(level) {
+    level = Math.trunc(Number(level) || 0);
+    if (level < 0) return 13;
+    return LEVEL_BASED_DCS[Math.min(level, LEVEL_BASED_DCS.length - 1)];
+}
+
+/**
+ * Returns the DC to identify something: its level-based DC adjusted for its rarity.
+ * @param {Actor|Item} document - The creature, hazard or item; needs level and rarity.
+ * @returns {number} The DC.
+ */
+export function getIdentificationDC(document) {
+    const rarity = document.rarity ?? document.system?.traits?.rarity ?? "common";
+    const level = document.level ?? document.system?.details?.level?.value ?? document.system?.level?.value ?? 0;
+    return getLevelBasedDC(level) + (RARITY_DC_ADJUSTMENTS[rarity] ?? 0);
+}
+
+// --- 2. IDENTIFYING SKILLS ---
+
+/**
+ * Returns a creature's, hazard's or item's traits.
+ */
+function documentTraits(document) {
+    return Array.from(document.traits ?? document.system?.traits?.value ?? []);
+}
+
+/**
+ * Returns the skills that identify a creature, from its traits. A creature with no type trait the rules list
+ * can be identified with any Recall Knowledge skill.
+ * @param {Actor} creature - The creature.
+ * @returns {string[]} Skill slugs, e.g. ['arcana', 'crafting'].
+ */
+export function getIdentifyingSkills(creature) {
+    const skills = new Set(documentTraits(creature).flatMap(trait => CREATURE_TRAIT_SKILLS[trait] ?? []));
+    return skills.size > 0 ? RECALL_KNOWLEDGE_SKILLS.filter(skill => skills.has(skill)) : [...RECALL_KNOWLEDGE_SKILLS];
+}
+
+/**
+ * Finds the Lore skills of a character that apply to a creature: a Lore named after the creature (e.g. Vampire Lore)
+ * is specific, one named after one of its traits (e.g. Undead Lore) unspecific.
+ * @param {Actor} actor - The character.
+ * @param {Actor} creature - The creature.
+ * @returns {{slug: string, label: string, dcAdjustment: number}[]} The Lore skills and their DC adjustments.
+ */
+export function getRelevantLores(actor, creature) {
+    const traits = documentTraits(creature);
+    const name = creature.slug ?? creature.name.slugify();
+
+    return Object.values(actor.skills ?? {})
+        .filter(statistic => statistic.lore)
+        .map(statistic => {
+            const topic = statistic.slug.replace(/-lore$/, "");
+            if (traits.includes(topic)) return { slug: statistic.slug, label: statistic.label, dcAdjustment: UNSPECIFIC_LORE_ADJUSTMENT };
+            if (name.split("-").includes(topic) || name === topic) {
+                return { slug: statistic.slug, label: statistic.label, dcAdjustment: SPECIFIC_LORE_ADJUSTMENT };
+            }
+            return null;
+        })
+        .filter(lore => lore);
+}
+
+// --- 3. IDENTIFYING ITEMS, EFFECTS AND HAZARDS ---
+
+/**
+ * Returns the action that identifies an item, spell effect or hazard: Identify Alchemy for alchemical items,
+ * Recall Knowledge (with Crafting) for mechanical hazards, otherwise Identify Magic.
+ * @param {Item|Actor} document - The item, effect or hazard.
+ * @returns {string} 'identify-alchemy', 'recall-knowledge' or 'identify-magic'.
+ */
+export function getIdentifyAction(document) {
+    const traits = documentTraits(document);
+    if (traits.includes("alchemical")) return "identify-alchemy";
+    if (document.type === "hazard" && !traits.includes("magical") && !getTraditions(document).length) return "recall-knowledge";
+    return "identify-magic";
+}
+
+/**
+ * Returns the magic traditions of an item, spell effect or hazard, from its traits (and a spell's traditions).
+ */
+function getTraditions(document) {
+    const traits = [...documentTraits(document), ...(document.system?.traits?.traditions ?? [])];
+    return Object.keys(TRADITION_SKILLS).filter(tradition => traits.includes(tradition));
+}
+
+/**
+ * Returns the skills that identify an item, spell effect or hazard, with their DC adjustments: Crafting for
+ * alchemy and mechanical hazards; for magic, the skills of its traditions, and the other tradition skills at DC +5.
+ * Magic without a tradition can be identified with any of the four.
+ * @param {Item|Actor} document - The item, effect or hazard.
+ * @returns {{slug: string, dcAdjustment: number}[]} The skills.
+ */
+export function getItemIdentifyingSkills(document) {
+    if (getIdentifyAction(document) !== "identify-magic") return [{ slug: "crafting", dcAdjustment: 0 }];
+
+    const traditions = getTraditions(document);
+    return Object.entries(TRADITION_SKILLS).map(([tradition, slug]) => ({
+        slug,
+        dcAdjustment: traditions.length === 0 || traditions.includes(tradition) ? 0 : OTHER_TRADITION_ADJUSTMENT
+    }));
+}
+
+// --- 4. BEST SKILL ---
+
+/**
+ * Picks the option with the highest modifier relative to its DC.
+ * @param {Actor} actor - The character.
+ * @param {{slug: string, label?: string, dcAdjustment: number}[]} options - The skills that may be used.
+ * @param {number} dc - The base DC.
+ * @param {boolean} trained - Only skills the actor is trained in count.
+ * @returns {{slug: string, label: string, dc: number, modifier: number}|null} The best option, or null if none counts.
+ */
+function pickBestSkill(actor, options, dc, trained) {
+    return options
+        .map(option => ({ ...option, statistic: actor.skills?.[option.slug] }))
+        .filter(({ statistic }) => !trained || statistic?.rank > 0)
+        .map(({ slug, label, dcAdjustment, statistic }) => ({
+            slug,
+            label: label ?? statistic?.label ?? skillLabel(slug),
+            dc: dc + dcAdjustment,
+            modifier: Number(statistic?.mod ?? 0)
+        }))
+        .reduce((best, option) => (!best || option.modifier - option.dc > best.modifier - best.dc ? option : best), null);
+}
+
+/**
+ * Picks a character's best way to identify a creature: the identifying skill or relevant Lore with the highest
+ * modifier relative to its DC. Untrained skills count (Recall Knowledge can be used untrained).
+ * @param {Actor} actor - The character.
+ * @param {Actor|null} creature - The creature; without one, any Recall Knowledge skill counts.
+ * @param {number} dc - The creature's DC (see getIdentificationDC); Lore DCs are adjusted from it.
+ * @returns {{slug: string, label: string, dc: number, modifier: number}} The skill, its DC and the actor's modifier.
+ */
+export function getBestIdentifyingSkill(actor, creature, dc) {
+    const options = [
+        ...(creature ? getIdentifyingSkills(creature) : RECALL_KNOWLEDGE_SKILLS).map(slug => ({ slug, dcAdjustment: 0 })),
+        ...(creature ? getRelevantLores(actor, creature) : [])
+    ];
+    return pickBestSkill(actor, options, dc, false);
+}
+
+/**
+ * Picks a character's best skill for identifying an item, spell effect or hazard. Identify Magic and Identify
+ * Alchemy need training, so only trained skills count.
+ * @param {Actor} actor - The character.
+ * @param {Item|Actor} document - The item, effect or hazard.
+ * @param {number} dc - Its DC (see getIdentificationDC); other traditions' skills are adjusted from it.
+ * @returns {{slug: string, label: string, dc: number, modifier: number}|null} The skill, its DC and the actor's
+ * modifier, or null if the character isn't trained in any of the skills.
+ */
+export function getBestItemIdentifyingSkill(actor, document, dc) {
+    return pickBestSkill(actor, getItemIdentifyingSkills(document), dc, true);
+}
@@ -0,0 +1,244 @@
+/**
+ * PF2e Awesome Macros - Identify Item
+ * The sibling of Quick Recall Knowledge for loot, magic effects and traps: Identify Magic and Identify Alchemy as a
+ * secret group check. The thing to identify is an item, a spell effect or a hazard, dropped on the dialog or taken
+ * from the targeted token (a hazard, or the first unidentified item of a loot token).
+ * - The skills follow the item (see getItemIdentifyingSkills in 'identification.js'): the tradition skills for
+ *   magic, Crafting for alchemical items and mechanical hazards; only characters trained in one of them roll.
+ * - The DC comes from the item's level and rarity.
+ * - The GM's report has a button on each successful row that marks the item identified and tells that
+ *   character's player what it is (see markIdentified in 'chat-cards.js').
+ */
+
+import { resolveTargets, describeTargetSource } from './party.js';
+import { callPreHook, callPostHook } from './hooks.js';
+import { rollSecretCheck, readSecretRoll, secretCheckRow, whisperToGMs } from './secret-checks.js';
+import { getIdentificationDC, getIdentifyAction, getItemIdentifyingSkills, getBestItemIdentifyingSkill } from './identification.js';
+import { localize, format, skillLabel, rarityLabel, escape } from './i18n.js';
+
+export const IDENTIFY_ITEM_MACRO_NAME = "Identify Item";
+export const IDENTIFY_ITEM_MACRO_ICON = "icons/svg/eye.svg";
+
+// Traits of each identifying action besides 'secret'
+const ACTION_TRAITS = {
+    "identify-magic": ["concentrate", "exploration"],
+    "identify-alchemy": ["concentrate", "exploration"],
+    "recall-knowledge": ["concentrate"]
+};
+
+// --- 1. WHAT TO IDENTIFY ---
+
+/**
+ * Whether an item is a physical item that is still unidentified.
+ */
+function isUnidentified(item) {
+    return item.system?.identification?.status === "unidentified";
+}
+
+/**
+ * Returns the item, spell effect or hazard to identify.
+ * @param {Item|Actor|Token|TokenDocument|string|null} [target] - The item or hazard, a token, or a UUID; a loot
+ * token or actor stands for its first unidentified item. Defaults to the first targeted token.
+ * @returns {Item|Actor|null} The item or hazard actor, or null if there is nothing to identify.
+ */
+export function resolveIdentifyTarget(target) {
+    if (target === undefined) target = Array.from(game.user.targets ?? [])[0];
+    if (typeof target === "string") target = fromUuidSync(target);
+    if (!target) return null;
+    if (target instanceof Item) return target;
+
+    const actor = target instanceof Actor ? target : target.actor;
+    if (!actor) return null;
+    if (actor.type === "hazard") return actor;
+    return actor.items.find(isUnidentified) ?? null;
+}
+
+// --- 2. ROLLING ---
+
+/**
+ * Rolls one character's identification check through the PF2e system, secretly and without a chat message
+ * (see rollSecretCheck in 'secret-checks.js').
+ * @returns {Promise<Rolled<CheckRoll>|null>} The roll.
+ */
+async function rollIdentifyCheck(actor, check, document, action) {
+    return rollSecretCheck(actor, check.slug, {
+        dc: check.dc,
+        traits: ACTION_TRAITS[action],
+        rollOptions: [`action:${action}`, ...(document instanceof Item ? document.getRollOptions("item") : [])]
+    });
+}
+
+/**
+ * Rolls Identify Magic or Identify Alchemy for several characters without any dialog. Used by the dialog and the
+ * scripting API.
+ * @param {object} params
+ * @param {Actor[]} [params.actors] - Characters rolling; defaults to controlled tokens or the party (see 'party.js').
+ * @param {Item|Actor|Token|string} [params.target] - The item, spell effect or hazard (see resolveIdentifyTarget);
+ * defaults to the first targeted token.
+ * @param {number} [params.dc] - The DC; defaults to the level- and rarity-based DC. Other traditions' skills roll against DC +5.
+ * @param {boolean} [params.chat=true] - Whisper the aggregated results to the GMs.
+ * @returns {Promise<{dc: number, action: string, name: string, results: object[], untrained: Actor[]}|null>}
+ * The action ('identify-magic', 'identify-alchemy' or 'recall-knowledge'), the item's name, one result per
+ * trained character: { actorId, actorUuid, actorName, skill, skillLabel, dc, total, d20, degree, roll }, and
+ * the characters not trained in any identifying skill; or null if there was nothing to identify, no one to roll
+ * or a preIdentifyItem hook cancelled it.
+ */
+export async function identifyItem({ actors, target, dc, chat = true } = {}) {
+    let document = resolveIdentifyTarget(target);
+    if (!document) {
+        ui.notifications.error(localize("Identify.NothingToIdentify"));
+        return null;
+    }
+    dc = Number(dc ?? getIdentificationDC(document)) || 0;
+
+    // Let other modules adjust or cancel the checks (see 'hooks.js')
+    const params = { actors: actors ?? resolveTargets().actors, target: document, dc };
+    if (!callPreHook("preIdentifyItem", params)) return null;
+    ({ actors, target: document, dc } = params);
+
+    if (actors.length === 0) {
+        ui.notifications.error(localize("Common.NoTargets"));
+        return null;
+    }
+
+    const action = getIdentifyAction(document);
+    const untrained = [];
+    const results = [];
+    for (const actor of actors) {
+        const check = getBestItemIdentifyingSkill(actor, document, dc);
+        if (!check) {
+            untrained.push(actor);
+            continue;
+        }
+
+        const roll = await rollIdentifyCheck(actor, check, document, action);
+        if (!roll) continue;
+        results.push({
+            actorId: actor.id,
+            actorUuid: actor.uuid,
+            actorName: actor.name,
+            skill: check.slug,
+            skillLabel: check.label,
+            dc: check.dc,
+            ...readSecretRoll(roll),
+            roll
+        });
+    }
+
+    callPostHook("itemIdentificationRolled", { actors, target: document, dc, action, results, untrained });
+    if (chat) await createIdentifyMessage({ document, dc, action, results, untrained, actors });
+    return { dc, action, name: document.name, results, untrained };
+}
+
+// --- 3. REPORT ---
+
+/**
+ * Whispers the aggregated results to the GMs (see 'secret-checks.js'). See 'templates/chat/identify-item.hbs'.
+ */
+async function createIdentifyMessage({ document, dc, action, results, untrained, actors }) {
+    // Another tradition's skill rolls against a higher DC; the row shows it when it isn't the card's
+    const rows = results.map(res => ({
+        ...secretCheckRow(res, dc),
+        identified: res.degree === "success" || res.degree === "criticalSuccess"
+    }));
+
+    await whisperToGMs("identify", {
+        title: format("Identify.Chat.Title", { action: localize(`Identify.Actions.${action}`), name: document.name, dc }),
+        rows,
+        untrained: untrained.length > 0 ? format("Identify.Chat.Untrained", { names: untrained.map(a => a.name).join(", ") }) : ""
+    }, {
+        flags: { identify: { target: document.uuid, name: document.name } },
+        rerun: {
+            fn: "identifyItem",
+            label: localize("Macros.identifyItem"),
+            actorUuids: actors.map(a => a.uuid),
+            params: { dc, target: document.uuid }
+        }
+    });
+
+    ui.notifications.info(format("Identify.Completed", { count: results.length }));
+}
+
+// --- 4. DIALOG ---
+
+/**
+ * Describes the thing to identify for the dialog: its name, level, rarity, DC and skills.
+ */
+function describeIdentifyTarget(document) {
+    if (!document) return localize("Identify.Dialog.DropHint");
+    const skills = getItemIdentifyingSkills(document);
+    return format("Identify.Dialog.Target", {
+        name: document.name,
+        level: document.level ?? document.system?.level?.value ?? 0,
+        rarity: rarityLabel(document.rarity ?? "common"),
+        dc: getIdentificationDC(document),
+        action: localize(`Identify.Actions.${getIdentifyAction(document)}`),
+        skills: skills.filter(s => s.dcAdjustment === 0).map(s => skillLabel(s.slug)).join(", ")
+    });
+}
+
+/**
+ * Opens the Identify Item dialog. This is the function that the "Identify Item" macro calls.
+ * Drop an item, spell effect or hazard on the dialog, or target a hazard or loot token before opening it.
+ */
+export function openIdentifyItemDialog() {
+    if (!game.user.isGM) {
+        ui.notifications.warn(localize("Identify.GMOnly"));
+        return;
+    }
+
+    let document = resolveIdentifyTarget();
+    const { actors: rollers, source } = resolveTargets();
+
+    const content = `
+    <form>
+        <div class="pf2e-awesome-identify-drop">${escape(describeIdentifyTarget(document))}</div>
+        <div class="form-group">
+            <label>${localize("Recall.Dialog.DC")}</label>
+            <input type="number" name="dc" value="${document ? getIdentificationDC(document) : ""}" min="1" max="100"/>
+        </div>
+        <p class="notes">${escape(describeTargetSource(source, rollers.length))}</p>
+        <p class="notes">${localize("Identify.Dialog.Hint")}</p>
+    </form>
+    `;
+
+    new Dialog({
+        title: localize("Identify.Dialog.Title"),
+        content: content,
+        buttons: {
+            roll: {
+                icon: '<i class="fas fa-dice-d20"></i>',
+                label: localize("Recall.Dialog.Roll"),
+                callback: async (html) => {
+                    if (!document) {
+                        ui.notifications.error(localize("Identify.NothingToIdentify"));
+                        return;
+                    }
+                    await identifyItem({ target: document, dc: parseInt(html.find('[name="dc"]').val(), 10) || undefined });
+                }
+            },
+            cancel: {
+                icon: '<i class="fas fa-times"></i>',
+                label: localize("Common.Cancel")
+            }
+        },
+        default: "roll",
+        render: (html) => {
+            // Dropping an item, effect, hazard or loot actor replaces the thing to identify and its DC
+            const zone = html.find('.pf2e-awesome-identify-drop')[0];
+            zone.addEventListener("dragover", (event) => event.preventDefault());
+            zone.addEventListener("drop", async (event) => {
+                event.preventDefault();
+                const data = foundry.applications.ux.TextEditor.implementation.getDragEventData(event);
+                const dropped = resolveIdentifyTarget(data?.uuid ? await fromUuid(data.uuid) : null);
+                if (!dropped) {
+                    ui.notifications.warn(localize("Identify.NothingToIdentify"));
+                    return;
+                }
+                document = dropped;
+                zone.textContent = describeIdentifyTarget(document);
+                html.find('[name="dc"]').val(getIdentificationDC(document));
+            });
+        }
+    }, { width: 420 }).render(true);
+}
@@ -7,14 +7,17 @@
     * Intended for GMs using the PF2e system on Foundry V10+.
  */
 
+import { callPreHook, callPostHook } from './hooks.js';
+import { localize, format } from './i18n.js';
+
 export const JOURNAL_EXPORT_MACRO_NAME = "Export Journals";
 export const JOURNAL_EXPORT_MACRO_ICON = "modules/pf2e-awesome-macros-for-gms/assets/journal-to-html-export.png"
 
 // --- UTILITY FUNCTIONS ---
 /**
- * Saves content to a file.
+ * Saves content to a file. Also used by the XP ledger export (see 'xp-ledger.js').
  */
-function saveDataToFile(content, contentType, fileName) {
+export function saveDataToFile(content, contentType, fileName) {
     const a = document.createElement('a');
     const file = new Blob([content], { type: contentType });
 
@@ -26,14 +29,19 @@ function saveDataToFile(content, contentType, fileName) {
 }
 
 /**
- * Builds and executes the journal export based on folder selection.
+ * Builds and executes the journal export based on folder selection. Dialog-free, so it also backs the scripting API.
+ * @param {object} [params]
+ * @param {string} [params.folderId="all"] - A JournalEntry folder ID, or 'all' for every journal.
+ * @param {boolean} [params.download=true] - Save the generated HTML file.
+ * @returns {{title: string, count: number, fileName: string, html: string}|null} The export, or null if nothing was
+ * exported or a preJournalExport hook cancelled it.
  */
-function runJournalExport(folderId) {
+export function exportJournals({ folderId = "all", download = true } = {}) {
     const allJournals = Array.from(game.journal.values());
     
     // Determine which journals to export
     let journalsToExport = [];
-    let exportTitle = "All Journals";
+    let exportTitle = localize("JournalExport.AllJournals");
 
     const collectSortedJournals = (parentId) => {
         // Get folders that are children of this parentId
@@ -66,8 +74,8 @@ function runJournalExport(folderId) {
     } else {
         const selectedFolder = game.folders.get(folderId);
         if (!selectedFolder) {
-            ui.notifications.error("Could not find the selected folder.");
-            return;
+            ui.notifications.error(localize("JournalExport.FolderNotFound"));
+            return null;
         }
         exportTitle = selectedFolder.name;
 
@@ -75,9 +83,14 @@ function runJournalExport(folderId) {
         collectSortedJournals(folderId);
     }
 
+    // Let other modules pick the journals, retitle the export or cancel it (see 'hooks.js')
+    const params = { folderId, title: exportTitle, journals: journalsToExport, download };
+    if (!callPreHook("preJournalExport", params)) return null;
+    ({ title: exportTitle, journals: journalsToExport, download } = params);
+
     if (journalsToExport.length === 0) {
-        ui.notifications.warn(`No journals found in the selected folder, or no files were selected.`);
-        return;
+        ui.notifications.warn(localize("JournalExport.NoJournals"));
+        return null;
     }
 
     // --- HTML GENERATION LOGIC ---
@@ -85,7 +98,7 @@ function runJournalExport(folderId) {
     let journalBodyContent = '';
 
     let htmlContent = `<!DOCTYPE html>
-<html lang="en">
+<html lang="${game.i18n.lang}">
 <head>
     <meta charset="UTF-8">
     <title>${exportTitle}</title>
@@ -109,7 +122,7 @@ function runJournalExport(folderId) {
     <h1>${exportTitle}</h1>`;
 
     for (const journal of journalsToExport) {
-        const entryName = journal.name || 'Untitled Journal Entry';
+        const entryName = journal.name || localize("JournalExport.UntitledEntry");
         // Create a slug for the unique ID
         const entryId = journal.id; // Use the Foundry ID, which is already unique and safe
 
@@ -127,7 +140,7 @@ function runJournalExport(folderId) {
                 // Only process text pages
                 if (page.type === "text" && page.text && page.text.content) {
                     
-                    const pageName = page.name || 'Untitled Page';
+                    const pageName = page.name || localize("JournalExport.UntitledPage");
                     let pageContent = page.text.content;
                     
                     // CLEANING LOGIC 
@@ -160,7 +173,7 @@ function runJournalExport(folderId) {
 
     // Assemble the final HTML
     htmlContent += `<div class="toc-section">
-        <h2>Table of Contents</h2>
+        <h2>${localize("JournalExport.TableOfContents")}</h2>
         <ul class="toc-list">
             ${tocContent}
         </ul>
@@ -171,8 +184,13 @@ function runJournalExport(folderId) {
 
     // SAVE FILE 
     let fileName = `${exportTitle.toLowerCase().replace(/\s+/g, '_')}.html`;
-    saveDataToFile(htmlContent, "text/html", fileName);
-    ui.notifications.info(`Successfully exported ${journalsToExport.length} journal entries from ${exportTitle}!`);
+    if (download) {
+        saveDataToFile(htmlContent, "text/html", fileName);
+        ui.notifications.info(format("JournalExport.Exported", { count: journalsToExport.length, title: exportTitle }));
+    }
+    const result = { title: exportTitle, count: journalsToExport.length, fileName, html: htmlContent };
+    callPostHook("journalExported", { folderId, journals: journalsToExport, download, ...result });
+    return result;
 }
 
 
@@ -183,7 +201,7 @@ export function openJournalExportDialog() {
         && f.depth === 1).sort((a) => a.name);
 
     // Build the <select> HTML dropdown options
-    let folderOptions = '<option value="all">-- All Journals --</option>';
+    let folderOptions = `<option value="all">-- ${localize("JournalExport.AllJournals")} --</option>`;
     journalFolders.forEach(folder => {
         // Add spaces for folder hierarchy if possible, otherwise just the name
         const indent = "&nbsp;&nbsp;".repeat(folder.depth || 0);
@@ -192,9 +210,9 @@ export function openJournalExportDialog() {
 
     // Define the dialog content
     const dialogContent = `
-        <p>Select the folder you wish to export, or select "All Journals" to export everything.</p>
+        <p>${localize("JournalExport.Dialog.Intro")}</p>
         <div class="form-group">
-            <label>Journal Folder:</label>
+            <label>${localize("JournalExport.Dialog.Folder")}</label>
             <select name="folderId" style="width:100%;">
                 ${folderOptions}
             </select>
@@ -203,20 +221,20 @@ export function openJournalExportDialog() {
 
     // Create and show the Foundry Dialog
     new Dialog({
-        title: "Journal Export Selection",
+        title: localize("JournalExport.Dialog.Title"),
         content: dialogContent,
         buttons: {
             export: {
                 icon: '<i class="fas fa-file-export"></i>',
-                label: "Export",
+                label: localize("JournalExport.Dialog.Export"),
                 callback: (html) => {
                     const folderId = html.find('[name="folderId"]').val();
-                    runJournalExport(folderId);
+                    exportJournals({ folderId });
                 }
             },
             cancel: {
                 icon: '<i class="fas fa-times"></i>',
-                label: "Cancel"
+                label: localize("Common.Cancel")
             }
         },
         default: "export"
@@ -0,0 +1,198 @@
+/**
+ * PF2e Awesome Macros - Leveling
+ * The world's leveling pace and mode live in the module settings, so every XP award and the PF2e sheet agree:
+ * - the pace (fast/normal/slow) picks the XP threshold, which is also written to each character's
+ *   system.details.xp.max so the sheet's XP bar fills at the same point,
+ * - manual mode only announces that a character is ready to level up,
+ * - automatic mode raises system.details.level and carries the leftover XP over,
+ * - milestone mode ignores XP for leveling; the GM levels characters up directly (levelUpCharacters).
+ */
+
+import { MODULE_ID, getSetting, getXpThreshold, LEVELING_PACES } from './settings.js';
+import { resolveTargets } from './party.js';
+import { UndoOperation } from './undo-journal.js';
+import { buildLedgerUpdate } from './xp-ledger.js';
+import { createChatCard } from './chat-cards.js';
+import { callPreHook, callPostHook } from './hooks.js';
+import { localize, format } from './i18n.js';
+
+// Highest character level in PF2e
+export const MAX_LEVEL = 20;
+
+// Settings that change the XP threshold of the world's pace
+const THRESHOLD_SETTINGS = ["levelingPace", "xpThresholdFast", "xpThresholdNormal", "xpThresholdSlow"];
+
+// --- 1. PACE AND MODE ---
+
+/**
+ * Returns the world's leveling pace.
+ * @returns {string} 'fast', 'normal' or 'slow'.
+ */
+export function getLevelingPace() {
+    return getSetting("levelingPace");
+}
+
+/**
+ * Returns the world's leveling mode.
+ * @returns {string} 'manual', 'automatic' or 'milestone'.
+ */
+export function getLevelingMode() {
+    return getSetting("levelingMode");
+}
+
+/**
+ * Stores the world's leveling pace. The characters' XP bars follow on the active GM's client.
+ * @param {string} pace - 'fast', 'normal' or 'slow'.
+ */
+export async function setLevelingPace(pace) {
+    if (!(pace in LEVELING_PACES)) {
+        throw new Error(`PF2e Awesome Macros | setLevelingPace: unknown pace "${pace}".`);
+    }
+    if (pace !== getLevelingPace()) await game.settings.set(MODULE_ID, "levelingPace", pace);
+}
+
+/**
+ * Writes the world pace's XP threshold to the characters' XP maximum, which the PF2e sheet's XP bar uses.
+ * Characters whose maximum already matches are skipped. The batch can be undone, and characters that couldn't
+ * be updated are reported instead of stopping the others.
+ * @param {Actor[]} [actors] - Characters to update; defaults to every character in the world.
+ * @param {object} [options]
+ * @param {boolean} [options.undo=true] - Record the batch in the undo journal (see 'undo-journal.js').
+ * @returns {Promise<number>} The number of characters updated.
+ */
+export async function syncXpMax(actors = game.actors.filter(a => a.type === "character"), { undo: recordUndo = true } = {}) {
+    const threshold = getXpThreshold(getLevelingPace());
+    const outdated = actors.filter(a => a.system.details?.xp && a._source.system.details?.xp?.max !== threshold);
+    if (outdated.length === 0) return 0;
+
+    const undo = new UndoOperation(localize("Leveling.SyncUndoLabel"));
+    const failed = [];
+    for (const actor of outdated) {
+        const changes = { "system.details.xp.max": threshold };
+        try {
+            await (recordUndo ? undo.update(actor, changes) : actor.update(changes));
+        } catch (error) {
+            console.error(`PF2e Awesome Macros | Failed to update the XP maximum of ${actor.name}:`, error);
+            failed.push(actor.name);
+        }
+    }
+    if (recordUndo) await undo.commit();
+
+    const updated = outdated.length - failed.length;
+    if (failed.length > 0) ui.notifications.error(format("Leveling.SyncFailed", { names: failed.join(", ") }));
+    if (updated > 0 && recordUndo) ui.notifications.info(format("Leveling.Synced", { count: updated, threshold }));
+    return updated;
+}
+
+/**
+ * Runs syncXpMax from a hook, reporting anything it throws.
+ */
+function syncXpMaxFromHook(actors, options) {
+    syncXpMax(actors, options).catch(error => {
+        console.error("PF2e Awesome Macros | Failed to update the characters' XP maximum:", error);
+        ui.notifications.error(localize("Leveling.SyncError"));
+    });
+}
+
+/**
+ * Works out the level and XP after an award in automatic mode: one level per full threshold,
+ * keeping the leftover XP. Characters at MAX_LEVEL keep their XP.
+ * @param {number} level - Current level.
+ * @param {number} xp - XP after the award.
+ * @param {number} threshold - XP per level.
+ * @returns {{level: number, xp: number, levelsGained: number}} The new level and XP.
+ */
+export function carryOverLevels(level, xp, threshold) {
+    let levelsGained = 0;
+    while (xp >= threshold && level + levelsGained < MAX_LEVEL) {
+        xp -= threshold;
+        levelsGained++;
+    }
+    return { level: level + levelsGained, xp, levelsGained };
+}
+
+// --- 2. MILESTONE LEVELING ---
+
+/**
+ * Levels characters up without XP (milestone leveling). Dialog-free, so it also backs the scripting API.
+ * Each level-up is recorded in the XP ledger (see 'xp-ledger.js') and can be undone.
+ * @param {object} [params]
+ * @param {Actor[]} [params.actors] - Characters to level up; defaults to the resolved PC targets (see 'party.js').
+ * @param {number} [params.levels=1] - Levels to gain.
+ * @param {string} [params.reason=""] - The milestone, shown on the chat card and kept in the ledger.
+ * @param {boolean} [params.chat=true] - Post the public chat report.
+ * @returns {Promise<{levels: number, reason: string, results: object[], undoId: string|null}|null>} One result per
+ * actor: { actor, levelBefore, levelAfter, error }, or null if a preLevelUp hook cancelled it.
+ */
+export async function levelUpCharacters({ actors, levels = 1, reason = "", chat = true } = {}) {
+    actors ??= resolveTargets({ targeted: true, filter: a => a.type === "character" }).actors;
+
+    // Let other modules adjust or cancel the level-up (see 'hooks.js')
+    const params = { actors, levels, reason };
+    if (!callPreHook("preLevelUp", params)) return null;
+    ({ actors, levels, reason } = params);
+
+    levels = Number(levels);
+    if (!Number.isInteger(levels) || levels <= 0) {
+        throw new Error("PF2e Awesome Macros | levelUp: levels must be a positive whole number.");
+    }
+
+    const results = [];
+    const undo = new UndoOperation(localize("Leveling.UndoLabel"));
+
+    for (const actor of actors) {
+        const levelBefore = actor.system.details.level.value;
+        const levelAfter = Math.min(levelBefore + levels, MAX_LEVEL);
+        if (levelAfter === levelBefore) continue;
+
+        const xp = actor.system.details.xp.value;
+        const result = { actor, levelBefore, levelAfter, error: null };
+        try {
+            await undo.update(actor, {
+                "system.details.level.value": levelAfter,
+                ...buildLedgerUpdate(actor, { amount: 0, category: "milestone", reason, xpBefore: xp, xpAfter: xp, levelBefore, levelAfter })
+            });
+        } catch (error) {
+            console.error(`PF2e Awesome Macros | Failed to level up ${actor.name}:`, error);
+            result.error = error;
+        }
+        results.push(result);
+    }
+
+    const undoId = await undo.commit();
+    callPostHook("leveledUp", { actors, levels, reason, results, undoId });
+    if (!chat || results.length === 0) return { levels, reason, results, undoId };
+
+    // See 'templates/chat/level-up.hbs'
+    await createChatCard("levelUp", {
+        title: localize("Leveling.Chat.Title"),
+        reason,
+        rows: results.map(r => ({ name: r.actor.name, before: r.levelBefore, after: r.levelAfter })),
+        undoId
+    }, {
+        speaker: ChatMessage.getSpeaker({ alias: localize("AwardXP.Chat.Speaker") }),
+        // No Re-run button: it would apply the levels a second time
+        sound: CONFIG.sounds.notification
+    });
+
+    ui.notifications.info(format("Leveling.LeveledUp", { count: results.length }));
+    return { levels, reason, results, undoId };
+}
+
+// --- 3. REGISTRATION ---
+
+/**
+ * Keeps the characters' XP bars in line with the world's pace. Called on the 'init' hook.
+ */
+export function registerLeveling() {
+    Hooks.on("updateSetting", (setting) => {
+        if (!game.users.activeGM?.isSelf) return;
+        if (!THRESHOLD_SETTINGS.some(key => setting.key === `${MODULE_ID}.${key}`)) return;
+        syncXpMaxFromHook();
+    });
+
+    // New characters start with the system's default XP maximum; setting it isn't worth an undo entry
+    Hooks.on("createActor", (actor) => {
+        if (game.users.activeGM?.isSelf && actor.type === "character") syncXpMaxFromHook([actor], { undo: false });
+    });
+}
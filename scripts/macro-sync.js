@@ -0,0 +1,330 @@
+/**
+ * PF2e Awesome Macros - Macro Synchronisation
+ * Keeps the world's module macros in step with the tools shipped in this version.
+ * Every module macro carries flags { isModuleMacro, key, version }. On startup the GM's client:
+ * - creates macros for new tools,
+ * - updates the name, icon and command of macros whose version is older than the definition,
+ * - leaves macros the GM deleted alone and records them as deleted in the sync state (a rebuild re-creates them),
+ * - deletes module macros whose tool no longer exists; macros without a key (older copies, duplicates) are kept.
+ * Macros for tools players can use (as GM requests, see 'player-requests.js') are shared with all players.
+ */
+
+import { MODULE_ID, getSetting } from './settings.js';
+import { RANDOM_ENCOUNTER_MACRO_NAME, RANDOM_ENCOUNTER_MACRO_ICON } from './random-encounter-macro.js';
+import { QUICK_RECALL_MACRO_NAME, QUICK_RECALL_MACRO_ICON } from './quick-recall-knowledge.js';
+import { JOURNAL_EXPORT_MACRO_NAME, JOURNAL_EXPORT_MACRO_ICON } from './journal-to-html-export.js';
+import { FULL_RESTORE_MACRO_NAME, FULL_RESTORE_MACRO_ICON } from './full-restore.js';
+import { REST_PLANNER_MACRO_NAME, REST_PLANNER_MACRO_ICON } from './rest-planner.js';
+import { IDENTIFY_ITEM_MACRO_NAME, IDENTIFY_ITEM_MACRO_ICON } from './identify-item.js';
+import { SECRET_GROUP_CHECK_MACRO_NAME, SECRET_GROUP_CHECK_MACRO_ICON } from './secret-group-check.js';
+import { QUICK_TOKEN_RESIZER_MACRO_NAME, QUICK_TOKEN_RESIZER_MACRO_ICON } from './quick-token-resizer.js';
+import { COMBAT_CLEANUP_MACRO_NAME, COMBAT_CLEANUP_MACRO_ICON } from './quick-combat-cleanup.js';
+import { INITIATIVE_MODIFIER_MACRO_NAME, INITIATIVE_MODIFIER_MACRO_ICON } from './apply-initiative-modifier.js';
+import { EXPERIENCE_AWARD_MACRO_NAME, EXPERIENCE_AWARD_MACRO_ICON } from './award-xp.js';
+import { STATUS_EFFECT_MACRO_NAME, STATUS_EFFECT_MACRO_ICON } from './easy-add-conditions.js';
+import { EXPLORATION_ACTIVITY_MACRO_NAME, EXPLORATION_ACTIVITY_MACRO_ICON } from './easy-exploration.js';
+import { UNDO_MACRO_NAME, UNDO_MACRO_ICON } from './undo-journal.js';
+import { CONTROL_PANEL_MACRO_NAME, CONTROL_PANEL_MACRO_ICON } from './control-panel.js';
+import { XP_LEDGER_MACRO_NAME, XP_LEDGER_MACRO_ICON } from './xp-ledger.js';
+import { localize, format } from './i18n.js';
+
+/**
+ * The macros this version of the module maintains.
+ * Bump a macro's version whenever its name, icon, command or player access changes so existing worlds pick it up.
+ * players: true shares the macro with every player (Observer permission lets them run it).
+ */
+export const MODULE_MACROS = [
+    { key: "randomEncounter", version: 2, name: RANDOM_ENCOUNTER_MACRO_NAME, icon: RANDOM_ENCOUNTER_MACRO_ICON, command: `game.pf2eAwedomeMacros.generateEncounter();` },
+    { key: "quickRecall", version: 3, players: true, name: QUICK_RECALL_MACRO_NAME, icon: QUICK_RECALL_MACRO_ICON, command: `game.pf2eAwedomeMacros.openRecallKnowledgeDialog();` },
+    { key: "journalExport", version: 2, name: JOURNAL_EXPORT_MACRO_NAME, icon: JOURNAL_EXPORT_MACRO_ICON, command: `game.pf2eAwedomeMacros.openJournalExportDialog();` },
+    { key: "fullRestore", version: 3, players: true, name: FULL_RESTORE_MACRO_NAME, icon: FULL_RESTORE_MACRO_ICON, command: `game.pf2eAwedomeMacros.openFullRestoreDialog();` },
+    { key: "tokenResizer", version: 2, name: QUICK_TOKEN_RESIZER_MACRO_NAME, icon: QUICK_TOKEN_RESIZER_MACRO_ICON, command: `game.pf2eAwedomeMacros.resizeToken();` },
+    { key: "combatCleanup", version: 2, name: COMBAT_CLEANUP_MACRO_NAME, icon: COMBAT_CLEANUP_MACRO_ICON, command: `game.pf2eAwedomeMacros.cleanupCombat();` },
+    { key: "initiativeModifier", version: 2, name: INITIATIVE_MODIFIER_MACRO_NAME, icon: INITIATIVE_MODIFIER_MACRO_ICON, command: `game.pf2eAwedomeMacros.applyInitiativeModifier();` },
+    { key: "awardXp", version: 2, name: EXPERIENCE_AWARD_MACRO_NAME, icon: EXPERIENCE_AWARD_MACRO_ICON, command: `game.pf2eAwedomeMacros.awardXP();` },
+    { key: "statusEffect", version: 2, name: STATUS_EFFECT_MACRO_NAME, icon: STATUS_EFFECT_MACRO_ICON, command: `game.pf2eAwedomeMacros.addStatusEffect();` },
+    { key: "exploration", version: 3, players: true, name: EXPLORATION_ACTIVITY_MACRO_NAME, icon: EXPLORATION_ACTIVITY_MACRO_ICON, command: `game.pf2eAwedomeMacros.addExplorationActivity();` },
+    { key: "undoLastAction", version: 2, name: UNDO_MACRO_NAME, icon: UNDO_MACRO_ICON, command: `game.pf2eAwedomeMacros.undoLastAction();` },
+    { key: "controlPanel", version: 1, name: CONTROL_PANEL_MACRO_NAME, icon: CONTROL_PANEL_MACRO_ICON, command: `game.pf2eAwedomeMacros.openControlPanel();` },
+    { key: "xpLedger", version: 1, name: XP_LEDGER_MACRO_NAME, icon: XP_LEDGER_MACRO_ICON, command: `game.pf2eAwedomeMacros.openXpLedger();` },
+    { key: "restPlanner", version: 1, name: REST_PLANNER_MACRO_NAME, icon: REST_PLANNER_MACRO_ICON, command: `game.pf2eAwedomeMacros.openRestPlanner();` },
+    { key: "identifyItem", version: 1, name: IDENTIFY_ITEM_MACRO_NAME, icon: IDENTIFY_ITEM_MACRO_ICON, command: `game.pf2eAwedomeMacros.openIdentifyItemDialog();` },
+    { key: "secretCheck", version: 1, name: SECRET_GROUP_CHECK_MACRO_NAME, icon: SECRET_GROUP_CHECK_MACRO_ICON, command: `game.pf2eAwedomeMacros.openSecretGroupCheckDialog();` }
+];
+
+// Macros created by the releases before macros had keys and versions. A world upgrading from one has module macros
+// but no sync state; any of these it lacks were deleted by the GM and are not brought back.
+const LEGACY_MACRO_KEYS = [
+    "randomEncounter", "quickRecall", "journalExport", "fullRestore", "tokenResizer",
+    "combatCleanup", "initiativeModifier", "awardXp", "statusEffect", "exploration"
+];
+
+// --- 1. HELPER FUNCTIONS ---
+
+/**
+ * Gets an existing folder by name and type, or creates it if it doesn't exist.
+ * @param {string} name - The name of the folder.
+ * @param {string} type - The document type the folder contains (e.g., 'Macro').
+ * @returns {Promise<Folder|null>} The Folder document, or null if creation failed.
+ */
+async function getOrCreateFolder(name, type) {
+    let folder = game.folders.find(f => f.type === type && f.name === name);
+
+    if (!folder) {
+        // Create the folder if it doesn't exist
+        try {
+            folder = await Folder.create({
+                name: name,
+                type: type,
+                parent: null, // Create at the top level
+                color: getSetting("macroFolderColor") // Folder color from the module settings
+            });
+            ui.notifications.info(format("MacroSync.CreatedFolder", { name }));
+        } catch (err) {
+            console.error(`PF2e Awesome Macros | Failed to create folder: ${name}`, err);
+            return null;
+        }
+    }
+    return folder;
+}
+
+/**
+ * Returns the macro's name in the current language. The English *_MACRO_NAME constants are
+ * the fallback and are still used to recognise macros created before keys existed.
+ * @param {object} definition - An entry of MODULE_MACROS.
+ * @returns {string} The localized macro name.
+ */
+function getMacroName(definition) {
+    const key = `PF2EAM.Macros.${definition.key}`;
+    return game.i18n.has(key) ? game.i18n.localize(key) : definition.name;
+}
+
+/**
+ * Builds the flags stored on a module macro.
+ * @param {object} definition - An entry of MODULE_MACROS.
+ * @returns {object} The flags object for Macro data.
+ */
+function buildMacroFlags(definition) {
+    return { [MODULE_ID]: { isModuleMacro: true, key: definition.key, version: definition.version } };
+}
+
+/**
+ * Builds the macro data every module macro is kept in line with: name, icon, command, flags and,
+ * for player tools, Observer permission for all players.
+ * @param {object} definition - An entry of MODULE_MACROS.
+ * @returns {object} Partial Macro data.
+ */
+function buildMacroData(definition) {
+    const data = {
+        name: getMacroName(definition),
+        img: definition.icon,
+        command: definition.command,
+        // Flag the macro with its key and version so later updates can find and refresh it
+        flags: buildMacroFlags(definition)
+    };
+    if (definition.players) {
+        data.ownership = { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.OBSERVER };
+    }
+    return data;
+}
+
+/**
+ * Creates a macro document for a definition and places it in a specified folder.
+ * This ensures GMs don't have to manually import the macro from a compendium.
+ * @param {object} definition - An entry of MODULE_MACROS.
+ * @param {string|null} folderId - The ID of the parent folder, or null for top-level.
+ * @returns {Promise<Macro|null>} The created macro, or null if it wasn't created.
+ */
+async function createMacroDocument(definition, folderId) {
+    const name = getMacroName(definition);
+    const macroData = {
+        ...buildMacroData(definition),
+        type: "script",
+        folder: folderId // Assign the folder ID here
+    };
+
+    // Only allow GMs to automatically create macro documents
+    if (!game.user.isGM) {
+        console.warn(`PF2e Awesome Macros | Cannot auto-create macro for non-GM user: ${name}.`);
+        return null;
+    }
+
+    try {
+        // Create the Macro in the World's macro directory
+        const macro = await Macro.create(macroData, { renderSheet: false });
+        ui.notifications.info(format("MacroSync.CreatedMacro", { name }));
+        return macro;
+    } catch (err) {
+        console.error(`PF2e Awesome Macros | Failed to create macro: ${name}`, err);
+        return null;
+    }
+}
+
+/**
+ * Finds the world macro for a definition: by flagged key first, then (for macros created
+ * before keys existed) by name or command among the unkeyed module macros.
+ * @param {object} definition - An entry of MODULE_MACROS.
+ * @param {Macro[]} moduleMacros - All macros flagged as module macros.
+ * @returns {Macro|undefined} The matching macro.
+ */
+function findModuleMacro(definition, moduleMacros) {
+    const byKey = moduleMacros.find(m => m.getFlag(MODULE_ID, "key") === definition.key);
+    if (byKey) return byKey;
+
+    return moduleMacros.find(m => !m.getFlag(MODULE_ID, "key")
+        && (m.name === definition.name || m.name === getMacroName(definition) || (m.command ?? "").trim() === definition.command));
+}
+
+// --- 2. SYNCHRONISATION ---
+
+/**
+ * Brings the world's module macros in line with MODULE_MACROS.
+ * Runs on the active GM's client only.
+ * @param {object} [options]
+ * @param {boolean} [options.rebuild=false] - Re-create deleted macros and refresh every macro regardless of version.
+ * @returns {Promise<{created: string[], updated: string[], removed: string[]}|null>} Names of the macros touched,
+ * or null if this client is not the active GM.
+ */
+export async function syncModuleMacros({ rebuild = false } = {}) {
+    if (!game.user.isGM || (game.users.activeGM && !game.users.activeGM.isSelf)) return null;
+
+    const folder = await getOrCreateFolder(getSetting("macroFolderName"), 'Macro');
+    const folderId = folder?.id ?? null;
+
+    // What this world has already received, keyed by macro key: { version, deleted }
+    // (older worlds stored the version alone)
+    const syncState = Object.fromEntries(Object.entries(getSetting("macroSyncState") ?? {})
+        .map(([key, entry]) => [key, typeof entry === "number" ? { version: entry, deleted: false } : { ...entry }]));
+    const moduleMacros = game.macros.filter(m => m.getFlag(MODULE_ID, "isModuleMacro"));
+    const upgrading = Object.keys(syncState).length === 0 && moduleMacros.length > 0;
+    const matched = new Set();
+    const summary = { created: [], updated: [], removed: [] };
+
+    for (const definition of MODULE_MACROS) {
+        const existing = findModuleMacro(definition, moduleMacros);
+
+        if (existing) {
+            matched.add(existing.id);
+            const version = existing.getFlag(MODULE_ID, "version") ?? 0;
+            if (rebuild || version < definition.version) {
+                await existing.update(buildMacroData(definition));
+                summary.updated.push(getMacroName(definition));
+            }
+            syncState[definition.key] = { version: definition.version, deleted: false };
+            continue;
+        }
+
+        // Missing macros are only created the first time, unless a rebuild was requested;
+        // a macro the GM deleted is recorded as deleted and stays deleted until then.
+        const known = definition.key in syncState || (upgrading && LEGACY_MACRO_KEYS.includes(definition.key));
+        if (!rebuild && known) {
+            syncState[definition.key] = { version: definition.version, deleted: true };
+            continue;
+        }
+        const created = await createMacroDocument(definition, folderId);
+        if (created) summary.created.push(created.name);
+        syncState[definition.key] = { version: definition.version, deleted: !created };
+    }
+
+    // Remove module macros for tools that no longer exist. Macros without a key are left alone: they are
+    // copies from older releases or duplicates the GM made.
+    const knownKeys = new Set(MODULE_MACROS.map(d => d.key));
+    const orphans = moduleMacros.filter(m => {
+        const key = m.getFlag(MODULE_ID, "key");
+        return !matched.has(m.id) && key && !knownKeys.has(key);
+    });
+    if (orphans.length > 0) {
+        await Macro.deleteDocuments(orphans.map(m => m.id));
+        summary.removed.push(...orphans.map(m => m.name));
+        for (const macro of orphans) {
+            const key = macro.getFlag(MODULE_ID, "key");
+            if (key) delete syncState[key];
+        }
+    }
+
+    await game.settings.set(MODULE_ID, "macroSyncState", syncState);
+
+    if (summary.updated.length > 0) {
+        ui.notifications.info(format("MacroSync.UpdatedMacros", { names: summary.updated.join(", ") }));
+    }
+    if (summary.removed.length > 0) {
+        ui.notifications.info(format("MacroSync.RemovedMacros", { names: summary.removed.join(", ") }));
+    }
+    return summary;
+}
+
+// --- 3. REBUILD MENU AND REGISTRATION ---
+
+const { ApplicationV2 } = foundry.applications.api;
+
+/**
+ * Settings menu with a single "Rebuild module macros" button.
+ */
+class RebuildMacrosMenu extends ApplicationV2 {
+    static DEFAULT_OPTIONS = {
+        id: "pf2e-awesome-macros-rebuild",
+        classes: ["pf2e-awesome-macros-settings"],
+        window: {
+            title: "PF2EAM.MacroSync.Rebuild.Title",
+            icon: "fas fa-hammer",
+            contentClasses: ["standard-form"]
+        },
+        position: { width: 400 },
+        actions: {
+            rebuild: RebuildMacrosMenu.#onRebuild
+        }
+    };
+
+    /** @override */
+    async _renderHTML() {
+        return `
+            <p>${localize("MacroSync.Rebuild.Description")}</p>
+            <footer class="form-footer">
+                <button type="button" data-action="rebuild"><i class="fas fa-hammer"></i> ${localize("MacroSync.Rebuild.Title")}</button>
+            </footer>
+        `;
+    }
+
+    /** @override */
+    _replaceHTML(result, content) {
+        content.innerHTML = result;
+    }
+
+    /**
+     * Runs a full rebuild and closes the window.
+     */
+    static async #onRebuild() {
+        const summary = await syncModuleMacros({ rebuild: true });
+        if (!summary) {
+            ui.notifications.warn(localize("MacroSync.Rebuild.ActiveGMOnly"));
+            return;
+        }
+        ui.notifications.info(format("MacroSync.Rebuild.Done", {
+            created: summary.created.length,
+            updated: summary.updated.length,
+            removed: summary.removed.length
+        }));
+        this.close();
+    }
+}
+
+/**
+ * Registers the macro sync state setting and the rebuild menu. Called on the 'init' hook.
+ */
+export function registerMacroSyncSettings() {
+    game.settings.registerMenu(MODULE_ID, "rebuildMacrosMenu", {
+        name: "PF2EAM.MacroSync.Rebuild.Title",
+        label: "PF2EAM.MacroSync.Rebuild.Label",
+        hint: "PF2EAM.MacroSync.Rebuild.Hint",
+        icon: "fas fa-hammer",
+        type: RebuildMacrosMenu,
+        restricted: true
+    });
+
+    game.settings.register(MODULE_ID, "macroSyncState", {
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {}
+    });
+}
@@ -0,0 +1,255 @@
+/**
+ * PF2e Awesome Macros - Party Targeting Service
+ * Resolves which actors a macro acts on, so "the party" means the same thing in every tool.
+ * Resolution order:
+ * 0. Actors pinned in the GM control panel, while a pin is set (see 'control-panel.js').
+ * 1. Controlled (selected) tokens.
+ * 2. Targeted tokens (only for tools that allow it).
+ * 3. The party, from the source chosen in the module settings:
+ *    - "roster": the GM-curated Party Roster, as it is (it may hold a familiar or eidolon on purpose).
+ *    - "partyActor": members of the active PF2e Party actor.
+ *    - "folder": actors in the configured party actor folder.
+ *    - "playerCharacters": player-owned characters.
+ *    - "auto": the first of the above that yields any actors.
+ *    The sources other than the roster leave out familiars, companions and minions.
+ * It also follows the master/companion links between actors (familiars, animal companions, eidolons, minions),
+ * so tools like Full Restore can bring a character's companions along.
+ */
+
+import { MODULE_ID, getSetting } from './settings.js';
+import { localize, format } from './i18n.js';
+
+// Order used by the "auto" party source
+const AUTO_SOURCE_ORDER = ["roster", "partyActor", "folder", "playerCharacters"];
+
+// Actor flag holding the UUID of the master of a companion linked by hand (see setCompanionMaster)
+const MASTER_FLAG = "master";
+
+// --- 1. HELPER FUNCTIONS ---
+
+/**
+ * Collects the unique actors behind a list of tokens.
+ * @param {Token[]} tokens - Canvas tokens.
+ * @returns {Actor[]} Unique actors, in token order.
+ */
+function uniqueActors(tokens) {
+    const seen = new Set();
+    const actors = [];
+    for (const token of tokens) {
+        const actor = token?.actor;
+        if (actor && !seen.has(actor.uuid)) {
+            actors.push(actor);
+            seen.add(actor.uuid);
+        }
+    }
+    return actors;
+}
+
+/**
+ * Whether an actor is a familiar, companion or summoned minion rather than a party member.
+ * @param {Actor} actor - The actor to test.
+ * @returns {boolean} True for familiars, actors with the minion trait and actors linked to a master.
+ */
+export function isMinion(actor) {
+    if (!actor) return false;
+    if (actor.type === "familiar") return true;
+    return (actor.traits?.has?.("minion") ?? false) || getCompanionMaster(actor) !== null;
+}
+
+/**
+ * Returns the character a familiar, animal companion, eidolon or minion belongs to. The link comes from, in order:
+ * the PF2e familiar's master, a PF2e Toolbelt "share" link (as used for eidolons), or a link set with
+ * setCompanionMaster().
+ * @param {Actor} actor - The companion.
+ * @returns {Actor|null} The master, or null if the actor isn't linked to one.
+ */
+export function getCompanionMaster(actor) {
+    const reference = (actor?.type === "familiar" ? actor.system.master?.id : null)
+        ?? actor?.flags?.["pf2e-toolbelt"]?.share?.master
+        ?? actor?.flags?.[MODULE_ID]?.[MASTER_FLAG];
+    if (!reference) return null;
+
+    const master = game.actors.get(reference) ?? (reference.includes(".") ? fromUuidSync(reference) : null);
+    return master instanceof Actor && master.id !== actor.id ? master : null;
+}
+
+/**
+ * Returns the world actors linked to a master (see getCompanionMaster).
+ * @param {Actor} master - The master.
+ * @returns {Actor[]} Its familiars, companions, eidolons and minions.
+ */
+export function getCompanions(master) {
+    return game.actors.filter(actor => getCompanionMaster(actor)?.id === master.id);
+}
+
+/**
+ * Links a companion or minion to its master for the tools that follow these links, for creatures the PF2e system
+ * doesn't link itself (animal companions, eidolons, summoned minions).
+ * @param {Actor} companion - The companion.
+ * @param {Actor|null} master - The master; null removes the link.
+ * @returns {Promise<Actor>} The updated companion.
+ */
+export async function setCompanionMaster(companion, master) {
+    if (!master) return companion.unsetFlag(MODULE_ID, MASTER_FLAG);
+    if (master.id === companion.id) {
+        throw new Error("PF2e Awesome Macros | setCompanionMaster: an actor can't be its own master.");
+    }
+    return companion.setFlag(MODULE_ID, MASTER_FLAG, master.uuid);
+}
+
+/**
+ * Returns the active PF2e Party actor, if any.
+ * @returns {Actor|null} The party actor.
+ */
+export function getPartyActor() {
+    return game.actors.party ?? game.actors.find(a => a.type === "party") ?? null;
+}
+
+/**
+ * Returns the actors of the configured party actor folder.
+ * @returns {Actor[]} Actors in the folder (empty if the folder doesn't exist).
+ */
+function getFolderMembers() {
+    const partyFolderName = (getSetting("partyFolderName") || "").toLowerCase();
+    const partyFolder = game.folders.find(f => f.type === "Actor" && (f.name || "").toLowerCase() === partyFolderName);
+    if (!partyFolder) return [];
+    return game.actors.filter(a => a.folder?.id === partyFolder.id);
+}
+
+/**
+ * Returns the actors on the GM-curated Party Roster.
+ * @returns {Actor[]} Roster actors that still exist.
+ */
+export function getRosterMembers() {
+    const roster = getSetting("partyRoster") ?? [];
+    return roster.map(id => game.actors.get(id)).filter(a => a);
+}
+
+/**
+ * Returns the actors provided by a single party source. The roster is used as the GM set it up; the other sources
+ * leave out familiars, companions and minions, which the tools that care about them reach through their masters
+ * (see getCompanions).
+ * @param {string} source - One of the PARTY_SOURCES keys except "auto".
+ * @returns {Actor[]} The actors found.
+ */
+function getSourceMembers(source) {
+    let actors;
+    switch (source) {
+        case "roster":
+            return getRosterMembers();
+        case "partyActor":
+            actors = Array.from(getPartyActor()?.members ?? []);
+            break;
+        case "folder":
+            actors = getFolderMembers();
+            break;
+        case "playerCharacters":
+            actors = game.actors.filter(a => a.type === "character" && a.hasPlayerOwner);
+            break;
+        default:
+            return [];
+    }
+    return actors.filter(a => !isMinion(a));
+}
+
+// --- 2. PUBLIC SERVICE ---
+
+/**
+ * Returns the party members according to the module's party source setting.
+ * @param {object} [options]
+ * @param {Function|null} [options.filter] - Optional predicate applied to each actor.
+ * @returns {{actors: Actor[], source: string}} The party and the source it came from.
+ */
+export function getPartyMembers({ filter = null } = {}) {
+    const configured = getSetting("partySource");
+    const sources = configured === "auto" ? AUTO_SOURCE_ORDER : [configured];
+
+    for (const source of sources) {
+        let actors = getSourceMembers(source);
+        if (filter) actors = actors.filter(filter);
+        if (actors.length > 0) return { actors, source };
+    }
+    return { actors: [], source: sources[sources.length - 1] };
+}
+
+/**
+ * Returns the actors pinned in the control panel. The pin is stored per client.
+ * @returns {Actor[]|null} The pinned actors that still exist, or null if nothing is pinned.
+ */
+export function getPinnedTargets() {
+    const uuids = getSetting("pinnedTargets") ?? [];
+    if (uuids.length === 0) return null;
+    return uuids.map(uuid => fromUuidSync(uuid)).filter(a => a instanceof Actor);
+}
+
+/**
+ * Pins actors so every tool targets them until the pin is cleared, regardless of the canvas selection.
+ * @param {Actor[]|null} actors - Actors to pin; null or an empty array clears the pin.
+ * @returns {Promise<void>}
+ */
+export async function setPinnedTargets(actors) {
+    const uuids = [...new Set((actors ?? []).map(a => a.uuid))];
+    await game.settings.set(MODULE_ID, "pinnedTargets", uuids);
+}
+
+/**
+ * Resolves the actors a macro should act on: pinned actors, then controlled tokens, then (optionally)
+ * targeted tokens, then the party.
+ * @param {object} [options]
+ * @param {boolean} [options.controlled=true] - Use controlled tokens if any are selected.
+ * @param {boolean} [options.targeted=false] - Use targeted tokens if nothing is selected.
+ * @param {Function|null} [options.filter] - Optional predicate; a step with no matching actors falls through to the next.
+ * @returns {{actors: Actor[], source: string, label: string}} The actors, where they came from and a display label.
+ */
+export function resolveTargets({ controlled = true, targeted = false, filter = null } = {}) {
+    const applyFilter = (actors) => filter ? actors.filter(filter) : actors;
+
+    const pinned = applyFilter(getPinnedTargets() ?? []);
+    if (pinned.length > 0) {
+        return { actors: pinned, source: "pinned", label: pinned.map(a => a.name).join(", ") };
+    }
+
+    if (controlled) {
+        const actors = applyFilter(uniqueActors(canvas?.tokens?.controlled ?? []));
+        if (actors.length > 0) {
+            return { actors, source: "controlled", label: actors.map(a => a.name).join(", ") };
+        }
+    }
+
+    if (targeted) {
+        const actors = applyFilter(uniqueActors(Array.from(game.user.targets ?? [])));
+        if (actors.length > 0) {
+            return { actors, source: "targeted", label: actors.map(a => a.name).join(", ") };
+        }
+    }
+
+    const party = getPartyMembers({ filter });
+    return { actors: party.actors, source: party.source, label: localize("Party.TheParty") };
+}
+
+/**
+ * Describes where a resolved target list came from, for dialog notes.
+ * @param {string} source - The source returned by resolveTargets().
+ * @param {number} count - Number of actors resolved.
+ * @returns {string} A short human-readable description.
+ */
+export function describeTargetSource(source, count) {
+    if (source === "pinned") return format("Party.Source.Pinned", { count });
+    if (source === "controlled") return format("Party.Source.Controlled", { count });
+    if (source === "targeted") return format("Party.Source.Targeted", { count });
+    if (source === "partyActor") return format("Party.Source.PartyActor", { name: getPartyActor()?.name ?? localize("Party.Party") });
+    if (source === "folder") return format("Party.Source.Folder", { folder: getSetting("partyFolderName") });
+    if (source === "roster") return localize("Party.Source.Roster");
+    return localize("Party.Source.PlayerCharacters");
+}
+
+/**
+ * Average party level of a list of actors (rounded).
+ * @param {Actor[]} actors - Party members.
+ * @returns {number} The average level, or 1 if no levels are available.
+ */
+export function getAveragePartyLevel(actors) {
+    const levels = actors.map(a => a.system?.details?.level?.value).filter(l => Number.isFinite(l));
+    if (levels.length === 0) return 1;
+    return Math.round(levels.reduce((a, b) => a + b, 0) / levels.length);
+}
@@ -0,0 +1,202 @@
+/**
+ * PF2e Awesome Macros - Player Requests
+ * Lets players use tools that need GM permissions. When a player runs Easy Exploration,
+ * Quick Recall Knowledge or Full Restore, the macro sends a request over the module socket
+ * (see 'socket.js') instead of acting itself. The active GM gets an approval prompt, can adjust
+ * what only the GM should decide (the Recall Knowledge DC, who rests and how), and on approval
+ * the tool runs on the GM's client with GM authority, including its chat report and undo entry.
+ */
+
+import { getSetting } from './settings.js';
+import { getPartyMembers } from './party.js';
+import { registerSocket } from './socket.js';
+import { setExplorationActivity } from './easy-exploration.js';
+import { rollRecallKnowledge } from './quick-recall-knowledge.js';
+import { restoreActors } from './full-restore.js';
+import { restOptionLabel, REST_MODES } from './rest-plan.js';
+import { getIdentificationDC } from './identification.js';
+import { localize, format, skillLabel, escape } from './i18n.js';
+
+// Rest options a player can ask for in a rest mode, in dialog order (see restoreActors in 'full-restore.js')
+const restOptions = (mode) => Object.keys(REST_MODES[mode] ?? REST_MODES.fiat);
+
+// The Recall Knowledge DC the GM starts from: the creature's, else the module default (see 'identification.js')
+const recallDC = (data) => {
+    const creature = data.target ? fromUuidSync(data.target) : null;
+    return creature ? getIdentificationDC(creature) : getSetting("recallDefaultDC");
+};
+
+/**
+ * Request types the GM can approve. Each entry describes the request in the approval prompt,
+ * adds the fields the GM may adjust, reads them back (with the request data) and runs the tool.
+ * data always carries actorUuids (actors the requesting player owns) plus type-specific values.
+ */
+const REQUEST_HANDLERS = {
+    exploration: {
+        describe: (data, actors) => data.activity
+            ? format("Requests.Exploration.Describe", { actor: names(actors), activity: escape(data.activityName) })
+            : format("Requests.Exploration.DescribeStop", { actor: names(actors) }),
+        fields: () => "",
+        read: () => ({}),
+        run: (data, actors) => setExplorationActivity({ actor: actors[0], activity: data.activity ?? null })
+    },
+    recallKnowledge: {
+        describe: (data, actors) => format(data.creature ? "Requests.Recall.DescribeCreature" : "Requests.Recall.Describe", {
+            actor: names(actors),
+            skill: escape(data.skill === "auto" ? localize("Recall.Dialog.AutoSkill") : skillLabel(data.skill)),
+            creature: escape(data.creature)
+        }),
+        fields: (data) => `
+            <div class="form-group">
+                <label>${localize("Recall.Dialog.DC")}</label>
+                <input type="number" name="dc" value="${recallDC(data)}" min="1" max="100"/>
+            </div>`,
+        read: (html, data) => ({ dc: parseInt(html.find('[name="dc"]').val(), 10) || recallDC(data) }),
+        run: (data, actors, values) => rollRecallKnowledge({
+            actors, skill: data.skill, dc: values.dc, creature: data.creature ?? "", target: data.target ?? null
+        })
+    },
+    rest: {
+        describe: (data, actors) => format("Requests.Rest.Describe", { actor: names(actors) }),
+        fields: (data) => `
+            <div class="form-group">
+                <label>${localize("Requests.Rest.WholeParty")}</label>
+                <input type="checkbox" name="wholeParty">
+            </div>
+            <div class="form-group">
+                <label>${localize("FullRestore.Dialog.IncludeCompanions")}</label>
+                <input type="checkbox" name="companions" ${data.companions ?? true ? "checked" : ""}>
+            </div>
+            <div class="form-group">
+                <label>${localize("FullRestore.Dialog.Mode")}</label>
+                <select name="mode">${Object.keys(REST_MODES).map(mode =>
+                    `<option value="${mode}" ${mode === (data.mode ?? "fiat") ? "selected" : ""}>${localize(`FullRestore.Modes.${mode}`)}</option>`).join("")}
+                </select>
+            </div>
+            ${restOptions(data.mode).map(option => `
+            <div class="form-group">
+                <label>${restOptionLabel(data.mode in REST_MODES ? data.mode : "fiat", option)}</label>
+                <input type="checkbox" name="${option}" ${data.options?.[option] ? "checked" : ""}>
+            </div>`).join("")}`,
+        read: (html, data) => ({
+            wholeParty: html.find('[name="wholeParty"]').is(':checked'),
+            companions: html.find('[name="companions"]').is(':checked'),
+            mode: html.find('[name="mode"]').val(),
+            options: Object.fromEntries(restOptions(data.mode).map(option => [option, html.find(`[name="${option}"]`).is(':checked')]))
+        }),
+        run: (data, actors, values) => restoreActors({
+            actors: values.wholeParty ? getPartyMembers().actors : actors,
+            mode: values.mode,
+            options: values.options,
+            companions: values.companions,
+            // The player's companion options only hold for the mode they asked for
+            companionOptions: values.mode === data.mode ? data.companionOptions : undefined,
+            // The 10-minute rest's medic must be one of the requesting player's characters
+            medic: actors.find(actor => actor.uuid === data.medic) ?? null,
+            dc: data.dc ?? 15
+        })
+    }
+};
+
+// --- 1. HELPER FUNCTIONS ---
+
+/**
+ * Joins actor names for display.
+ * @param {Actor[]} actors - The actors.
+ * @returns {string} Bold, comma-separated names.
+ */
+function names(actors) {
+    return actors.map(a => `<strong>${escape(a.name)}</strong>`).join(", ");
+}
+
+/**
+ * Resolves the request's actors and checks that the requesting user owns every one of them.
+ * @param {User} user - The requesting user.
+ * @param {string[]} uuids - Actor UUIDs from the request.
+ * @returns {Promise<Actor[]|null>} The actors, or null if any is missing or not owned.
+ */
+async function resolveOwnedActors(user, uuids) {
+    if (!Array.isArray(uuids) || uuids.length === 0) return null;
+    const actors = await Promise.all(uuids.map(uuid => fromUuid(uuid)));
+    if (actors.some(actor => !(actor instanceof Actor) || !actor.testUserPermission(user, "OWNER"))) return null;
+    return actors;
+}
+
+// --- 2. GM APPROVAL ---
+
+/**
+ * Shows the approval prompt for a request.
+ * @param {User} user - The requesting user.
+ * @param {object} handler - The request type's entry in REQUEST_HANDLERS.
+ * @param {object} data - The request data.
+ * @param {Actor[]} actors - The requesting actors.
+ * @returns {Promise<object|null>} The values read from the prompt if approved, or null if denied.
+ */
+function promptApproval(user, handler, data, actors) {
+    const content = `
+    <form>
+        <p>${format("Requests.Approval.Intro", { user: `<strong>${escape(user.name)}</strong>` })}</p>
+        <p>${handler.describe(data, actors)}</p>
+        ${handler.fields(data)}
+    </form>
+    `;
+
+    return new Promise(resolve => {
+        new Dialog({
+            title: localize("Requests.Approval.Title"),
+            content: content,
+            buttons: {
+                approve: {
+                    icon: '<i class="fas fa-check"></i>',
+                    label: localize("Requests.Approval.Approve"),
+                    callback: (html) => resolve(handler.read(html, data))
+                },
+                deny: {
+                    icon: '<i class="fas fa-times"></i>',
+                    label: localize("Requests.Approval.Deny"),
+                    callback: () => resolve(null)
+                }
+            },
+            default: "approve",
+            close: () => resolve(null)
+        }).render(true);
+    });
+}
+
+/**
+ * Handles a player request on the active GM's client: validates it, asks for approval and runs the tool.
+ * @param {object} message - { userId, type, data } as sent by sendGMRequest().
+ * @returns {Promise<boolean>} True if the request was approved and carried out.
+ */
+async function handlePlayerRequest({ userId, type, data }) {
+    const user = game.users.get(userId);
+    const handler = REQUEST_HANDLERS[type];
+    if (!user || !handler) return false;
+
+    const actors = await resolveOwnedActors(user, data?.actorUuids);
+    if (!actors) {
+        console.warn(`PF2e Awesome Macros | Ignored a "${type}" request from ${user.name} for actors they don't own.`);
+        return false;
+    }
+
+    const values = await promptApproval(user, handler, data, actors);
+    if (!values) return false;
+
+    try {
+        await handler.run(data, actors, values);
+        return true;
+    } catch (err) {
+        console.error(`PF2e Awesome Macros | Failed to carry out the "${type}" request from ${user.name}:`, err);
+        ui.notifications.error(format("Requests.Failed", { request: localize(`Requests.Types.${type}`) }));
+        return false;
+    }
+}
+
+// --- 3. REGISTRATION ---
+
+/**
+ * Starts answering player requests on the module socket. Called on the 'ready' hook.
+ */
+export function registerPlayerRequests() {
+    registerSocket(handlePlayerRequest);
+}
@@ -1,11 +1,26 @@
 // This macro ends the current active combat and removes all tokens on the scene
 // that are linked to an NPC actor with 0 or less HP in the Pathfinder 2e system.
 // A private chat message listing the removed enemies and their filtered inventory is sent to the GM.
+// The ended encounter and the removed tokens are recorded in the undo journal (see 'undo-journal.js').
+
+import { UndoOperation } from './undo-journal.js';
+import { createChatCard } from './chat-cards.js';
+import { callPreHook, callPostHook } from './hooks.js';
+import { localize, format } from './i18n.js';
 
 export const COMBAT_CLEANUP_MACRO_NAME = "Quick Combat Cleanup";
 export const COMBAT_CLEANUP_MACRO_ICON = "modules/pf2e-awesome-macros-for-gms/assets/quick-combat-cleanup.png";
 
-export async function cleanupCombat() {
+/**
+ * Ends the encounter and removes defeated NPC tokens. Dialog-free, so it backs both the macro and the scripting API.
+ * @param {object} [params]
+ * @param {Scene} [params.scene=canvas.scene] - Scene to remove defeated NPC tokens from.
+ * @param {boolean} [params.endCombat=true] - End the active encounter.
+ * @param {boolean} [params.chat=true] - Whisper the cleanup report to the GMs.
+ * @returns {Promise<{combatEnded: boolean, removed: {id: string, name: string, items: string[]}[], undoId: string|null}|undefined>}
+ * The cleanup result, undefined when run by a non-GM, or null if a preCombatCleanup hook cancelled it.
+ */
+export async function cleanupCombat({ scene = canvas.scene, endCombat = true, chat = true } = {}) {
     // Configuration for PF2e HP check
     const NPC_TYPE = 'npc';
     const HP_PATH = 'system.attributes.hp.value';
@@ -15,12 +30,12 @@ export async function cleanupCombat() {
 
     // Ensure the user running the macro is the GM, or has permission to delete tokens/end combat.
     if (!game.user.isGM) {
-        ui.notifications.error("Only the Game Master can run the Combat Cleanup macro.");
+        ui.notifications.error(localize("CombatCleanup.GMOnly"));
         return;
     }
 
     // Identify defeated enemies (NPCs with HP <= 0) and gather item data
-    const defeatedData = canvas.tokens.placeables
+    let defeatedData = (scene?.tokens?.contents ?? [])
         // Filter: Only include defeated NPCs
         .filter(token => {
             if (!token.actor || token.actor.type !== NPC_TYPE) return false;
@@ -41,69 +56,66 @@ export async function cleanupCombat() {
             };
         });
 
+    // Let other modules keep tokens, keep the encounter running or cancel the cleanup (see 'hooks.js')
+    const params = { scene, combat: game.combat, endCombat, defeated: defeatedData };
+    if (!callPreHook("preCombatCleanup", params)) return null;
+    ({ endCombat, defeated: defeatedData } = params);
+
     const tokensToRemove = defeatedData.map(data => data.id);
     const totalRemoved = defeatedData.length;
 
     // End Combat
     const combat = game.combat;
-    let combatStatusMessage = "No active encounter was found.";
+    const undo = new UndoOperation(localize("Macros.combatCleanup"));
+    let combatStatusMessage = localize("CombatCleanup.NoCombat");
+    let combatEnded = false;
 
-    if (combat) {
+    if (combat && endCombat) {
         // End the active combat instance
-        await combat.endCombat();
-        combatStatusMessage = "The active encounter has been ended.";
+        await undo.trackDeletion(combat, () => combat.endCombat());
+        combatStatusMessage = localize("CombatCleanup.CombatEnded");
+        combatEnded = true;
+    } else if (combat) {
+        combatStatusMessage = localize("CombatCleanup.CombatKept");
     }
 
     // Remove Tokens
     if (tokensToRemove.length > 0) {
         // Delete the tokens from the scene using their IDs
-        await canvas.scene.deleteEmbeddedDocuments("Token", tokensToRemove);
-        ui.notifications.info(`Cleanup complete. Removed ${totalRemoved} defeated NPCs.`);
+        await undo.delete(scene, "Token", tokensToRemove);
+        ui.notifications.info(format("CombatCleanup.Removed", { count: totalRemoved }));
     } else {
-        ui.notifications.info("Cleanup complete. No defeated NPCs were found to remove.");
+        ui.notifications.info(localize("CombatCleanup.NoneRemoved"));
     }
 
+    const undoId = await undo.commit();
+    const result = { combatEnded, removed: defeatedData, undoId };
+    callPostHook("combatCleanedUp", { scene, ...result });
+
     // GM Chat Message
     const gmUsers = game.users.filter(u => u.isGM).map(u => u.id);
 
-    if (gmUsers.length > 0) {
-        let listItemsHTML = '';
-
-        if (totalRemoved > 0) {
-            listItemsHTML = defeatedData.map(data => {
-                const itemHtml = data.items.length > 0
-                    ? `<ul style="list-style-type: circle; margin: 2px 0 0 15px; padding: 0;">${data.items.map(item => `<li>${item}</li>`).join('')}</ul>`
-                    : `<em style="color: #666; font-size: 0.9em;">(No lootable items found in inventory)</em>`;
-
-                return `
-                <li style="margin-top: 8px;">
-                    <strong style="font-size: 1.1em; color: #555;">${data.name}</strong>
-                    ${itemHtml}
-                </li>
-            `;
-            }).join('');
-        } else {
-            listItemsHTML = '<li>No defeated enemies were found and removed.</li>';
-        }
-
-        const messageContent = `
-        <div style="font-family: Inter, sans-serif; border: 2px solid #730000; padding: 10px; background: #fefefe; border-radius: 8px;">
-            <h3 style="margin: 0; padding-bottom: 5px; color: #730000; border-bottom: 1px solid #730000;">Quick Combat Cleanup</h3>
-            <p style="margin-top: 5px;">${combatStatusMessage}</p>
-            <p style="margin-top: 10px; margin-bottom: 5px; font-weight: bold;">Removed Defeated Enemies (${totalRemoved}):</p>
-            <ul style="list-style-type: none; margin: 0 0 0 10px; padding: 0;">
-                ${listItemsHTML}
-            </ul>
-        </div>
-    `;
-
-        await ChatMessage.create({
-            content: messageContent,
+    // See 'templates/chat/combat-cleanup.hbs'
+    if (chat && gmUsers.length > 0) {
+        await createChatCard("combatCleanup", {
+            title: localize("Macros.combatCleanup"),
+            status: combatStatusMessage,
+            removedHeader: format("CombatCleanup.Chat.RemovedHeader", { count: totalRemoved }),
+            removed: defeatedData,
+            undoId
+        }, {
             whisper: gmUsers,
             // Make the message only visible to the whispered users (GMs)
             blind: true,
             // Set the speaker to the user who ran the macro
             speaker: ChatMessage.getSpeaker(),
+            rerun: {
+                fn: "cleanupCombat",
+                label: localize("Macros.combatCleanup"),
+                sceneId: scene.id,
+                params: { endCombat }
+            }
         });
     }
-}
\ No newline at end of file
+    return result;
+}
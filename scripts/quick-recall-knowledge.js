@@ -2,67 +2,64 @@
 * Quick Recall Knowledge Macro for PF2e
 * This macro allows GMs to perform Recall Knowledge checks for multiple actors
 * (either selected tokens or the whole party) against a specified DC and skill.
+* Against a targeted creature, each character rolls their best identifying skill or Lore and the DC comes from
+* the creature's level and rarity (see 'identification.js'). Each character's attempts and what they learned are
+* remembered per creature, raising the DC of repeated attempts (see 'recall-memory.js').
+* Players can run it too: their characters' checks are sent to the GM, who sets the DC and rolls
+* them (see 'player-requests.js').
 */
 
+import { getSetting } from './settings.js';
+import { resolveTargets, describeTargetSource } from './party.js';
+import { sendGMRequest } from './socket.js';
+import { callPreHook, callPostHook } from './hooks.js';
+import { rollSecretCheck, readSecretRoll, secretCheckRow, whisperToGMs } from './secret-checks.js';
+import { getIdentificationDC, getIdentifyingSkills, getBestIdentifyingSkill, RECALL_KNOWLEDGE_SKILLS } from './identification.js';
+import { dealCreatureFacts } from './creature-facts.js';
+import { getCreatureKey, getRecallMemory, getRepeatDCAdjustment, recordRecallAttempt, resetRecallMemory } from './recall-memory.js';
+import { localize, format, skillLabel as getSkillLabel, rarityLabel, escape } from './i18n.js';
+
 export const QUICK_RECALL_MACRO_NAME = "Quick Recall Knowledge";
 export const QUICK_RECALL_MACRO_ICON = "modules/pf2e-awesome-macros-for-gms/assets/quick-recall-knowledge.png"
 
 /**
  * Create the secret aggregated chat message for multiple recall knowledge checks.
- * Whispered to all GMs (GM-only).
+ * Whispered to all GMs (GM-only, see 'secret-checks.js'). See 'templates/chat/recall-knowledge.hbs'.
+ * With a creature, each row carries the new facts its degree of success earned (see 'creature-facts.js'),
+ * which the row's send button whispers to the player, and what the character already knew.
  */
-async function createAggregatedRecallMessage(results, dc, creatureName) {
-    // Determine color based on result
-    const colorMap = {
-        'Critical Success': '#00aa00',
-        'Success': '#0066cc',
-        'Failure': '#cc6600',
-        'Critical Failure': '#cc0000'
-    };
-
-    // Build HTML summary table
-    let rows = '';
-    for (const res of results) {
-        const color = colorMap[res.degree] || '#000000';
-        const d20display = res.d20 !== null ? `${res.d20}` : '';
-        const breakdown = res.d20 !== null ? `${d20display} + ${res.total - res.d20}` : `${res.total}`;
-        rows += `
-      <div class="recall-knowledge-row" style="border-left: 4px solid ${color}; padding-left:8px; margin-bottom:6px;">
-        <strong>${escapeHtml(res.actorName)}</strong>  ${escapeHtml(res.skillLabel)}:
-        <span>${res.total} (${escapeHtml(breakdown)})</span>
-        &nbsp;|&nbsp;
-        <span style="color:${color}; font-weight:bold;">${escapeHtml(res.degree)}</span>
-      </div>
-    `;
-    }
+async function createAggregatedRecallMessage(results, dc, creatureName, actors, skill, target) {
+    const dealt = target ? dealCreatureFacts(target, results) : [];
+    // Lore skills and repeated attempts have their own DC; the row shows it when it isn't the card's
+    const rows = results.map((res, i) => ({
+        ...secretCheckRow(res, dc),
+        attemptLabel: res.attempt > 1 ? format("Recall.Chat.Attempt", { attempt: res.attempt }) : "",
+        known: (res.known ?? []).join(" "),
+        facts: dealt[i]?.facts ?? [],
+        falseFact: dealt[i]?.falseFact ?? null
+    }));
 
     // Title: include creature name only if provided (otherwise show generic title)
-    const title = creatureName ? `Recall Knowledge: ${escapeHtml(creatureName)} (DC ${dc})` : `Recall Knowledge (DC ${dc})`;
-
-    const content = `
-    <div class="recall-knowledge-result" style="padding:6px;">
-      <h3>${title}</h3>
-      ${rows}
-    </div>
-  `;
-
-    // Whisper recipients: all GM user ids
-    const gmIds = game.users.filter(u => u.isGM).map(u => u.id);
+    const title = creatureName
+        ? format("Recall.Chat.TitleCreature", { creature: creatureName, dc })
+        : format("Recall.Chat.Title", { dc });
 
     // Create a single GM-only chat message with the aggregated results
-    await ChatMessage.create({
-        user: game.user.id,
-        speaker: ChatMessage.getSpeaker({ actor: null }),
-        content: content,
-        whisper: gmIds,
-        blind: true
+    await whisperToGMs("recall", { title, rows }, {
+        flags: { recall: { creature: creatureName, dc, target: target?.uuid ?? null, key: target ? getCreatureKey(target) : null } },
+        rerun: {
+            fn: "recallKnowledge",
+            label: localize("Macros.quickRecall"),
+            actorUuids: actors.map(a => a.uuid),
+            params: { skill, dc, creature: creatureName, target: target?.uuid ?? null }
+        }
     });
 
-    ui.notifications.info(`Recall Knowledge checks completed for ${results.length} actor(s).`);
+    ui.notifications.info(format("Recall.Completed", { count: results.length }));
 }
 
 /**
- * Perform recall knowledge checks for multiple actors (controlled tokens or whole party if none controlled).
+ * Reads the dialog fields and runs the checks through rollRecallKnowledge().
  */
 async function performRecallKnowledge(html) {
     // Get form values
@@ -71,127 +68,161 @@ async function performRecallKnowledge(html) {
     const dc = parseInt(dcValue, 10) || 0;
     const creatureInput = (html.find('[name="creature"]').val() || '').trim();
 
-    // Determine creature name: prefer explicit input, otherwise use first targeted token (if any), otherwise empty
-    let creatureName = '';
-    if (creatureInput) {
-        creatureName = creatureInput;
-    } else {
-        const targets = Array.from(game.user.targets ?? []);
-        if (targets.length > 0) {
-            const t = targets[0];
-            creatureName = t?.name ?? t?.actor?.name ?? '';
+    if (!game.user.isGM) {
+        // The GM picks the DC; the player only names the skill, the creature and who rolls
+        const rollers = resolveTargets({ filter: a => a.isOwner }).actors;
+        if (rollers.length === 0 && game.user.character) rollers.push(game.user.character);
+        if (rollers.length === 0) {
+            ui.notifications.error(localize("Common.NoTargets"));
+            return;
         }
+        const targeted = Array.from(game.user.targets ?? [])[0];
+        const creature = creatureInput || (targeted?.name ?? '');
+        await sendGMRequest("recallKnowledge", { actorUuids: rollers.map(a => a.uuid), skill: skillKey, creature, target: targeted?.actor?.uuid ?? null });
+        return;
     }
 
-    // Determine target actors:
-    // If there are controlled tokens, use their actors (unique).
-    // Otherwise, look for an actor folder named "party" (case-insensitive) and use actors in it.
-    // If no such folder or it's empty, fall back to player characters / actors with player owners.
-    const controlled = canvas?.tokens?.controlled ?? [];
-    let targetActors = [];
+    await rollRecallKnowledge({ skill: skillKey, dc, creature: creatureInput });
+}
 
-    if (controlled.length > 0) {
-        const seen = new Set();
-        for (const token of controlled) {
-            const actor = token.actor;
-            if (actor && !seen.has(actor.id)) {
-                targetActors.push(actor);
-                seen.add(actor.id);
-            }
-        }
-    } else {
-        // Try to find an actor Folder named "party" (case-insensitive)
-        const actorFolders = game.folders.filter(f => f.type === 'Actor');
-        const partyFolder = actorFolders.find(f => (f.name || '').toLowerCase() === 'party');
+/**
+ * Returns the creature a Recall Knowledge check is about: the target given, else the first targeted token's actor.
+ * @param {Actor|Token|TokenDocument|string|null} [target] - The creature, its token, or either's UUID.
+ * @returns {Actor|null} The creature's actor, or null if nothing is targeted.
+ */
+function resolveCreature(target) {
+    if (target === undefined) target = Array.from(game.user.targets ?? [])[0];
+    if (typeof target === "string") target = fromUuidSync(target);
+    if (!target) return null;
+    return target instanceof Actor ? target : target.actor ?? null;
+}
 
-        if (partyFolder) {
-            for (const actor of game.actors.values()) {
-                if (actor.folder?.id === partyFolder.id) {
-                    targetActors.push(actor);
-                }
-            }
-        }
+/**
+ * The check an actor makes with a skill the GM picked, against the DC.
+ */
+function getChosenSkillCheck(actor, skillKey, dc) {
+    const statistic = actor.getStatistic(skillKey);
+    return { slug: skillKey, label: statistic?.label ?? getSkillLabel(skillKey), dc, modifier: statistic?.mod ?? 0 };
+}
 
-        // Fallback: if no party folder or it's empty, use player characters / actors with player owners
-        if (targetActors.length === 0) {
-            for (const actor of game.actors.values()) {
-                if (actor && (actor.type === 'character' || actor.hasPlayerOwner)) {
-                    // actor.hasPlayerOwner is true when at least one player has ownership
-                    targetActors.push(actor);
-                }
-            }
-        }
-    }
+/**
+ * Rolls one actor's Recall Knowledge check through the PF2e system (see rollSecretCheck in 'secret-checks.js').
+ * The roll is secret: the results only reach the players through the GM's report.
+ * @returns {Promise<Rolled<CheckRoll>|null>} The roll, or null if the actor has no such skill.
+ */
+async function rollCheck(actor, check, creature) {
+    return rollSecretCheck(actor, check.slug, {
+        dc: check.dc,
+        target: creature,
+        traits: ["recall-knowledge"],
+        rollOptions: [
+            "action:recall-knowledge",
+            ...Array.from(creature?.traits ?? []).map(trait => `target:trait:${trait}`)
+        ]
+    });
+}
 
-    if (targetActors.length === 0) {
-        ui.notifications.error('No target actors found (no controlled tokens and no party actors).');
-        return;
-    }
+/**
+ * Perform recall knowledge checks for multiple actors without any dialog. Used by the dialog and the scripting API.
+ * @param {object} params
+ * @param {Actor[]} [params.actors] - Actors rolling; defaults to controlled tokens or the party (see 'party.js').
+ * @param {string} [params.skill="auto"] - Skill slug, e.g. 'arcana', or 'auto': each actor rolls their best skill or
+ * Lore for identifying the creature (see getBestIdentifyingSkill in 'identification.js').
+ * @param {number} [params.dc] - The DC; defaults to the creature's level- and rarity-based DC, or without a creature
+ * to the module's default Recall Knowledge DC. With 'auto', relevant Lore skills roll against a lower DC; a
+ * character's repeated attempts at the same creature roll against a higher one.
+ * @param {string} [params.creature=""] - Creature name for the report; defaults to the target's name.
+ * @param {Actor|Token|string} [params.target] - The creature (an actor, a token or a UUID); defaults to the first targeted token.
+ * @param {boolean} [params.chat=true] - Whisper the aggregated results to the GMs.
+ * @returns {Promise<{dc: number, creatureName: string, results: object[]}|null>} One result per actor:
+ * { actorId, actorUuid, actorName, skill, skillLabel, dc, total, d20, degree, roll, attempt, known }, where degree is
+ * 'criticalSuccess', 'success', 'failure' or 'criticalFailure' as the PF2e system worked it out, attempt counts the
+ * character's checks against this creature (1 without one) and known lists the facts they already knew; or null if
+ * rolling failed or a
+ * preRecallKnowledge hook cancelled it. Actors without the skill are left out.
+ */
+export async function rollRecallKnowledge({ actors, skill = "auto", dc, creature = "", target, chat = true } = {}) {
+    let skillKey = skill || "auto";
+    let creatureActor = resolveCreature(target);
+    dc = Number(dc ?? (creatureActor ? getIdentificationDC(creatureActor) : getSetting("recallDefaultDC"))) || 0;
 
-    // For each actor, resolve skill info and roll
-    const rollPromises = targetActors.map(async (actor) => {
-        const skillInfo = getSkillInfo(actor, skillKey);
-        const skillLabel = skillInfo?.label ?? skillKey;
+    // Creature name: prefer explicit input, otherwise the creature's token or actor name, otherwise empty
+    const targetedToken = target === undefined ? Array.from(game.user.targets ?? [])[0] : null;
+    let creatureName = String(creature ?? '').trim() || targetedToken?.name || creatureActor?.name || '';
 
-        const modifier = Number(skillInfo?.mod ?? skillInfo?.value ?? skillInfo?.total ?? 0);
-        const safeModifier = Number.isFinite(modifier) ? modifier : 0;
-        const formula = `1d20 ${safeModifier >= 0 ? '+' : '-'} ${Math.abs(safeModifier)}`;
+    // Determine target actors: controlled tokens, otherwise the party (see 'party.js').
+    // Targeted tokens are the creature being recalled, so they never count as rollers.
+    let targetActors = actors ?? resolveTargets().actors;
 
-        let roll;
-        try {
-            roll = await new Roll(formula).evaluate({ async: true });
-        } catch (err) {
-            console.error('Recall Knowledge | Roll failed for', actor.name, err);
-            // Provide a fallback "failed roll" object
-            roll = { total: 0, dice: [], toJSON: () => ({}) };
-        }
+    // Let other modules adjust or cancel the checks (see 'hooks.js')
+    const params = { actors: targetActors, skill: skillKey, dc, creature: creatureName, target: creatureActor };
+    if (!callPreHook("preRecallKnowledge", params)) return null;
+    ({ actors: targetActors, skill: skillKey, dc, creature: creatureName, target: creatureActor } = params);
 
-        // Safely extract d20 raw result
-        let d20Result = null;
-        try {
-            const d20Term = roll.dice?.find(d => d.faces === 20);
-            d20Result = d20Term?.results?.[0]?.result ?? null;
-        } catch (e) {
-            d20Result = null;
-        }
+    if (targetActors.length === 0) {
+        ui.notifications.error(localize("Common.NoTargets"));
+        return null;
+    }
 
-        const degree = calculateDegreeOfSuccess(roll.total, dc);
+    // For each actor, pick the skill and DC, and roll
+    const rollPromises = targetActors.map(async (actor) => {
+        const check = skillKey === "auto"
+            ? getBestIdentifyingSkill(actor, creatureActor, dc)
+            : getChosenSkillCheck(actor, skillKey, dc);
+        const memory = creatureActor ? getRecallMemory(actor, creatureActor) : { attempts: 0, facts: [] };
+        if (creatureActor) check.dc += getRepeatDCAdjustment(actor, creatureActor);
+
+        const roll = await rollCheck(actor, check, creatureActor);
+        if (!roll) {
+            console.warn(`PF2e Awesome Macros | Recall Knowledge: ${actor.name} has no ${check.slug} skill.`);
+            return null;
+        }
+        if (creatureActor) await recordRecallAttempt(actor, creatureActor);
 
         return {
             actorId: actor.id,
+            actorUuid: actor.uuid,
             actorName: actor.name,
-            skillLabel: skillLabel,
-            total: roll.total ?? 0,
-            d20: d20Result,
-            degree: degree,
-            roll: roll
+            skill: check.slug,
+            skillLabel: check.label,
+            dc: check.dc,
+            ...readSecretRoll(roll),
+            roll: roll,
+            attempt: memory.attempts + 1,
+            known: memory.facts
         };
     });
 
     // Wait for all rolls
     let results;
     try {
-        results = await Promise.all(rollPromises);
+        results = (await Promise.all(rollPromises)).filter(res => res);
     } catch (err) {
         console.error('Recall Knowledge | Error evaluating rolls:', err);
-        ui.notifications.error('Error performing one or more rolls.');
-        return;
+        ui.notifications.error(localize("Recall.RollError"));
+        return null;
     }
 
     // Create aggregated GM-only chat message summarizing all actors
-    await createAggregatedRecallMessage(results, dc, creatureName);
+    callPostHook("recallKnowledgeRolled", { actors: targetActors, skill: skillKey, dc, creatureName, target: creatureActor, results });
+    if (chat) {
+        await createAggregatedRecallMessage(results, dc, creatureName, targetActors, skillKey, creatureActor);
+    }
+    return { dc, creatureName, results };
 }
 
 /**
- * Degree of success calculation using a simple difference-based scale.
+ * Asks the GM to confirm, then makes the characters forget every creature (see 'recall-memory.js').
  */
-function calculateDegreeOfSuccess(total, dc) {
-    const difference = total - dc;
+async function confirmResetMemory(actors) {
+    const confirmed = await Dialog.confirm({
+        title: localize("Recall.Memory.Reset"),
+        content: `<p>${format("Recall.Memory.Confirm", { count: actors.length })}</p>`
+    });
+    if (!confirmed) return;
 
-    if (difference >= 10) return 'Critical Success';
-    if (difference >= 0) return 'Success';
-    if (difference >= -9) return 'Failure'; // failure for difference -9..-1
-    return 'Critical Failure'; // difference <= -10
+    const result = await resetRecallMemory({ actors });
+    if (result) ui.notifications.info(format("Recall.Memory.Cleared", { count: result.actors.length }));
 }
 
 /**
@@ -199,114 +230,87 @@ function calculateDegreeOfSuccess(total, dc) {
  * Note: Actor selection is driven by controlled tokens. If none are selected, checks will be run for the whole party.
  */
 export function openRecallKnowledgeDialog() {
-    // Static PF2e skill map (adjust if you need additional skills)
-    const skills = {
-        'arcana': 'Arcana',
-        'crafting': 'Crafting',
-        'nature': 'Nature',
-        'occultism': 'Occultism',
-        'religion': 'Religion',
-        'society': 'Society',
-        'medicine': 'Medicine',
-        'athletics': 'Athletics',
-        'acrobatics': 'Acrobatics',
-        'stealth': 'Stealth'
-    };
-
-    // Build skill options HTML
-    let skillOptions = '';
-    for (let [key, label] of Object.entries(skills)) {
-        skillOptions += `<option value="${escapeHtml(key)}">${escapeHtml(label)}</option>`;
+    // The Recall Knowledge skills, after the automatic pick; labels come from the PF2e system
+    let skillOptions = `<option value="auto">${escape(localize("Recall.Dialog.AutoSkill"))}</option>`;
+    for (const key of RECALL_KNOWLEDGE_SKILLS) {
+        skillOptions += `<option value="${escape(key)}">${escape(getSkillLabel(key))}</option>`;
     }
 
-    // Determine if a "party" actor folder exists (case-insensitive)
-    const actorFolders = game.folders.filter(f => f.type === 'Actor');
-    const partyFolder = actorFolders.find(f => (f.name || '').toLowerCase() === 'party');
+    // A targeted creature sets the DC and the identifying skills
+    const targeted = Array.from(game.user.targets ?? [])[0];
+    const creatureActor = targeted?.actor ?? null;
+    const creatureDC = creatureActor ? getIdentificationDC(creatureActor) : getSetting("recallDefaultDC");
+    const creatureNote = creatureActor ? `<p><em>${escape(format("Recall.Dialog.Identified", {
+        name: targeted.name,
+        level: creatureActor.level,
+        rarity: rarityLabel(creatureActor.rarity ?? "common"),
+        dc: creatureDC,
+        skills: getIdentifyingSkills(creatureActor).map(getSkillLabel).join(", ")
+    }))}</em></p>` : '';
 
     // Note: We do not include an actor select. The module uses the currently controlled tokens (supports multiple).
-    // If no tokens are controlled, it falls back to the party (player characters) or the 'party' actor folder if present.
-    const selectionNote = (canvas?.tokens?.controlled?.length > 0)
-        ? `<p><em>Using ${canvas.tokens.controlled.length} selected token(s).</em></p>`
-        : (partyFolder ? `<p><em>No tokens selected  will use actors in the "${escapeHtml(partyFolder.name)}" folder.</em></p>`
-            : `<p><em>No tokens selected  will use the whole party (player characters / actors with player owners).</em></p>`);
+    // If no tokens are controlled, it falls back to the party as resolved by the targeting service.
+    // Players only roll for characters they own
+    const isRequest = !game.user.isGM;
+    const { actors: rollers, source } = resolveTargets(isRequest ? { filter: a => a.isOwner } : {});
+    const selectionNote = `<p><em>${escape(describeTargetSource(source, rollers.length))}</em></p>`;
+
+    // What the rollers remember about the creature from earlier attempts (see 'recall-memory.js')
+    const memories = creatureActor
+        ? rollers.map(actor => ({ actor, memory: getRecallMemory(actor, creatureActor) })).filter(({ memory }) => memory.attempts > 0)
+        : [];
+    const memoryNote = memories.length > 0 ? `<ul>${memories.map(({ actor, memory }) => `<li>${escape(format("Recall.Dialog.Memory", {
+        name: actor.name,
+        attempts: memory.attempts,
+        facts: memory.facts.length
+    }))}</li>`).join('')}</ul>` : '';
 
     const content = `
     <form>
       <div class="form-group">
-        <label>Skill:</label>
+        <label>${localize("Recall.Dialog.Skill")}</label>
         <select id="skill-select" name="skill">
           ${skillOptions}
         </select>
       </div>
+      ${isRequest ? '' : `<div class="form-group">
+        <label>${localize("Recall.Dialog.DC")}</label>
+        <input type="number" id="dc-input" name="dc" value="${creatureDC}" min="1" max="100"/>
+      </div>`}
       <div class="form-group">
-        <label>DC:</label>
-        <input type="number" id="dc-input" name="dc" value="15" min="1" max="100"/>
-      </div>
-      <div class="form-group">
-        <label>Creature Name (optional):</label>
-        <input type="text" id="creature-name" name="creature" placeholder="(optional)"/>
+        <label>${localize("Recall.Dialog.Creature")}</label>
+        <input type="text" id="creature-name" name="creature" placeholder="${escape(targeted?.name ?? localize("Recall.Dialog.Optional"))}"/>
       </div>
       <div class="form-group">
+        ${creatureNote}
+        ${memoryNote}
         ${selectionNote}
-        <p><em>Note: If you want to check specific actors, select their tokens before opening this dialog.</em></p>
+        <p><em>${localize("Recall.Dialog.Note")}</em></p>
       </div>
     </form>
   `;
 
     new Dialog({
-        title: 'Recall Knowledge Check (Multiple Targets)',
+        title: localize("Recall.Dialog.Title"),
         content: content,
         buttons: {
             roll: {
                 icon: '<i class="fas fa-dice-d20"></i>',
-                label: 'Roll for Targets',
+                label: localize(isRequest ? "Requests.Send" : "Recall.Dialog.Roll"),
                 callback: (html) => performRecallKnowledge(html)
             },
+            ...(isRequest ? {} : {
+                forget: {
+                    icon: '<i class="fas fa-eraser"></i>',
+                    label: localize("Recall.Memory.Reset"),
+                    callback: () => confirmResetMemory(rollers)
+                }
+            }),
             cancel: {
                 icon: '<i class="fas fa-times"></i>',
-                label: 'Cancel'
+                label: localize("Common.Cancel")
             }
         },
         default: 'roll'
     }).render(true);
 }
-
-/**
- * Defensive helper to find skill data on a PF2e actor.
- * Returns an object with { mod, label, ... } or null if not found.
- */
-function getSkillInfo(actor, skillKey) {
-    // PF2e typically stores skills at actor.system.skills[skillKey]
-    const systemData = actor.system ?? actor.data?.system ?? {};
-    const skills = systemData.skills ?? null;
-
-    if (skills && skills[skillKey]) {
-        return skills[skillKey];
-    }
-
-    // Try older shapes or flattened names
-    if (actor.data?.data?.skills && actor.data.data.skills[skillKey]) {
-        return actor.data.data.skills[skillKey];
-    }
-
-    // Try searching keys for a match (case-insensitive)
-    if (skills) {
-        const foundKey = Object.keys(skills).find(k => k.toLowerCase() === skillKey.toLowerCase());
-        if (foundKey) return skills[foundKey];
-    }
-
-    return null;
-}
-
-/**
- * Simple HTML escape to avoid injection in chat content/options.
- */
-function escapeHtml(unsafe) {
-    if (unsafe === undefined || unsafe === null) return '';
-    return String(unsafe)
-        .replaceAll('&', '&amp;')
-        .replaceAll('<', '&lt;')
-        .replaceAll('>', '&gt;')
-        .replaceAll('"', '&quot;')
-        .replaceAll("'", '&#039;');
-}
\ No newline at end of file
@@ -1,6 +1,9 @@
 // PF2e Token Resizer Macro
 // Use this macro to quickly change the size of a selected token between common PF2e sizes.
 
+import { callPreHook, callPostHook } from './hooks.js';
+import { localize, format } from './i18n.js';
+
 export const QUICK_TOKEN_RESIZER_MACRO_NAME = "Quick Token Resizer";
 export const QUICK_TOKEN_RESIZER_MACRO_ICON = "modules/pf2e-awesome-macros-for-gms/assets/quick-token-resizer.png";
 
@@ -17,6 +20,16 @@ const SIZE_DIMENSIONS = {
     "grg": 4, // Gargantuan included for completeness
 };
 
+/**
+ * Returns PF2e's localized label for a size key.
+ * @param {string} key - A size key, e.g. 'med'.
+ * @returns {string} The localized size name.
+ */
+function getSizeLabel(key) {
+    const label = CONFIG.PF2E?.actorSizes?.[key];
+    return label ? game.i18n.localize(label) : String(key ?? "").toUpperCase();
+}
+
 /**
  * Helper function to handle the main logic.
  */
@@ -24,10 +37,10 @@ export async function resizeToken() {
     // Check for exactly one selected token
     const controlled = canvas.tokens.controlled;
     if (controlled.length === 0) {
-        return ui.notifications.warn("Please select a token before running this macro.");
+        return ui.notifications.warn(localize("TokenResizer.SelectToken"));
     }
     if (controlled.length > 1) {
-        return ui.notifications.warn("Please select only one token to resize.");
+        return ui.notifications.warn(localize("TokenResizer.SelectOne"));
     }
 
     const token = controlled[0];
@@ -35,11 +48,11 @@ export async function resizeToken() {
 
     // Validate actor and PF2e system data
     if (!actor) {
-        return ui.notifications.error(`Token ${token.name} is not linked to an Actor.`);
+        return ui.notifications.error(format("TokenResizer.NoActor", { name: token.name }));
     }
 
     if (actor.type === "hazard" || actor.type === "loot" || actor.type === "vehicle") {
-        return ui.notifications.error(`This macro is intended for creatures (character, NPC) and cannot resize a ${actor.type}.`);
+        return ui.notifications.error(format("TokenResizer.NotCreature", { type: game.i18n.localize(CONFIG.Actor.typeLabels?.[actor.type] ?? actor.type) }));
     }
 
     // Get the default size string (e.g., 'med', 'lg') from the PF2e actor system data
@@ -52,12 +65,12 @@ export async function resizeToken() {
     // Define the size options for the dropdown
     const sizeOptions = {
         // Value: Display Name
-        "reset": `Reset to Default (${defaultPf2eSizeKey.toUpperCase()} / ${defaultGridSize}x${defaultGridSize})`,
-        "tiny": "Tiny (0.5x0.5)",
-        "sm": "Small (1x1)",
-        "med": "Medium (1x1)",
-        "lg": "Large (2x2)",
-        "huge": "Huge (3x3)",
+        "reset": format("TokenResizer.Reset", { size: getSizeLabel(defaultPf2eSizeKey), grid: `${defaultGridSize}x${defaultGridSize}` }),
+        "tiny": `${getSizeLabel("tiny")} (0.5x0.5)`,
+        "sm": `${getSizeLabel("sm")} (1x1)`,
+        "med": `${getSizeLabel("med")} (1x1)`,
+        "lg": `${getSizeLabel("lg")} (2x2)`,
+        "huge": `${getSizeLabel("huge")} (3x3)`,
     };
 
     // Build the HTML options for the select dropdown
@@ -83,62 +96,97 @@ export async function resizeToken() {
             .token-resizer-dialog .notes { font-size: 0.75em; color: #777; margin-top: 5px; text-align: center; }
         </style>
         <div class="token-resizer-dialog">
-            <p>Select a new size for the token representing <strong>${token.name}</strong>.</p>
-            <p style="font-size: 0.9em; margin-top: -5px;">Current Dimensions: ${currentGridSize}x${currentGridSize} grid units.</p>
+            <p>${format("TokenResizer.Dialog.Intro", { name: `<strong>${token.name}</strong>` })}</p>
+            <p style="font-size: 0.9em; margin-top: -5px;">${format("TokenResizer.Dialog.Current", { grid: `${currentGridSize}x${currentGridSize}` })}</p>
             <div class="form-group">
-                <label for="token-size"><strong>New Size:</strong></label>
+                <label for="token-size"><strong>${localize("TokenResizer.Dialog.NewSize")}</strong></label>
                 <select id="token-size" name="token-size" style="width: 100%;">${optionsHTML}</select>
             </div>
-            <p class="notes">Small and Medium creatures share the same 1x1 grid space in PF2e.</p>
+            <p class="notes">${localize("TokenResizer.Dialog.Note")}</p>
         </div>
     `;
 
     // Create and render the Dialog
     new Dialog({
-        title: `PF2e Token Resizer: ${token.name}`,
+        title: format("TokenResizer.Dialog.Title", { name: token.name }),
         content: content,
         buttons: {
             resize: {
                 icon: '<i class="fas fa-expand-alt"></i>',
-                label: "Resize Token",
+                label: localize("TokenResizer.Dialog.Resize"),
                 callback: (html) => {
                     const selectedSizeKey = html.find('#token-size').val();
-                    let newGridSize;
-                    let shouldLinkSize = false;
-
-                    if (selectedSizeKey === "reset") {
-                        newGridSize = defaultGridSize;
-                        shouldLinkSize = true; // Re-enable link if resetting
-                    } else {
-                        newGridSize = SIZE_DIMENSIONS[selectedSizeKey];
-                        shouldLinkSize = false; // Disable link for custom sizes
-                    }
-
-                    if (newGridSize === undefined) {
-                        return ui.notifications.error(`Invalid size setting detected.`);
-                    }
-
-                    // *** CRITICAL UPDATE: Ensure size change persists ***
-                    // We set the new dimensions and explicitly toggle the 'flags.pf2e.linkToActorSize' flag.
-                    // If this flag is true, PF2e will auto-revert the size on update.
-                    // If false, it respects our custom dimensions.
-                    const updateData = {
-                        width: newGridSize,
-                        height: newGridSize,
-                        "flags.pf2e.linkToActorSize": shouldLinkSize
-                    };
-
-                    // Perform the update
-                    token.document.update(updateData);
-
-                    ui.notifications.info(`Resized ${token.name} to ${newGridSize}x${newGridSize}. Size Link: ${shouldLinkSize ? 'ON' : 'OFF'}.`);
+                    resizeTokenTo({ token, size: selectedSizeKey });
                 }
             },
             cancel: {
                 icon: '<i class="fas fa-times"></i>',
-                label: "Cancel"
+                label: localize("Common.Cancel")
             }
         },
         default: "resize"
     }, { width: 350 }).render(true);
-}
\ No newline at end of file
+}
+
+/**
+ * Resizes a token without any dialog. Used by the dialog and the scripting API.
+ * @param {object} params
+ * @param {Token} [params.token] - The token to resize; defaults to the single controlled token.
+ * @param {string} params.size - 'reset' (actor's default size) or a size key: 'tiny', 'sm', 'med', 'lg', 'huge', 'grg'.
+ * @returns {Promise<{token: Token, size: string, gridSize: number, linked: boolean}|null>} The applied size, or null
+ * if a preResizeToken hook cancelled it.
+ */
+export async function resizeTokenTo({ token, size } = {}) {
+    if (!token) {
+        const controlled = canvas.tokens.controlled;
+        if (controlled.length !== 1) {
+            throw new Error("PF2e Awesome Macros | resizeToken: pass a token or control exactly one token.");
+        }
+        token = controlled[0];
+    }
+
+    // Let other modules change the size or cancel the resize (see 'hooks.js')
+    const params = { token, size };
+    if (!callPreHook("preResizeToken", params)) return null;
+    ({ token, size } = params);
+
+    const defaultPf2eSizeKey = token.actor?.system?.traits?.size?.value;
+    const defaultGridSize = SIZE_DIMENSIONS[defaultPf2eSizeKey] || 1; // Fallback to 1x1 (Medium)
+
+    let newGridSize;
+    let shouldLinkSize = false;
+
+    if (size === "reset") {
+        newGridSize = defaultGridSize;
+        shouldLinkSize = true; // Re-enable link if resetting
+    } else {
+        newGridSize = SIZE_DIMENSIONS[size];
+        shouldLinkSize = false; // Disable link for custom sizes
+    }
+
+    if (newGridSize === undefined) {
+        ui.notifications.error(localize("TokenResizer.InvalidSize"));
+        throw new Error(`PF2e Awesome Macros | resizeToken: unknown size "${size}".`);
+    }
+
+    // *** CRITICAL UPDATE: Ensure size change persists ***
+    // We set the new dimensions and explicitly toggle the 'flags.pf2e.linkToActorSize' flag.
+    // If this flag is true, PF2e will auto-revert the size on update.
+    // If false, it respects our custom dimensions.
+    const updateData = {
+        width: newGridSize,
+        height: newGridSize,
+        "flags.pf2e.linkToActorSize": shouldLinkSize
+    };
+
+    // Perform the update
+    await token.document.update(updateData);
+
+    const result = { token, size, gridSize: newGridSize, linked: shouldLinkSize };
+    callPostHook("tokenResized", result);
+
+    ui.notifications.info(format(shouldLinkSize ? "TokenResizer.ResizedLinked" : "TokenResizer.ResizedUnlinked", {
+        name: token.name, grid: `${newGridSize}x${newGridSize}`
+    }));
+    return result;
+}
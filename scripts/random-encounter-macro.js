@@ -4,79 +4,92 @@
  * It is called by the main module script and the auto-created macro.
  */
 
-export const SCENE_FOLDER_NAME = "Random Encounters";
+import { getSetting, getEncounterPackKeys } from './settings.js';
+import { getPartyMembers, getAveragePartyLevel } from './party.js';
+import { callPreHook, callPostHook } from './hooks.js';
+import { createChatCard } from './chat-cards.js';
+import { localize, format, rarityLabel } from './i18n.js';
+
 export const RANDOM_ENCOUNTER_MACRO_NAME = "Create Random Encounter";
 export const RANDOM_ENCOUNTER_MACRO_ICON = "modules/pf2e-awesome-macros-for-gms/assets/random-encounter-icon.png"; // Icon url e.g. "icons/svg/d20.svg" 
 
 /**
  * Gets an existing Scene folder by name, or creates it if it doesn't exist.
+ * @param {string} folderName - The scene folder name from the module settings.
  * @returns {Promise<Folder|null>} The Folder document, or null if creation failed.
  */
-async function getOrCreateSceneFolder() {
-    let folder = game.folders.getName(SCENE_FOLDER_NAME);
+async function getOrCreateSceneFolder(folderName) {
+    let folder = game.folders.getName(folderName);
 
     if (!folder) {
         // Create the folder if it doesn't exist
         try {
             folder = await Folder.create({
-                name: SCENE_FOLDER_NAME,
+                name: folderName,
                 type: 'Scene',
                 parent: null, // Create at the top level
                 // Optionally, you can set a color for this scene folder too: color: "#006400"
             });
-            ui.notifications.info(`[PF2e Generator] Created Scene folder: "${SCENE_FOLDER_NAME}". Please place scenes inside it.`);
+            ui.notifications.info(format("Encounter.CreatedFolder", { folder: folderName }));
         } catch (err) {
-            console.error(`PF2e Generator | Failed to create Scene folder: ${SCENE_FOLDER_NAME}`, err);
-            ui.notifications.error(`Failed to create Scene folder "${SCENE_FOLDER_NAME}". Check F12 console.`);
+            console.error(`PF2e Generator | Failed to create Scene folder: ${folderName}`, err);
+            ui.notifications.error(format("Encounter.FolderFailed", { folder: folderName }));
             return null;
         }
     }
     return folder;
 }
 
+// Encounter XP budgets for a party of four, by difficulty
+const XP_BUDGETS = {
+    Trivial: 40,
+    Low: 60,
+    Moderate: 80,
+    Severe: 120,
+    Extreme: 160
+};
+
+/**
+ * Returns PF2e's localized label for a rarity, or "Any Rarity".
+ * @param {string} rarity - 'any', 'common', 'uncommon', 'rare' or 'unique'.
+ * @returns {string} The localized rarity label.
+ */
+function getRarityLabel(rarity) {
+    if (rarity === "any") return localize("Encounter.AnyRarity");
+    return rarityLabel(rarity);
+}
+
 // --- CORE LOGIC WRAPPED IN A GLOBAL FUNCTION ---
 /**
- * Executes the random encounter generation process.
+ * Opens the encounter parameters dialog and generates the encounter.
  * This is the function that the auto-created macro will call.
  */
 export async function generateEncounter() {
     if (!game.user.isGM) {
-        ui.notifications.warn("Only the GM can generate encounters!");
+        ui.notifications.warn(localize("Encounter.GMOnly"));
         return;
     }
-    ui.notifications.info("Starting Encounter Generation...");
+    ui.notifications.info(localize("Encounter.Starting"));
 
-    // Get Party Data
-    const characters = game.actors.filter(a => a.type === "character" && a.hasPlayerOwner);
+    // Get Party Data (the party as resolved by 'party.js', Player Characters only)
+    const { actors: characters } = getPartyMembers({ filter: a => a.type === "character" });
     if (characters.length === 0) {
-        return ui.notifications.error("No player characters found to scale encounter.");
+        return ui.notifications.error(localize("Encounter.NoCharacters"));
     }
 
-    const levels = characters.map(c => c.system.details.level.value);
-    const totalLevels = levels.reduce((a, b) => a + b, 0);
-    const apl = Math.round(totalLevels / characters.length);
+    const apl = getAveragePartyLevel(characters);
     const partySize = characters.length;
 
-    console.log(`PF2e Generator | Party Size: ${partySize}, APL: ${apl}`);
-
     // --- Difficulty and Trait Selection Dialog ---
-    const xpValues = {
-        Trivial: 40,
-        Low: 60,
-        Moderate: 80,
-        Severe: 120,
-        Extreme: 160
-    };
-
     const dialogContent = `
         <form>
             <div class="form-group" style="padding: 5px 0;">
-                <label style="font-weight: bold;">Select Encounter Difficulty for Party of ${partySize} (APL: ${apl}):</label>
+                <label style="font-weight: bold;">${format("Encounter.Dialog.Difficulty", { size: partySize, apl })}</label>
                 <div class="form-fields" style="display: flex; flex-direction: column; gap: 5px; margin-top: 5px;">
-                    ${Object.keys(xpValues).map(key => `
+                    ${Object.keys(XP_BUDGETS).map(key => `
                         <label class="radio-label" style="display: flex; align-items: center; cursor: pointer;">
                             <input type="radio" name="difficulty" value="${key}" ${key === 'Moderate' ? 'checked' : ''} style="margin-right: 8px;">
-                            ${key} (${xpValues[key]} XP Base)
+                            ${format("Encounter.Dialog.DifficultyOption", { difficulty: localize(`Encounter.Difficulty.${key}`), xp: XP_BUDGETS[key] })}
                         </label>
                     `).join('')}
                 </div>
@@ -85,23 +98,19 @@ export async function generateEncounter() {
             
             <!-- Rarity Selection -->
             <div class="form-group" style="padding: 5px 0;">
-                <label style="font-weight: bold;">Filter by Monster Rarity:</label>
+                <label style="font-weight: bold;">${localize("Encounter.Dialog.Rarity")}</label>
                 <div class="form-fields">
                     <select name="rarity" style="width: 100%;">
-                        <option value="any">Any Rarity</option>
-                        <option value="common">Common</option>
-                        <option value="uncommon">Uncommon</option>
-                        <option value="rare">Rare</option>
-                        <option value="unique">Unique</option>
+                        ${["any", "common", "uncommon", "rare", "unique"].map(r => `<option value="${r}">${getRarityLabel(r)}</option>`).join("")}
                     </select>
                 </div>
             </div>
             <hr>
 
             <div class="form-group" style="padding: 5px 0;">
-                <label style="font-weight: bold;">Optional: Shared Creature Trait (e.g., Fiend, Swarm, Fire):</label>
+                <label style="font-weight: bold;">${localize("Encounter.Dialog.Trait")}</label>
                 <div class="form-fields">
-                    <input type="text" name="trait" placeholder="Leave blank for random selection" style="width: 100%;">
+                    <input type="text" name="trait" placeholder="${localize("Encounter.Dialog.TraitPlaceholder")}" style="width: 100%;">
                 </div>
             </div>
         </form>
@@ -110,12 +119,12 @@ export async function generateEncounter() {
     // Use a Promise to handle the Dialog resolution asynchronously
     const difficultyPromise = new Promise((resolve) => {
         new Dialog({
-            title: "Select Encounter Parameters",
+            title: localize("Encounter.Dialog.Title"),
             content: dialogContent,
             buttons: {
                 generate: {
                     icon: '<i class="fas fa-dice-d20"></i>',
-                    label: "Generate",
+                    label: localize("Encounter.Dialog.Generate"),
                     callback: (html) => {
                         const selectedDifficulty = html.find('input[name="difficulty"]:checked').val();
                         const selectedTrait = html.find('input[name="trait"]').val().trim();
@@ -125,7 +134,7 @@ export async function generateEncounter() {
                 },
                 cancel: {
                     icon: '<i class="fas fa-times"></i>',
-                    label: "Cancel",
+                    label: localize("Common.Cancel"),
                     callback: () => resolve(null)
                 }
             },
@@ -137,13 +146,48 @@ export async function generateEncounter() {
     const result = await difficultyPromise;
 
     if (!result) {
-        ui.notifications.info("Encounter generation cancelled.");
+        ui.notifications.info(localize("Encounter.Cancelled"));
         return;
     }
 
     const { selectedDifficulty, selectedTrait, selectedRarity } = result;
+    await createEncounter({ difficulty: selectedDifficulty, trait: selectedTrait, rarity: selectedRarity });
+}
 
-    const baseXp = xpValues[selectedDifficulty];
+/**
+ * Generates and spawns a random encounter without any dialog. Used by the dialog and the scripting API.
+ * @param {object} [params]
+ * @param {string} [params.difficulty="Moderate"] - 'Trivial', 'Low', 'Moderate', 'Severe' or 'Extreme'.
+ * @param {string} [params.trait=""] - Optional shared creature trait (e.g. 'fiend').
+ * @param {string} [params.rarity="any"] - 'any', 'common', 'uncommon', 'rare' or 'unique'.
+ * @param {Scene|string|null} [params.scene=null] - Scene (or scene ID/name) to spawn on; a random scene from the encounter folder if omitted.
+ * @param {boolean} [params.view=true] - Switch to the scene before spawning.
+ * @param {boolean} [params.chat=true] - Whisper the encounter report to the GMs.
+ * @returns {Promise<object|null>} { scene, difficulty, trait, rarity, budget, apl, partySize, monsters, tokens },
+ * or null if no scene or suitable monsters were found or a preGenerateEncounter hook cancelled it.
+ */
+export async function createEncounter({ difficulty = "Moderate", trait = "", rarity = "any", scene = null, view = true, chat = true } = {}) {
+    if (!game.user.isGM) {
+        throw new Error("PF2e Awesome Macros | generateEncounter: only the GM can generate encounters.");
+    }
+
+    const baseXp = XP_BUDGETS[difficulty];
+    if (baseXp === undefined) {
+        throw new Error(`PF2e Awesome Macros | generateEncounter: unknown difficulty "${difficulty}".`);
+    }
+    const selectedDifficulty = difficulty;
+    let selectedTrait = String(trait ?? "").trim();
+    let selectedRarity = rarity || "any";
+
+    // Get Party Data (the party as resolved by 'party.js', Player Characters only)
+    const { actors: characters } = getPartyMembers({ filter: a => a.type === "character" });
+    if (characters.length === 0) {
+        ui.notifications.error(localize("Encounter.NoCharacters"));
+        return null;
+    }
+
+    let apl = getAveragePartyLevel(characters);
+    const partySize = characters.length;
 
     // Adjustment: 20xp per character variance from 4-person party
     let xpBudget = baseXp + (20 * (partySize - 4));
@@ -151,93 +195,125 @@ export async function generateEncounter() {
     // Safety cap: Ensure budget is at least Trivial XP for a 4-person party (40 XP)
     if (xpBudget < 40) xpBudget = 40;
 
-    ui.notifications.info(`Generating a ${selectedDifficulty} encounter (Budget: ${xpBudget} XP). Theme: ${selectedTrait || 'Random'}. Rarity: ${selectedRarity.charAt(0).toUpperCase() + selectedRarity.slice(1)}.`);
-    // --- END: Difficulty and Trait Selection Dialog ---
+    // Get the Scene: the requested one, otherwise a random scene from the encounter folder
+    let targetScene = null;
+    if (scene instanceof Scene) {
+        targetScene = scene;
+    } else if (scene) {
+        targetScene = game.scenes.get(scene) ?? game.scenes.getName(scene) ?? null;
+        if (!targetScene) {
+            ui.notifications.error(format("Encounter.SceneNotFound", { scene }));
+            return null;
+        }
+    } else {
+        const sceneFolderName = getSetting("sceneFolderName");
+        const sceneFolder = await getOrCreateSceneFolder(sceneFolderName);
+        if (!sceneFolder) {
+            ui.notifications.error(format("Encounter.FolderNotFound", { folder: sceneFolderName }));
+            return null;
+        }
 
+        const scenes = sceneFolder.contents;
+        if (scenes.length === 0) {
+            ui.notifications.error(format("Encounter.NoScenes", { folder: sceneFolderName }));
+            return null;
+        }
 
-    // Get Random Scene
-    const sceneFolder = await getOrCreateSceneFolder();
-    if (!sceneFolder) {
-        return ui.notifications.error(`Folder "${SCENE_FOLDER_NAME}" not found in Scenes directory.`);
+        targetScene = scenes[Math.floor(Math.random() * scenes.length)];
     }
 
-    const scenes = sceneFolder.contents;
-    if (scenes.length === 0) {
-        return ui.notifications.error(`No scenes found in folder "${SCENE_FOLDER_NAME}".`);
-    }
+    // Let other modules adjust or cancel the encounter (see 'hooks.js')
+    const params = {
+        party: characters, apl, partySize, difficulty: selectedDifficulty,
+        trait: selectedTrait, rarity: selectedRarity, budget: xpBudget, scene: targetScene
+    };
+    if (!callPreHook("preGenerateEncounter", params)) return null;
+    ({ apl, trait: selectedTrait, rarity: selectedRarity, budget: xpBudget, scene: targetScene } = params);
 
-    const targetScene = scenes[Math.floor(Math.random() * scenes.length)];
+    const difficultyLabel = localize(`Encounter.Difficulty.${selectedDifficulty}`);
+    ui.notifications.info(format("Encounter.Generating", {
+        difficulty: difficultyLabel,
+        budget: xpBudget,
+        theme: selectedTrait || localize("Encounter.RandomTheme"),
+        rarity: getRarityLabel(selectedRarity)
+    }));
 
     // Select Monsters - PASSING THE SELECTED TRAIT AND RARITY
     const monstersToSpawn = await pickMonsters(apl, xpBudget, selectedTrait, selectedRarity);
 
     if (monstersToSpawn.length === 0) {
-        let filterDetails = selectedTrait ? `trait "${selectedTrait}"` : "";
-        filterDetails += selectedRarity !== "any" ? (filterDetails ? " and " : "") + `rarity "${selectedRarity}"` : "";
+        const filters = [];
+        if (selectedTrait) filters.push(format("Encounter.FilterTrait", { trait: selectedTrait }));
+        if (selectedRarity !== "any") filters.push(format("Encounter.FilterRarity", { rarity: getRarityLabel(selectedRarity) }));
 
-        ui.notifications.warn(`Could not find suitable monsters matching level and ${filterDetails || "filter criteria"}. Try broadening your search.`);
-        return;
+        ui.notifications.warn(format("Encounter.NoMonsters", { filters: filters.join(localize("Encounter.And")) || localize("Encounter.FilterCriteria") }));
+        return null;
     }
 
-    // Activate Scene and calculate cluster anchor
-    await targetScene.view();
+    // Activate Scene and wait for the view transition
+    if (view) {
+        await targetScene.view();
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
 
     // Calculate the raw center point for the monster spawn
     const clusterX = Math.floor(targetScene.dimensions.width / 2);
     const clusterY = Math.floor(targetScene.dimensions.height / 2);
 
-
-    // --- Start Building GM Summary ---
-    const summaryHeader = `
-        <h3 style="margin: 0; padding-bottom: 5px; border-bottom: 1px solid #ccc;">
-            <i class="fas fa-dice-d20"></i> Random Encounter Report
-        </h3>
-        <p style="margin: 5px 0 0;"><strong>Scene:</strong> ${targetScene.name}</p>
-        <p style="margin: 0;"><strong>Difficulty:</strong> <span style="font-weight: bold; color: #cc0000;">${selectedDifficulty} (${xpBudget} XP)</span></p>
-        <p style="margin: 0;"><strong>APL:</strong> ${apl}, <strong>Party Size:</strong> ${partySize}</p>
-    `;
-
-    const monsterList = monstersToSpawn.map(m => {
-        const level = m.system?.details?.level?.value ?? "N/A";
-        return `<li style="margin-left: -15px;">${m.name} (Level ${level})</li>`;
-    }).join('');
-
-    const summaryContent = `
-        <div style="font-family: 'Baskerville', serif; background: #f9f7f4; padding: 10px; border: 2px solid #5d4037; border-radius: 5px;">
-            ${summaryHeader}
-            <p style="margin: 10px 0 5px; font-weight: bold;">Creatures Spawned:</p>
-            <ul style="list-style-type: circle; margin: 0 0 5px 25px;">${monsterList}</ul>
-            <p style="font-size: 0.85em; color: #777; margin: 0;">Tokens are spawned at the map center for GM placement.</p>
-        </div>
-    `;
-    // --- End Building GM Summary ---
-
-
-    // Wait for view transition
-    setTimeout(async () => {
-        let successfulSpawns = 0;
-        // Iterate with index 'i' to determine placement offset
-        for (let i = 0; i < monstersToSpawn.length; i++) {
-            const monsterData = monstersToSpawn[i];
-            const spawned = await spawnMonster(monsterData, targetScene, clusterX, clusterY, i);
-            if (spawned) {
-                successfulSpawns++;
-            }
+    const tokens = [];
+    const spawnedRows = [];
+    // Iterate with index 'i' to determine placement offset
+    for (let i = 0; i < monstersToSpawn.length; i++) {
+        const monsterData = monstersToSpawn[i];
+        const token = await spawnMonster(monsterData, targetScene, clusterX, clusterY, i);
+        if (token) {
+            tokens.push(token);
         }
+        const level = monsterData.system?.details?.level?.value ?? "N/A";
+        spawnedRows.push({ label: format("Encounter.Chat.Monster", { name: monsterData.name, level }), uuid: token?.uuid ?? null });
+    }
 
-        // Send GM-only chat message
+    if (chat) {
+        // Send GM-only chat message (see 'templates/chat/encounter-report.hbs')
         const gmUsers = game.users.filter(u => u.isGM).map(u => u.id);
 
-        await ChatMessage.create({
+        await createChatCard("encounter", {
+            title: localize("Encounter.Chat.Title"),
+            scene: targetScene.name,
+            difficulty: difficultyLabel,
+            budget: xpBudget,
+            apl,
+            partySize,
+            monsters: spawnedRows
+        }, {
             user: game.user.id,
-            speaker: { alias: "Encounter Generator" }, // Use alias for a cleaner look
-            content: summaryContent,
+            speaker: { alias: localize("Encounter.Chat.Speaker") }, // Use alias for a cleaner look
             whisper: gmUsers,
-            flavor: "GM-Only Encounter Report"
+            flavor: localize("Encounter.Chat.Flavor"),
+            rerun: {
+                fn: "generateEncounter",
+                label: localize("Macros.randomEncounter"),
+                // Re-roll on the same scene only if one was requested; otherwise pick a random scene again
+                params: { difficulty, trait, rarity, scene: scene instanceof Scene ? scene.id : scene }
+            }
         });
 
-        ui.notifications.info(`Encounter generated with ${successfulSpawns} creatures!`);
-    }, 1000); // Increased delay
+        ui.notifications.info(format("Encounter.Generated", { count: tokens.length }));
+    }
+
+    const encounter = {
+        scene: targetScene,
+        difficulty: selectedDifficulty,
+        trait: selectedTrait,
+        rarity: selectedRarity,
+        budget: xpBudget,
+        apl,
+        partySize,
+        monsters: monstersToSpawn,
+        tokens
+    };
+    callPostHook("encounterSpawned", encounter);
+    return encounter;
 }
 
 /**
@@ -249,7 +325,7 @@ export async function generateEncounter() {
  * @returns {Promise<Actor[]>} Array of selected monster Actors.
  */
 export async function pickMonsters(apl, budget, requiredTrait = "", requiredRarity = "any") {
-    const packKeys = ['pf2e.pathfinder-monster-core', 'pf2e.pathfinder-bestiary'];
+    const packKeys = getEncounterPackKeys();
     let candidates = [];
     const traitLower = requiredTrait.toLowerCase();
     const rarityLower = requiredRarity.toLowerCase();
@@ -369,7 +445,7 @@ export async function pickMonsters(apl, budget, requiredTrait = "", requiredRari
  * @param {number} anchorX - X coordinate base for spawning.
  * @param {number} anchorY - Y coordinate base for spawning.
  * @param {number} spawnIndex - Index to calculate offset.
- * @returns {Promise<boolean>} True if spawned successfully.
+ * @returns {Promise<TokenDocument|null>} The spawned token, or null if the actor could not be imported.
  */
 export async function spawnMonster(compendiumActor, scene, anchorX, anchorY, spawnIndex) {
     let worldActor = game.actors.find(a => a.sourceId === compendiumActor.uuid);
@@ -379,14 +455,14 @@ export async function spawnMonster(compendiumActor, scene, anchorX, anchorY, spa
             worldActor = await Actor.create(compendiumActor.toObject(), { renderSheet: false });
         } catch (error) {
             console.error(`PF2e Generator | CRITICAL ERROR: Failed to import actor ${compendiumActor.name}.`, error);
-            ui.notifications.error(`Failed to import actor ${compendiumActor.name}. Check F12 console for details.`);
-            return false;
+            ui.notifications.error(format("Encounter.ImportFailed", { name: compendiumActor.name }));
+            return null;
         }
     }
 
     if (!worldActor) {
         console.error(`PF2e Generator | World actor is undefined after import attempt for: ${compendiumActor.name}`);
-        return false;
+        return null;
     }
 
     const gridSize = scene.grid.size;
@@ -417,6 +493,6 @@ export async function spawnMonster(compendiumActor, scene, anchorX, anchorY, spa
         hidden: true // Tokens are spawned hidden
     });
 
-    await scene.createEmbeddedDocuments("Token", [tokenData]);
-    return true;
+    const [created] = await scene.createEmbeddedDocuments("Token", [tokenData]);
+    return created ?? null;
 }
\ No newline at end of file
@@ -0,0 +1,109 @@
+/**
+ * PF2e Awesome Macros - Recall Knowledge Memory
+ * Remembers each character's Recall Knowledge attempts per creature on the character
+ * (flags["pf2e-awesome-macros-for-gms"].recallKnowledge), keyed by the creature's slug, so every goblin warrior
+ * shares one entry. Each entry records { name, attempts, facts }: the creature's name, the number of checks
+ * rolled, and the true facts the GM sent after a success (see whisperResult in 'chat-cards.js').
+ * Quick Recall Knowledge raises the DC of repeated attempts, deals characters facts they don't know yet and shows
+ * what they already know. The GM clears the memory at the end of a session or encounter.
+ */
+
+import { MODULE_ID } from './settings.js';
+import { getPartyMembers } from './party.js';
+import { callPreHook, callPostHook } from './hooks.js';
+
+const MEMORY_FLAG = "recallKnowledge";
+
+// DC adjustment of the 2nd, 3rd and 4th or later attempt: hard, very hard, incredibly hard
+const REPEAT_DC_ADJUSTMENTS = [0, 2, 5, 10];
+
+// --- 1. READING ---
+
+/**
+ * Returns the key a creature is remembered by: its slug, else its slugified name.
+ * @param {Actor} creature - The creature.
+ * @returns {string} The key.
+ */
+export function getCreatureKey(creature) {
+    return creature.slug || creature.name.slugify({ strict: true });
+}
+
+/**
+ * Returns what a character remembers about a creature.
+ * @param {Actor} actor - The character.
+ * @param {Actor} creature - The creature.
+ * @returns {{name: string, attempts: number, facts: string[]}} The memory; no attempts and no facts if none.
+ */
+export function getRecallMemory(actor, creature) {
+    const memory = actor.getFlag(MODULE_ID, MEMORY_FLAG)?.[getCreatureKey(creature)];
+    return { name: memory?.name ?? creature.name, attempts: memory?.attempts ?? 0, facts: [...(memory?.facts ?? [])] };
+}
+
+/**
+ * Returns how much the DC goes up for a character's next attempt at a creature: +2, +5 and then +10 for the
+ * second, third and any later attempt.
+ * @param {Actor} actor - The character.
+ * @param {Actor} creature - The creature.
+ * @returns {number} The DC adjustment.
+ */
+export function getRepeatDCAdjustment(actor, creature) {
+    const { attempts } = getRecallMemory(actor, creature);
+    return REPEAT_DC_ADJUSTMENTS[Math.min(attempts, REPEAT_DC_ADJUSTMENTS.length - 1)];
+}
+
+// --- 2. RECORDING ---
+
+/**
+ * Counts one Recall Knowledge attempt at a creature for a character.
+ * @param {Actor} actor - The character.
+ * @param {Actor} creature - The creature.
+ * @returns {Promise<Actor>} The updated actor.
+ */
+export async function recordRecallAttempt(actor, creature) {
+    const memory = getRecallMemory(actor, creature);
+    return actor.setFlag(MODULE_ID, `${MEMORY_FLAG}.${getCreatureKey(creature)}`, { ...memory, attempts: memory.attempts + 1 });
+}
+
+/**
+ * Adds the facts a character was told about a creature to their memory.
+ * @param {Actor} actor - The character.
+ * @param {{key: string, name: string}} creature - The creature's key (see getCreatureKey) and name.
+ * @param {string[]} facts - The facts sent.
+ * @returns {Promise<Actor|void>} The updated actor.
+ */
+export async function recordRecallFacts(actor, { key, name }, facts) {
+    if (facts.length === 0) return;
+    const memory = actor.getFlag(MODULE_ID, MEMORY_FLAG)?.[key] ?? { name, attempts: 0, facts: [] };
+    const known = new Set([...(memory.facts ?? []), ...facts]);
+    return actor.setFlag(MODULE_ID, `${MEMORY_FLAG}.${key}`, { ...memory, facts: [...known] });
+}
+
+// --- 3. RESET ---
+
+/**
+ * Clears the Recall Knowledge memory, e.g. at the end of a session or encounter. Dialog-free, so it also backs
+ * the scripting API.
+ * @param {object} [params]
+ * @param {Actor[]} [params.actors] - Characters to clear; defaults to the whole party (see 'party.js').
+ * @param {Actor|Token|null} [params.target=null] - Clear only this creature; by default every creature is forgotten.
+ * @returns {Promise<{actors: Actor[]}|null>} The characters that had something to forget, or null if a
+ * preRecallMemoryReset hook cancelled it.
+ */
+export async function resetRecallMemory({ actors, target = null } = {}) {
+    const params = { actors: actors ?? getPartyMembers().actors, target: target?.actor ?? target };
+    if (!callPreHook("preRecallMemoryReset", params)) return null;
+    ({ actors, target } = params);
+
+    const key = target ? getCreatureKey(target) : null;
+    const cleared = actors.filter(actor => {
+        const memory = actor.getFlag(MODULE_ID, MEMORY_FLAG);
+        return key ? memory?.[key] : memory && Object.keys(memory).length > 0;
+    });
+    for (const actor of cleared) {
+        const path = key ? `flags.${MODULE_ID}.${MEMORY_FLAG}.-=${key}` : `flags.${MODULE_ID}.-=${MEMORY_FLAG}`;
+        await actor.update({ [path]: null });
+    }
+
+    callPostHook("recallMemoryReset", { actors: cleared, target });
+    return { actors: cleared };
+}
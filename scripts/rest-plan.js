@@ -0,0 +1,221 @@
+/**
+ * PF2e Awesome Macros - Rest Planning
+ * Works out what a rest will do before anything changes, so the rest engine ('full-restore.js') and the
+ * preview grid ('rest-preview.js') agree on it:
+ * - the rest modes and their options, for the targets and for their companions,
+ * - who rests: the targets plus their familiars, companions, eidolons and minions (see getCompanions in 'party.js'),
+ * - each actor's options, after per-actor overrides,
+ * - each actor's plan: new HP, conditions removed or reduced, Hero Points, daily preparations, Treat Wounds and Refocus.
+ */
+
+import { getCompanions } from './party.js';
+import { format, conditionLabel } from './i18n.js';
+
+// Hours of rest that count as a full night's rest
+export const FULL_REST_HOURS = 8;
+
+/**
+ * Rest modes and the recovery options each one offers, in dialog order, with their defaults.
+ * Option labels are localized from "PF2EAM.FullRestore.Options.<mode>.<option>".
+ */
+export const REST_MODES = {
+    night: { heal: true, wounded: true, fatigued: true, drained: true, heroPoints: false, spells: true },
+    short: { treatWounds: true, refocus: true },
+    fiat: { heal: true, wounded: true, fatigued: false, heroPoints: false, spells: false }
+};
+
+// Options that apply to companions and minions, per mode; Hero Points belong to player characters
+export const COMPANION_REST_OPTIONS = {
+    night: ["heal", "wounded", "fatigued", "drained", "spells"],
+    short: ["treatWounds", "refocus"],
+    fiat: ["heal", "wounded", "fatigued", "spells"]
+};
+
+// --- 1. OPTIONS ---
+
+/**
+ * Returns the localized label of a recovery option in a rest mode.
+ * @param {string} mode - 'night', 'short' or 'fiat'.
+ * @param {string} option - Option key (see REST_MODES).
+ * @returns {string} The label.
+ */
+export function restOptionLabel(mode, option) {
+    return format(`FullRestore.Options.${mode}.${option}`, {
+        wounded: conditionLabel("wounded"),
+        fatigued: conditionLabel("fatigued"),
+        drained: conditionLabel("drained"),
+        doomed: conditionLabel("doomed")
+    });
+}
+
+/**
+ * Fills in a rest's options from the mode's defaults. Companions default to the same options, limited to those
+ * that apply to them (see COMPANION_REST_OPTIONS).
+ * @param {string} mode - 'night', 'short' or 'fiat'.
+ * @param {object} [options] - The options given.
+ * @param {object} [companionOptions] - The companion options given.
+ * @returns {{options: object, companionOptions: object}} The complete options.
+ */
+export function resolveRestOptions(mode, options = {}, companionOptions = {}) {
+    options = { ...REST_MODES[mode], ...options };
+    return {
+        options,
+        companionOptions: Object.fromEntries(COMPANION_REST_OPTIONS[mode].map(option => [option, companionOptions?.[option] ?? options[option]]))
+    };
+}
+
+/**
+ * Whether a companion's Hit Points follow its master's through a PF2e Toolbelt "share" link (as eidolons do),
+ * so healing the master already heals it.
+ * @param {Actor} companion - The companion.
+ * @returns {boolean} True if its HP are shared.
+ */
+export function sharesMasterHitPoints(companion) {
+    return !!companion.flags?.["pf2e-toolbelt"]?.share?.master;
+}
+
+/**
+ * Returns the options one actor rests with: the rest's options, or the companion options for a companion,
+ * with the actor's own overrides on top.
+ * @param {Actor} actor - The resting actor.
+ * @param {object} rest
+ * @param {Map<Actor, Actor>} rest.masters - Companions and their masters (see getRestingActors).
+ * @param {object} rest.options - The rest's options.
+ * @param {object} rest.companionOptions - The companions' options.
+ * @param {Object<string, object>} [rest.optionsByActor={}] - Overrides per actor, keyed by actor UUID.
+ * @returns {object} The actor's options.
+ */
+export function getActorRestOptions(actor, { masters, options, companionOptions, optionsByActor = {} }) {
+    const base = masters.has(actor) ? companionOptions : options;
+    const overrides = optionsByActor[actor.uuid] ?? {};
+    const own = Object.fromEntries(Object.keys(base).map(option => [option, overrides[option] ?? base[option]]));
+
+    // A companion sharing its master's HP is healed through the master
+    return masters.has(actor) && sharesMasterHitPoints(actor) ? { ...own, heal: false, treatWounds: false } : own;
+}
+
+/**
+ * Returns the hours one actor sleeps in a night's rest: its own, else its master's, else the rest's.
+ * @param {Actor} actor - The resting actor.
+ * @param {object} rest
+ * @param {Map<Actor, Actor>} rest.masters - Companions and their masters (see getRestingActors).
+ * @param {number} rest.hours - Hours of the rest.
+ * @param {Object<string, number>} [rest.hoursByActor={}] - Hours slept per actor, keyed by actor UUID.
+ * @returns {number} Hours slept.
+ */
+export function getActorRestHours(actor, { masters, hours, hoursByActor = {} }) {
+    return hoursByActor[actor.uuid] ?? hoursByActor[masters.get(actor)?.uuid] ?? hours;
+}
+
+// --- 2. WHO RESTS ---
+
+/**
+ * Lists everyone who rests: the actors, each followed by their companions, familiars, eidolons and minions and
+ * theirs in turn (see getCompanions in 'party.js'). A companion that is itself among the actors still counts as a
+ * companion, so it gets the companion options.
+ * @param {Actor[]} actors - The resting actors.
+ * @param {boolean} [companions=true] - Bring the companions along.
+ * @returns {{everyone: Actor[], masters: Map<Actor, Actor>}} Everyone resting, in report order, and each companion's master.
+ */
+export function getRestingActors(actors, companions = true) {
+    const masters = new Map();
+    if (companions) {
+        const queue = [...actors];
+        for (const master of queue) {
+            for (const companion of getCompanions(master)) {
+                const resting = actors.find(a => a.id === companion.id) ?? companion;
+                if (masters.has(resting)) continue;
+                masters.set(resting, master);
+                queue.push(resting);
+            }
+        }
+    }
+
+    const withCompanions = (actor) => [actor, ...[...masters].filter(([, master]) => master === actor).flatMap(([companion]) => withCompanions(companion))];
+    return { everyone: actors.filter(actor => !masters.has(actor)).flatMap(withCompanions), masters };
+}
+
+/**
+ * The report name of a companion, e.g. "Whiskers (Ezren's companion)".
+ * @param {Actor} companion - The companion.
+ * @param {Actor} master - Its master.
+ * @returns {string} The name.
+ */
+export function companionName(companion, master) {
+    return format("FullRestore.Chat.Companion", { name: companion.name, master: master.name });
+}
+
+// --- 3. ACTOR PLANS ---
+
+/**
+ * HP regained from a night's rest: Constitution modifier (at least 1) × level, times the actor's rest
+ * recovery multiplier. Feats such as Fast Recovery raise the multiplier through the PF2e system's rule elements.
+ * @param {Actor} actor - The resting actor.
+ * @returns {number} The HP regained, before capping at max HP.
+ */
+export function getRestHealing(actor) {
+    const hp = actor.system.attributes.hp;
+    const conMod = Math.max(actor.system.abilities?.con?.mod ?? 0, 1);
+    const multiplier = hp.recoveryMultiplier
+        ?? (actor.itemTypes.feat.some(feat => feat.slug === "fast-recovery") ? 2 : 1);
+    return conMod * Math.max(actor.level, 1) * multiplier + (hp.recoveryAddend ?? 0);
+}
+
+/**
+ * Works out what a rest does to one actor, without changing anything.
+ * - Rest for the Night follows the PF2e rules for an 8-hour rest. A shorter rest (e.g. an interrupted one, see
+ *   'rest-planner.js') heals for each full hour slept, in proportion, and nothing else: Fatigued, Drained, Doomed
+ *   and the daily preparations need the full 8 hours. Wounded ends only for actors back at full HP.
+ * - GM Fiat heals to full and removes Wounded and Fatigued outright.
+ * - The 10-minute rest's Treat Wounds is rolled when it's applied (see 'short-rest.js'), so its plan only says
+ *   who would be treated and who would Refocus.
+ * @param {Actor} actor - The resting actor.
+ * @param {string} mode - 'night', 'short' or 'fiat'.
+ * @param {object} options - The actor's options (see getActorRestOptions).
+ * @param {number} [hours=8] - 'night' mode: hours slept.
+ * @returns {{options: object, partial: number|null, hp: number|null, remove: string[],
+ * reduce: {slug: string, from: number, to: number}[], heroPoints: boolean, spells: boolean, treatWounds: boolean,
+ * refocus: boolean}} The options this rest allows, the hours of a partial night's rest, the new HP, the conditions
+ * removed and reduced by 1, and whether Hero Points reset, the daily preparations run, Treat Wounds is rolled and
+ * the actor Refocuses.
+ */
+export function planActorRest(actor, mode, options, hours = FULL_REST_HOURS) {
+    const { value: currentHP, max: maxHP } = actor.system.attributes.hp;
+    const plan = { options, partial: null, hp: null, remove: [], reduce: [], heroPoints: false, spells: false, treatWounds: false, refocus: false };
+
+    if (mode === "short") {
+        const focus = actor.system.resources?.focus;
+        plan.treatWounds = !!options.treatWounds && currentHP < maxHP;
+        plan.refocus = !!options.refocus && !!focus && focus.value < focus.max;
+        return plan;
+    }
+
+    if (mode === "night" && hours < FULL_REST_HOURS) {
+        plan.partial = hours;
+        plan.options = options = { ...options, fatigued: false, drained: false, spells: false };
+    }
+
+    // --- Healing: rest healing for each full hour slept, or straight to full HP by fiat ---
+    const healing = mode === "night"
+        ? Math.floor(getRestHealing(actor) * Math.min(Math.floor(hours), FULL_REST_HOURS) / FULL_REST_HOURS)
+        : maxHP - currentHP;
+    if (options.heal && currentHP < maxHP && healing > 0) plan.hp = Math.min(currentHP + healing, maxHP);
+
+    // --- Wounded and Fatigued; by the rules Wounded ends only at full HP ---
+    if (options.wounded && actor.hasCondition("wounded") && (mode === "fiat" || (plan.hp ?? currentHP) >= maxHP)) {
+        plan.remove.push("wounded");
+    }
+    if (options.fatigued && actor.hasCondition("fatigued")) plan.remove.push("fatigued");
+
+    // --- Drained and Doomed drop by 1 ---
+    if (mode === "night" && options.drained) {
+        for (const slug of ["drained", "doomed"]) {
+            const value = actor.getCondition(slug)?.value;
+            if (value) plan.reduce.push({ slug, from: value, to: value - 1 });
+        }
+    }
+
+    plan.heroPoints = !!options.heroPoints && actor.type === "character" && actor.system.resources.heroPoints.value !== 1;
+    plan.spells = !!options.spells;
+    return plan;
+}
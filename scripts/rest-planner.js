@@ -0,0 +1,269 @@
+/**
+ * PF2e Awesome Macros - Overnight Rest Planner
+ * Plans a night's rest around the party's watches:
+ * - the night is split into equal watches, each stood by one party member (or nobody),
+ * - every watch rolls a d20 interruption flat check; a result of the Rest Interruption DC setting or higher
+ *   interrupts the rest halfway through that watch and the remaining watches never happen,
+ * - world time advances by the time actually rested,
+ * - everyone then rests for the night (see 'full-restore.js' and 'rest-plan.js') for the hours they slept; standing watch is not sleep,
+ *   so a shorter rest only heals in proportion and skips the daily preparations,
+ * - a journal entry records the watches, the checks and what each character recovered.
+ */
+
+import { MODULE_ID, getSetting } from './settings.js';
+import { resolveTargets } from './party.js';
+import { restoreActors } from './full-restore.js';
+import { FULL_REST_HOURS } from './rest-plan.js';
+import { callPreHook, callPostHook } from './hooks.js';
+import { localize, format, escape } from './i18n.js';
+
+export const REST_PLANNER_MACRO_NAME = "Overnight Rest Planner";
+export const REST_PLANNER_MACRO_ICON = "icons/svg/sleep.svg";
+
+// --- 1. HELPER FUNCTIONS ---
+
+/**
+ * Formats a number of hours as "h:mm".
+ * @param {number} hours - The hours.
+ * @returns {string} The formatted time.
+ */
+function formatHours(hours) {
+    const minutes = Math.round(hours * 60);
+    return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+/**
+ * The length of a night in which everyone still sleeps 8 hours when each watcher stands one of the watches:
+ * 8 × watches / (watches − 1), rounded up to 10 minutes. A single watch (or none) leaves the night at 8 hours.
+ * @param {number} watchCount - Number of watches.
+ * @returns {number} The rest length in hours.
+ */
+export function getDefaultRestHours(watchCount) {
+    if (watchCount < 2) return FULL_REST_HOURS;
+    return Math.ceil(FULL_REST_HOURS * watchCount / (watchCount - 1) * 6) / 6;
+}
+
+/**
+ * Hours an actor slept: the time rested minus the watches they stood within it.
+ * @param {Actor} actor - The actor.
+ * @param {object[]} watches - The watches ({ watcher, start, end }).
+ * @param {number} restedHours - Hours until the rest ended.
+ * @returns {number} Hours slept.
+ */
+function hoursSlept(actor, watches, restedHours) {
+    const onWatch = watches
+        .filter(watch => watch.watcher === actor)
+        .reduce((sum, watch) => sum + Math.max(Math.min(watch.end, restedHours) - watch.start, 0), 0);
+    return restedHours - onWatch;
+}
+
+// --- 2. OVERNIGHT REST ---
+
+/**
+ * Plays out a night's rest. Dialog-free, so it also backs the scripting API.
+ * @param {object} [params]
+ * @param {Actor[]} [params.actors] - Actors resting; defaults to the resolved targets (see 'party.js').
+ * @param {(Actor|null)[]} [params.watchers] - Who stands each watch, in order; null for an unwatched watch.
+ * Defaults to one watch per character.
+ * @param {number} [params.hours] - Length of the rest in hours; defaults to getDefaultRestHours().
+ * @param {number} [params.interruptionDC] - d20 result that interrupts a watch; defaults to the Rest Interruption DC setting.
+ * @param {object} [params.options] - Rest for the Night options (see REST_MODES in 'full-restore.js').
+ * @param {boolean} [params.chat=true] - Post the rest report to chat.
+ * @returns {Promise<object|null>} { watches: [{ index, watcher, start, end, roll, interrupted, held }], interrupted,
+ * restedHours, hoursByActor, rest, journal }, where rest is the restoreActors() result; or null if a pre-hook cancelled it.
+ */
+export async function planOvernightRest({ actors, watchers, hours, interruptionDC, options = {}, chat = true } = {}) {
+    actors ??= resolveTargets({ targeted: true }).actors;
+    watchers ??= actors.filter(a => a.type === "character");
+    hours ??= getDefaultRestHours(watchers.length);
+    interruptionDC ??= getSetting("restInterruptionDC");
+
+    // Let other modules adjust or cancel the rest (see 'hooks.js')
+    const params = { actors, watchers, hours, interruptionDC, options };
+    if (!callPreHook("preOvernightRest", params)) return null;
+    ({ actors, watchers, hours, interruptionDC, options } = params);
+
+    hours = Number(hours);
+    if (!Number.isFinite(hours) || hours <= 0) {
+        throw new Error("PF2e Awesome Macros | planOvernightRest: hours must be a positive number.");
+    }
+
+    // --- Watches and interruption checks, until one is interrupted ---
+    const watchCount = Math.max(watchers.length, 1);
+    const watchLength = hours / watchCount;
+    const watches = [];
+    let interrupted = null;
+
+    for (let index = 0; index < watchCount; index++) {
+        const watch = { index: index + 1, watcher: watchers[index] ?? null, start: index * watchLength, end: (index + 1) * watchLength, roll: null, interrupted: false, held: !interrupted };
+        if (watch.held) {
+            const roll = await new Roll("1d20").evaluate();
+            watch.roll = roll.total;
+            watch.interrupted = roll.total >= interruptionDC;
+            if (watch.interrupted) interrupted = watch;
+        }
+        watches.push(watch);
+    }
+
+    // The rest ends halfway through an interrupted watch
+    const restedHours = interrupted ? (interrupted.start + interrupted.end) / 2 : hours;
+    const hoursByActor = Object.fromEntries(actors.map(actor => [actor.uuid, hoursSlept(actor, watches, restedHours)]));
+
+    const rest = await restoreActors({ actors, mode: "night", options, hours: restedHours, hoursByActor, chat });
+    if (!rest) return null;
+
+    await game.time.advance(Math.round(restedHours * 3600));
+    const journal = await createRestJournal({ watches, interrupted, interruptionDC, hours, restedHours, hoursByActor, actors, rest });
+
+    const result = { watches, interrupted: !!interrupted, restedHours, hoursByActor, rest, journal };
+    callPostHook("overnightRestCompleted", { actors, hours, interruptionDC, ...result });
+
+    if (interrupted) {
+        ui.notifications.warn(format("RestPlanner.Interrupted", { watch: interrupted.index, hours: formatHours(restedHours) }));
+    } else {
+        ui.notifications.info(format("RestPlanner.Completed", { hours: formatHours(restedHours) }));
+    }
+    return result;
+}
+
+/**
+ * Records the night in a journal entry.
+ * @returns {Promise<JournalEntry>} The created entry.
+ */
+async function createRestJournal({ watches, interrupted, interruptionDC, hours, restedHours, hoursByActor, actors, rest }) {
+    const name = format("RestPlanner.Journal.Name", { date: new Date().toLocaleString() });
+
+    const watchRows = watches.map(watch => `
+        <tr>
+            <td>${format("RestPlanner.Watch", { index: watch.index })}</td>
+            <td>${formatHours(watch.start)}–${formatHours(watch.end)}</td>
+            <td>${escape(watch.watcher?.name ?? "—")}</td>
+            <td>${watch.held ? watch.roll : "—"}</td>
+            <td>${localize(watch.interrupted ? "RestPlanner.Journal.Interrupted" : watch.held ? "RestPlanner.Journal.Quiet" : "RestPlanner.Journal.NotHeld")}</td>
+        </tr>`).join("");
+
+    // Companions rested along with their masters (see restoreActors) sleep as long as they do
+    const changesByActor = new Map(rest.results.map(r => [r.actor, r]));
+    const companions = rest.results.filter(r => r.master && !actors.includes(r.actor));
+    const actorRows = [...actors.map(actor => changesByActor.get(actor) ?? { actor }), ...companions].map(result => {
+        const { actor, master } = result;
+        const name = master ? format("FullRestore.Chat.Companion", { name: actor.name, master: master.name }) : actor.name;
+        const slept = hoursByActor[actor.uuid] ?? hoursByActor[master?.uuid] ?? restedHours;
+        const lines = [...(result.changes ?? []), ...(result.expired?.length ? [format("FullRestore.Chat.Expired", { items: result.expired.join(", ") })] : [])];
+        return `<li><strong>${escape(name)}</strong> (${format("RestPlanner.Journal.Slept", { hours: formatHours(slept) })}): ${escape(lines.join(", ") || "—")}</li>`;
+    }).join("");
+
+    const summary = interrupted
+        ? format("RestPlanner.Journal.SummaryInterrupted", { watch: interrupted.index, hours: formatHours(restedHours), planned: formatHours(hours) })
+        : format("RestPlanner.Journal.Summary", { hours: formatHours(restedHours) });
+
+    const content = `
+        <p>${summary}</p>
+        <p>${format("RestPlanner.Journal.CheckRule", { dc: interruptionDC })}</p>
+        <table>
+            <thead>
+                <tr>
+                    <th>${localize("RestPlanner.Journal.Columns.Watch")}</th>
+                    <th>${localize("RestPlanner.Journal.Columns.Time")}</th>
+                    <th>${localize("RestPlanner.Journal.Columns.Watcher")}</th>
+                    <th>${localize("RestPlanner.Journal.Columns.Roll")}</th>
+                    <th>${localize("RestPlanner.Journal.Columns.Result")}</th>
+                </tr>
+            </thead>
+            <tbody>${watchRows}</tbody>
+        </table>
+        <h2>${localize("RestPlanner.Journal.Recovery")}</h2>
+        <ul>${actorRows}</ul>
+    `;
+
+    return JournalEntry.create({
+        name,
+        pages: [{ name, type: "text", text: { content } }],
+        flags: { [MODULE_ID]: { restLog: true } }
+    });
+}
+
+// --- 3. DIALOG ---
+
+/**
+ * Opens the rest planner for the current targets. This is the function that the "Overnight Rest Planner" macro calls.
+ */
+export function openRestPlanner() {
+    if (!game.user.isGM) {
+        ui.notifications.warn(localize("RestPlanner.GMOnly"));
+        return;
+    }
+
+    const { actors, label } = resolveTargets({ targeted: true });
+    if (actors.length === 0) {
+        ui.notifications.error(localize("Common.NoTargets"));
+        return;
+    }
+
+    // Watches default to one per character, in order
+    const characters = actors.filter(a => a.type === "character");
+    const watchRow = (index, selected) => `
+        <div class="form-group">
+            <label>${format("RestPlanner.Watch", { index: index + 1 })}</label>
+            <select name="watcher" data-index="${index}">
+                <option value="">—</option>
+                ${actors.map(a => `<option value="${a.uuid}" ${a === selected ? "selected" : ""}>${escape(a.name)}</option>`).join("")}
+            </select>
+        </div>`;
+
+    const content = `
+    <form>
+        <div class="form-group">
+            <label>${localize("Common.Targets")}</label>
+            <div>${label}</div>
+        </div>
+        <div class="form-group">
+            <label for="watchCount">${localize("RestPlanner.Dialog.Watches")}</label>
+            <input type="number" id="watchCount" name="watchCount" value="${Math.max(characters.length, 1)}" min="1" max="12" step="1">
+        </div>
+        <div class="form-group">
+            <label for="restHours">${localize("RestPlanner.Dialog.Hours")}</label>
+            <input type="number" id="restHours" name="restHours" value="${getDefaultRestHours(characters.length).toFixed(2)}" min="1" step="0.25">
+        </div>
+        <div class="form-group">
+            <label for="interruptionDC">${localize("RestPlanner.Dialog.InterruptionDC")}</label>
+            <input type="number" id="interruptionDC" name="interruptionDC" value="${getSetting("restInterruptionDC")}" min="1" max="21" step="1">
+        </div>
+        <p class="notes">${localize("RestPlanner.Dialog.Hint")}</p>
+        <div id="watchRows">${Array.from({ length: Math.max(characters.length, 1) }, (_, i) => watchRow(i, characters[i])).join("")}</div>
+    </form>
+    `;
+
+    new Dialog({
+        title: localize("RestPlanner.Title"),
+        content: content,
+        buttons: {
+            rest: {
+                icon: "<i class='fas fa-moon'></i>",
+                label: localize("RestPlanner.Dialog.Rest"),
+                callback: async (html) => {
+                    const watchers = html.find('[name="watcher"]').toArray().map(select => actors.find(a => a.uuid === select.value) ?? null);
+                    await planOvernightRest({
+                        actors,
+                        watchers,
+                        hours: parseFloat(html.find('[name="restHours"]').val()),
+                        interruptionDC: parseInt(html.find('[name="interruptionDC"]').val(), 10) || getSetting("restInterruptionDC")
+                    });
+                }
+            },
+            cancel: {
+                icon: "<i class='fas fa-times'></i>",
+                label: localize("Common.Cancel")
+            }
+        },
+        default: "rest",
+        render: (html) => {
+            // Changing the number of watches rebuilds the rows and the matching rest length
+            html.find('[name="watchCount"]').on('change', (event) => {
+                const count = Math.clamp(parseInt(event.currentTarget.value, 10) || 1, 1, 12);
+                html.find('#watchRows').html(Array.from({ length: count }, (_, i) => watchRow(i, characters[i % characters.length])).join(""));
+                html.find('[name="restHours"]').val(getDefaultRestHours(count).toFixed(2));
+            });
+        }
+    }, { width: 420 }).render(true);
+}
@@ -0,0 +1,274 @@
+/**
+ * PF2e Awesome Macros - Rest Preview
+ * Shows what a Full Restore rest will do before anything changes (see 'full-restore.js'):
+ * - one row per resting actor, companions included, with HP, the conditions a rest changes, Hero Points,
+ *   Focus Points and spell slots now and after the rest (see planActorRest in 'rest-plan.js'),
+ * - a checkbox per actor and option, so the GM can leave single actors or single recoveries out,
+ * - Apply rests everyone with their own options in one operation, with one chat report and Undo button.
+ * Treat Wounds is rolled when the rest is applied, so the preview only shows who the medic would treat.
+ */
+
+import {
+    REST_MODES, FULL_REST_HOURS, restOptionLabel, resolveRestOptions, getRestingActors, getActorRestOptions,
+    getActorRestHours, companionName, planActorRest
+} from './rest-plan.js';
+import { getSpellSlotTotals } from './daily-preparations.js';
+import { getTreatWoundsImmunity } from './short-rest.js';
+import { localize, format, conditionLabel, escape } from './i18n.js';
+
+// Conditions a rest can change, in display order
+const REST_CONDITIONS = ["wounded", "fatigued", "drained", "doomed"];
+
+// --- 1. HELPER FUNCTIONS ---
+
+/**
+ * Reads the values the preview compares: HP, rest conditions, Hero Points, Focus Points and spell slots.
+ * @param {Actor} actor - The actor.
+ * @returns {{hp: object, conditions: Object<string, number|null>, heroPoints: number|null, focus: object|null,
+ * slots: object}} The values; conditions map each slug the actor has to its value (null if it has none).
+ */
+function readRestState(actor) {
+    const conditions = {};
+    for (const slug of REST_CONDITIONS) {
+        if (actor.hasCondition(slug)) conditions[slug] = actor.getCondition(slug)?.value ?? null;
+    }
+    const focus = actor.system.resources?.focus;
+    return {
+        hp: { value: actor.system.attributes.hp.value, max: actor.system.attributes.hp.max },
+        conditions,
+        heroPoints: actor.type === "character" ? actor.system.resources.heroPoints.value : null,
+        focus: focus?.max > 0 ? { value: focus.value, max: focus.max } : null,
+        slots: getSpellSlotTotals(actor)
+    };
+}
+
+/**
+ * Works out the values after the rest from an actor's plan.
+ * @param {object} state - The values now (see readRestState).
+ * @param {object} plan - The actor's plan (see planActorRest in 'rest-plan.js').
+ * @returns {object} The values after the rest.
+ */
+function predictRestState(state, plan) {
+    const conditions = { ...state.conditions };
+    for (const slug of plan.remove) delete conditions[slug];
+    for (const { slug, to } of plan.reduce) {
+        if (to > 0) conditions[slug] = to;
+        else delete conditions[slug];
+    }
+
+    let focus = state.focus;
+    if (focus && plan.spells) focus = { ...focus, value: focus.max };
+    else if (focus && plan.refocus) focus = { ...focus, value: Math.min(focus.value + 1, focus.max) };
+
+    return {
+        hp: { ...state.hp, value: plan.hp ?? state.hp.value },
+        conditions,
+        heroPoints: plan.heroPoints ? 1 : state.heroPoints,
+        focus,
+        slots: plan.spells ? { ...state.slots, value: state.slots.max } : state.slots
+    };
+}
+
+/**
+ * Formats "value / max", or a dash when there is no max.
+ */
+function formatPool(pool) {
+    return pool?.max > 0 ? `${pool.value} / ${pool.max}` : "—";
+}
+
+/**
+ * Formats conditions as e.g. "Wounded 1, Fatigued", or a dash.
+ */
+function formatConditions(conditions) {
+    const labels = Object.entries(conditions).map(([slug, value]) => value ? `${conditionLabel(slug)} ${value}` : conditionLabel(slug));
+    return labels.length > 0 ? labels.join(", ") : "—";
+}
+
+/**
+ * The short column header of an option; the condition options use the PF2e system's condition names.
+ */
+function optionHeader(option) {
+    if (option === "drained") return `${conditionLabel("drained")}/${conditionLabel("doomed")}`;
+    if (option === "wounded" || option === "fatigued") return conditionLabel(option);
+    return localize(`FullRestore.Preview.Options.${option}`);
+}
+
+/**
+ * Builds a "now → after" cell; unchanged values are shown once.
+ */
+function compareCell(before, after) {
+    if (before === after) return `<td>${escape(before)}</td>`;
+    return `<td class="changed">${escape(before)} &rarr; <strong>${escape(after)}</strong></td>`;
+}
+
+// --- 2. PREVIEW WINDOW ---
+
+const { ApplicationV2 } = foundry.applications.api;
+
+/**
+ * A grid of the resting actors before and after the rest, with a checkbox per actor and option.
+ */
+class RestPreview extends ApplicationV2 {
+    static DEFAULT_OPTIONS = {
+        id: "pf2e-awesome-macros-rest-preview",
+        classes: ["pf2e-awesome-rest-preview"],
+        window: {
+            title: "PF2EAM.FullRestore.Preview.Title",
+            icon: "fas fa-bed",
+            resizable: true
+        },
+        position: { width: 820, height: "auto" },
+        actions: {
+            toggleOption: RestPreview.#onToggleOption,
+            apply: RestPreview.#onApply,
+            cancel: RestPreview.#onCancel
+        }
+    };
+
+    /**
+     * @param {object} rest - The restoreActors() parameters (see 'full-restore.js').
+     * @param {Function} apply - Runs the rest: restoreActors().
+     */
+    constructor(rest, apply) {
+        super();
+        this.rest = { hours: FULL_REST_HOURS, hoursByActor: {}, companions: true, ...rest, ...resolveRestOptions(rest.mode, rest.options, rest.companionOptions) };
+        this.apply = apply;
+
+        const { everyone, masters } = getRestingActors(this.rest.actors, this.rest.companions);
+        this.actors = everyone.filter(actor => !actor.hasCondition("dead"));
+        this.masters = masters;
+
+        // The checkbox grid: options per actor UUID
+        this.optionsByActor = Object.fromEntries(this.actors.map(actor => [actor.uuid, this.#baseOptions(actor)]));
+    }
+
+    /**
+     * The options an actor rests with before any checkbox is changed.
+     */
+    #baseOptions(actor) {
+        return getActorRestOptions(actor, { ...this.rest, masters: this.masters });
+    }
+
+    /**
+     * Plans an actor's rest with the options currently checked.
+     */
+    #plan(actor, options = this.optionsByActor[actor.uuid]) {
+        const { mode, hours, hoursByActor } = this.rest;
+        const own = getActorRestOptions(actor, { ...this.rest, masters: this.masters, optionsByActor: { [actor.uuid]: options } });
+        return planActorRest(actor, mode, own, getActorRestHours(actor, { masters: this.masters, hours, hoursByActor }));
+    }
+
+    /**
+     * Whether an option can't apply to an actor, e.g. Hero Points for a companion or the daily preparations
+     * after a partial night's rest.
+     */
+    #isLocked(actor, option) {
+        if (!(option in this.#baseOptions(actor))) return true;
+        return !this.#plan(actor, { ...this.optionsByActor[actor.uuid], [option]: true }).options[option];
+    }
+
+    /** @override */
+    async _renderHTML() {
+        const { mode, medic } = this.rest;
+        const options = Object.keys(REST_MODES[mode]);
+        if (this.actors.length === 0) return `<p class="notes">${localize("FullRestore.NothingToRestore")}</p>`;
+
+        const rows = this.actors.map(actor => {
+            const master = this.masters.get(actor);
+            const plan = this.#plan(actor);
+            const before = readRestState(actor);
+            const after = predictRestState(before, plan);
+
+            // Treat Wounds is rolled on apply; the preview can only say whether the medic would treat the actor
+            let hpAfter = formatPool(after.hp);
+            if (plan.treatWounds && medic) {
+                const immune = getTreatWoundsImmunity(actor, medic);
+                hpAfter = immune > 0
+                    ? format("FullRestore.Short.Immune", { medic: medic.name, minutes: immune })
+                    : localize("FullRestore.Preview.TreatWounds");
+            }
+
+            const cells = options.map(option => {
+                if (this.#isLocked(actor, option)) return `<td class="option">—</td>`;
+                const checked = this.optionsByActor[actor.uuid][option] ? "checked" : "";
+                return `<td class="option"><input type="checkbox" data-action="toggleOption" data-uuid="${actor.uuid}" data-option="${option}" ${checked}></td>`;
+            }).join("");
+
+            return `
+                <tr>
+                    <th>${escape(master ? companionName(actor, master) : actor.name)}${plan.partial !== null
+                        ? `<br><em>${format("FullRestore.Night.Partial", { hours: Math.floor(plan.partial * 10) / 10 })}</em>` : ""}</th>
+                    ${compareCell(formatPool(before.hp), hpAfter)}
+                    ${compareCell(formatConditions(before.conditions), formatConditions(after.conditions))}
+                    ${compareCell(before.heroPoints ?? "—", after.heroPoints ?? "—")}
+                    ${compareCell(formatPool(before.focus), formatPool(after.focus))}
+                    ${compareCell(formatPool(before.slots), formatPool(after.slots))}
+                    ${cells}
+                </tr>`;
+        }).join("");
+
+        return `
+            <p class="notes">${format("FullRestore.Preview.Hint", { mode: localize(`FullRestore.Modes.${mode}`) })}</p>
+            <table class="pf2e-awesome-rest-preview-table">
+                <thead>
+                    <tr>
+                        <th>${localize("FullRestore.Preview.Columns.Actor")}</th>
+                        <th>${localize("FullRestore.Preview.Columns.HP")}</th>
+                        <th>${localize("FullRestore.Preview.Columns.Conditions")}</th>
+                        <th>${localize("FullRestore.Preview.Columns.HeroPoints")}</th>
+                        <th>${localize("FullRestore.Preview.Columns.Focus")}</th>
+                        <th>${localize("FullRestore.Preview.Columns.Slots")}</th>
+                        ${options.map(option => `<th class="option" data-tooltip="${escape(restOptionLabel(mode, option))}">${escape(optionHeader(option))}</th>`).join("")}
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <footer class="pf2e-awesome-rest-preview-buttons">
+                <button type="button" data-action="apply"><i class="fas fa-bed"></i> ${localize("FullRestore.Preview.Apply")}</button>
+                <button type="button" data-action="cancel"><i class="fas fa-times"></i> ${localize("Common.Cancel")}</button>
+            </footer>
+        `;
+    }
+
+    /** @override */
+    _replaceHTML(result, content) {
+        content.innerHTML = result;
+    }
+
+    /**
+     * Checks or unchecks one option for one actor and updates the "after" values.
+     */
+    static #onToggleOption(event, target) {
+        const { uuid, option } = target.dataset;
+        this.optionsByActor[uuid][option] = target.checked;
+        this.render();
+    }
+
+    /**
+     * Applies the rest with each actor's checked options.
+     */
+    static async #onApply() {
+        await this.close();
+        await this.apply({ ...this.rest, optionsByActor: this.optionsByActor });
+    }
+
+    /**
+     * Closes the preview without resting.
+     */
+    static #onCancel() {
+        this.close();
+    }
+}
+
+/**
+ * Opens the rest preview. Called by the Full Restore dialog's Preview button.
+ * @param {object} rest - The restoreActors() parameters: { actors, mode, options, companions, companionOptions,
+ * medic, dc, hours, hoursByActor }.
+ * @param {Function} apply - Runs the rest with the checked options: restoreActors() (see 'full-restore.js').
+ * @returns {Promise<void>}
+ */
+export async function openRestPreview(rest, apply) {
+    if (typeof rest.medic === "string") rest = { ...rest, medic: await fromUuid(rest.medic) };
+    foundry.applications.instances.get(RestPreview.DEFAULT_OPTIONS.id)?.close();
+    new RestPreview(rest, apply).render(true);
+}
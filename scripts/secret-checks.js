@@ -0,0 +1,91 @@
+/**
+ * PF2e Awesome Macros - Secret Checks
+ * The machinery behind the module's secret group checks (Quick Recall Knowledge, Identify Item and Secret Group
+ * Check): each character's check is rolled blind through the PF2e system, and the results are gathered into one
+ * report whispered to the GMs, who decide what each player gets to know.
+ */
+
+import { createChatCard } from './chat-cards.js';
+import { localize, format } from './i18n.js';
+
+// PF2e degrees of success, indexed by the system's degreeOfSuccess (0 = critical failure); shared by every tool that reads one
+export const DEGREES = ["criticalFailure", "failure", "success", "criticalSuccess"];
+
+// --- 1. ROLLING ---
+
+/**
+ * Rolls one character's check through the PF2e system, so roll options, modifiers against the target, Assurance,
+ * fortune and misfortune effects and the natural 1 and 20 all apply. The roll is secret and creates no chat message.
+ * @param {Actor} actor - The character.
+ * @param {string} slug - Statistic slug: a skill (e.g. 'stealth'), 'perception' or a save ('fortitude', 'reflex', 'will').
+ * @param {object} options
+ * @param {number} options.dc - The DC.
+ * @param {Actor|null} [options.target=null] - The creature or hazard the check is against.
+ * @param {string[]} [options.traits=[]] - The action's traits; 'secret' is always added.
+ * @param {string[]} [options.rollOptions=[]] - Extra roll options, e.g. 'action:seek'.
+ * @returns {Promise<Rolled<CheckRoll>|null>} The roll, or null if the actor has no such statistic.
+ */
+export async function rollSecretCheck(actor, slug, { dc, target = null, traits = [], rollOptions = [] }) {
+    const statistic = actor.getStatistic(slug);
+    if (!statistic) return null;
+    return statistic.roll({
+        dc: { value: dc },
+        target,
+        traits: [...new Set(["secret", ...traits])],
+        extraRollOptions: rollOptions,
+        rollMode: CONST.DICE_ROLL_MODES.BLIND,
+        skipDialog: true,
+        createMessage: false
+    });
+}
+
+/**
+ * Reads the parts of a roll the reports show.
+ * @param {Rolled<CheckRoll>} roll - A roll from rollSecretCheck.
+ * @returns {{total: number, d20: number|null, degree: string}} The total, the d20 and the degree of success key.
+ */
+export function readSecretRoll(roll) {
+    return {
+        total: roll.total,
+        d20: roll.dice[0]?.total ?? null,
+        degree: DEGREES[roll.degreeOfSuccess]
+    };
+}
+
+// --- 2. REPORT ---
+
+/**
+ * Prepares the row of a secret check report that every card shares: who rolled what, and how well.
+ * @param {{actorUuid: string, actorName: string, skillLabel: string, dc: number, total: number, d20: number|null,
+ * degree: string}} result - One character's result.
+ * @param {number|null} dc - The card's DC; a row with another DC shows its own.
+ * @returns {object} The row's template data.
+ */
+export function secretCheckRow(result, dc) {
+    return {
+        actorUuid: result.actorUuid,
+        actorName: result.actorName,
+        skillLabel: result.skillLabel,
+        dcLabel: result.dc !== dc ? format("Recall.Chat.RowDC", { dc: result.dc }) : "",
+        total: result.total,
+        breakdown: result.d20 !== null ? `${result.d20} + ${result.total - result.d20}` : `${result.total}`,
+        degree: result.degree,
+        degreeLabel: localize(`Recall.Degree.${result.degree}`)
+    };
+}
+
+/**
+ * Whispers a secret check report to all GMs only.
+ * @param {string} card - Key of CARD_TEMPLATES in 'chat-cards.js'.
+ * @param {object} data - Template data.
+ * @param {object} [options] - createChatCard options (rerun, flags, ...).
+ * @returns {Promise<ChatMessage>} The created message.
+ */
+export async function whisperToGMs(card, data, options = {}) {
+    return createChatCard(card, data, {
+        speaker: ChatMessage.getSpeaker({ actor: null }),
+        whisper: game.users.filter(u => u.isGM).map(u => u.id),
+        blind: true,
+        ...options
+    });
+}
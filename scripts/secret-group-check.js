@@ -0,0 +1,321 @@
+/**
+ * PF2e Awesome Macros - Secret Group Check
+ * Any secret check for the whole group: Perception to Seek or Sense Motive, Stealth to Avoid Notice, a save against
+ * a hidden effect and so on. The characters roll in secret (see 'secret-checks.js') against one DC, or against each
+ * targeted creature's DC (e.g. their Stealth DC for a Seek), once per target. The GM gets the aggregated degrees of
+ * success and sends each player a generic outcome text that doesn't give the degree away
+ * (see sendOutcome in 'chat-cards.js').
+ */
+
+import { resolveTargets, describeTargetSource, getAveragePartyLevel } from './party.js';
+import { callPreHook, callPostHook } from './hooks.js';
+import { rollSecretCheck, readSecretRoll, secretCheckRow, whisperToGMs } from './secret-checks.js';
+import { getLevelBasedDC } from './identification.js';
+import { localize, format, statisticLabel, escape } from './i18n.js';
+
+export const SECRET_GROUP_CHECK_MACRO_NAME = "Secret Group Check";
+export const SECRET_GROUP_CHECK_MACRO_ICON = "icons/svg/dice-target.svg";
+
+const SAVES = ["fortitude", "reflex", "will"];
+
+// Generic outcome texts the GM can send to a player (keys of SecretCheck.Outcomes), in menu order
+export const SECRET_CHECK_OUTCOMES = ["noticed", "nothing", "uneasy", "unseen", "confident", "unsure"];
+
+// The outcome preselected for each degree of success. A character who hides or lies can't tell whether it worked.
+const DEFAULT_OUTCOMES = {
+    default: { criticalSuccess: "noticed", success: "noticed", failure: "nothing", criticalFailure: "nothing" },
+    save: { criticalSuccess: "uneasy", success: "uneasy", failure: "nothing", criticalFailure: "nothing" },
+    stealth: { criticalSuccess: "unseen", success: "unseen", failure: "unseen", criticalFailure: "unseen" },
+    deception: { criticalSuccess: "confident", success: "confident", failure: "confident", criticalFailure: "confident" }
+};
+
+// The statistic whose DC a check is usually rolled against, to preselect the dialog's target DCs
+const OPPOSED_STATISTICS = {
+    perception: "stealth",
+    stealth: "perception",
+    deception: "perception",
+    thievery: "perception"
+};
+
+// --- 1. CHECKS AND TARGETS ---
+
+/**
+ * Returns the statistics a secret group check can use: Perception, the saves and the skills.
+ * @returns {{group: string, slug: string, label: string}[]} The statistics, skills sorted by label.
+ */
+function getCheckStatistics() {
+    const skills = Object.keys(CONFIG.PF2E?.skills ?? {})
+        .map(slug => ({ group: "Skills", slug, label: statisticLabel(slug) }))
+        .sort((a, b) => a.label.localeCompare(b.label, game.i18n.lang));
+    return [
+        { group: "Perception", slug: "perception", label: statisticLabel("perception") },
+        ...SAVES.map(slug => ({ group: "Saves", slug, label: statisticLabel(slug) })),
+        ...skills
+    ];
+}
+
+/**
+ * Returns the creatures or hazards a check is against, as actors.
+ * @param {Iterable<Actor|Token|TokenDocument|string>} [targets=[]] - Actors, tokens or UUIDs.
+ * @returns {Actor[]} The actors.
+ */
+function resolveCheckTargets(targets = []) {
+    return Array.from(targets)
+        .map(target => (typeof target === "string" ? fromUuidSync(target) : target))
+        .map(target => (target instanceof Actor ? target : target?.actor ?? null))
+        .filter(actor => actor);
+}
+
+/**
+ * Returns a creature's or hazard's DC for a statistic, e.g. its Stealth DC.
+ * @param {Actor} target - The creature or hazard.
+ * @param {string} slug - Statistic slug.
+ * @returns {number|null} The DC, or null if it has no such statistic.
+ */
+export function getTargetDC(target, slug) {
+    return target.getStatistic(slug)?.dc?.value ?? null;
+}
+
+/**
+ * Returns the outcome text preselected for a result.
+ */
+function defaultOutcome(statistic, degree) {
+    const outcomes = DEFAULT_OUTCOMES[SAVES.includes(statistic) ? "save" : statistic] ?? DEFAULT_OUTCOMES.default;
+    return outcomes[degree];
+}
+
+// --- 2. ROLLING ---
+
+/**
+ * Rolls a secret check for several characters without any dialog. Used by the dialog and the scripting API.
+ * @param {object} params
+ * @param {Actor[]} [params.actors] - Characters rolling; defaults to controlled tokens or the party (see 'party.js').
+ * @param {string} [params.statistic="perception"] - A skill slug, 'perception' or a save ('fortitude', 'reflex', 'will').
+ * @param {number} [params.dc] - The DC everyone rolls against; for targets, the DC of any target without one.
+ * @param {Array<Actor|Token|string>} [params.targets=[]] - Creatures or hazards the check is against. Each character
+ * rolls once per target, so modifiers against that target apply.
+ * @param {string|null} [params.against=null] - Statistic slug whose DC each target defends with, e.g. 'stealth'.
+ * @param {Object<string, number>} [params.dcs={}] - DCs by target UUID; they win over the targets' own DCs.
+ * @param {string} [params.label] - Name of the check on the report, e.g. 'Seek'; defaults to the statistic's label.
+ * @param {string} [params.action] - Action slug for roll options, e.g. 'seek' or 'sense-motive'.
+ * @param {string[]} [params.traits=[]] - The action's traits; 'secret' is always added.
+ * @param {boolean} [params.chat=true] - Whisper the aggregated results to the GMs.
+ * @returns {Promise<{statistic: string, label: string, dc: number|null, results: object[]}|null>} One result per
+ * character and target: { actorId, actorUuid, actorName, skillLabel, targetUuid, targetName, dc, total, d20, degree,
+ * roll }; or null if a DC is missing, no one rolls or a preSecretGroupCheck hook cancelled it. Characters without
+ * the statistic are left out.
+ */
+export async function rollSecretGroupCheck({ actors, statistic = "perception", dc, targets = [], against = null, dcs = {}, label, action, traits = [], chat = true } = {}) {
+    let checkTargets = resolveCheckTargets(targets);
+    dc = Number(dc) || null;
+
+    // Each target's DC: the one given for it, else its own DC for the 'against' statistic, else the common DC
+    let targetDCs = Object.fromEntries(checkTargets.map(target => [
+        target.uuid,
+        Number(dcs[target.uuid]) || (against ? getTargetDC(target, against) : null) || dc
+    ]));
+
+    // Let other modules adjust or cancel the checks (see 'hooks.js')
+    const params = {
+        actors: actors ?? resolveTargets().actors,
+        statistic,
+        dc,
+        targets: checkTargets,
+        dcs: targetDCs,
+        label: label || statisticLabel(statistic),
+        action: action ?? null,
+        traits
+    };
+    if (!callPreHook("preSecretGroupCheck", params)) return null;
+    ({ actors, statistic, dc, targets: checkTargets, dcs: targetDCs, label, action, traits } = params);
+
+    if (actors.length === 0) {
+        ui.notifications.error(localize("Common.NoTargets"));
+        return null;
+    }
+    const checks = checkTargets.length > 0
+        ? checkTargets.map(target => ({ target, dc: targetDCs[target.uuid] }))
+        : [{ target: null, dc }];
+    if (checks.some(check => !check.dc)) {
+        ui.notifications.error(localize("SecretCheck.NoDC"));
+        return null;
+    }
+
+    const rollOptions = action ? [`action:${action}`] : [];
+    const results = [];
+    for (const actor of actors) {
+        for (const check of checks) {
+            const roll = await rollSecretCheck(actor, statistic, { dc: check.dc, target: check.target, traits, rollOptions });
+            if (!roll) {
+                console.warn(`PF2e Awesome Macros | Secret Group Check: ${actor.name} has no ${statistic} statistic.`);
+                break;
+            }
+            results.push({
+                actorId: actor.id,
+                actorUuid: actor.uuid,
+                actorName: actor.name,
+                skillLabel: actor.getStatistic(statistic)?.label ?? statisticLabel(statistic),
+                targetUuid: check.target?.uuid ?? null,
+                targetName: check.target?.name ?? null,
+                dc: check.dc,
+                ...readSecretRoll(roll),
+                roll
+            });
+        }
+    }
+
+    callPostHook("secretGroupCheckRolled", { actors, statistic, dc, targets: checkTargets, dcs: targetDCs, label, action, traits, results });
+    if (chat) await createSecretCheckMessage({ statistic, dc, targets: checkTargets, dcs: targetDCs, label, action, traits, results, actors });
+    return { statistic, label, dc, results };
+}
+
+// --- 3. REPORT ---
+
+/**
+ * Whispers the aggregated results to the GMs (see 'secret-checks.js'), each row with the outcome text to send to
+ * the player. See 'templates/chat/secret-check.hbs'.
+ */
+async function createSecretCheckMessage({ statistic, dc, targets, dcs, label, action, traits, results, actors }) {
+    // Against targets every row has its own DC, so the card has none and each row shows its own
+    const cardDC = targets.length > 0 ? null : dc;
+    const rows = results.map(res => ({
+        ...secretCheckRow(res, cardDC),
+        targetName: res.targetName,
+        outcome: defaultOutcome(statistic, res.degree)
+    }));
+
+    await whisperToGMs("secretCheck", {
+        title: cardDC ? format("SecretCheck.Chat.Title", { check: label, dc }) : format("SecretCheck.Chat.TitleTargets", { check: label }),
+        rows,
+        outcomes: Object.fromEntries(SECRET_CHECK_OUTCOMES.map(key => [key, localize(`SecretCheck.Outcomes.${key}`)]))
+    }, {
+        flags: { secretCheck: { statistic, label } },
+        rerun: {
+            fn: "secretGroupCheck",
+            label: localize("Macros.secretCheck"),
+            actorUuids: actors.map(a => a.uuid),
+            params: { statistic, dc, targets: targets.map(t => t.uuid), dcs, label, action, traits }
+        }
+    });
+
+    ui.notifications.info(format("SecretCheck.Completed", { count: results.length }));
+}
+
+// --- 4. DIALOG ---
+
+/**
+ * Builds the <option> list of check statistics, grouped into Perception, saves and skills.
+ */
+function statisticOptions(selected) {
+    const groups = {};
+    for (const { group, slug, label } of getCheckStatistics()) {
+        groups[group] ??= "";
+        groups[group] += `<option value="${slug}" ${slug === selected ? "selected" : ""}>${escape(label)}</option>`;
+    }
+    return Object.entries(groups)
+        .map(([group, options]) => `<optgroup label="${escape(localize(`SecretCheck.Dialog.Groups.${group}`))}">${options}</optgroup>`)
+        .join("");
+}
+
+/**
+ * Opens the Secret Group Check dialog. This is the function that the "Secret Group Check" macro calls.
+ * Target creatures or hazards before opening it to roll against each one's DC.
+ */
+export function openSecretGroupCheckDialog() {
+    if (!game.user.isGM) {
+        ui.notifications.warn(localize("SecretCheck.GMOnly"));
+        return;
+    }
+
+    const targets = resolveCheckTargets(game.user.targets ?? []);
+    const { actors: rollers, source } = resolveTargets();
+    const defaultDC = getLevelBasedDC(rollers.length > 0 ? getAveragePartyLevel(rollers) : 0);
+    const against = targets.length > 0 ? OPPOSED_STATISTICS.perception : "";
+
+    const targetRows = targets.map(target => `
+        <div class="form-group">
+            <label>${escape(target.name)}</label>
+            <input type="number" data-target-uuid="${target.uuid}" value="${getTargetDC(target, against) ?? ""}" min="1" max="100"/>
+        </div>`).join("");
+
+    const content = `
+    <form>
+        <div class="form-group">
+            <label>${localize("SecretCheck.Dialog.Check")}</label>
+            <select name="statistic">${statisticOptions("perception")}</select>
+        </div>
+        <div class="form-group">
+            <label>${localize("SecretCheck.Dialog.Label")}</label>
+            <input type="text" name="label" placeholder="${escape(localize("SecretCheck.Dialog.LabelPlaceholder"))}"/>
+        </div>
+        ${targets.length > 0 ? `
+        <div class="form-group">
+            <label>${localize("SecretCheck.Dialog.Against")}</label>
+            <select name="against">
+                <option value="">${localize("SecretCheck.Dialog.SingleDC")}</option>
+                ${statisticOptions(against)}
+            </select>
+        </div>` : ""}
+        <div class="form-group pf2e-awesome-secret-dc" ${against ? "hidden" : ""}>
+            <label>${localize("Recall.Dialog.DC")}</label>
+            <input type="number" name="dc" value="${defaultDC}" min="1" max="100"/>
+        </div>
+        <fieldset class="pf2e-awesome-secret-targets" ${against ? "" : "hidden"}>
+            <legend>${localize("SecretCheck.Dialog.TargetDCs")}</legend>
+            ${targetRows}
+        </fieldset>
+        <p class="notes">${escape(describeTargetSource(source, rollers.length))}</p>
+        <p class="notes">${localize("SecretCheck.Dialog.Hint")}</p>
+    </form>
+    `;
+
+    new Dialog({
+        title: localize("SecretCheck.Dialog.Title"),
+        content: content,
+        buttons: {
+            roll: {
+                icon: '<i class="fas fa-dice-d20"></i>',
+                label: localize("Recall.Dialog.Roll"),
+                callback: async (html) => {
+                    const against = html.find('[name="against"]').val() || null;
+                    const dcs = {};
+                    html.find('[data-target-uuid]').each((i, input) => {
+                        dcs[input.dataset.targetUuid] = parseInt(input.value, 10) || undefined;
+                    });
+                    await rollSecretGroupCheck({
+                        statistic: html.find('[name="statistic"]').val(),
+                        label: html.find('[name="label"]').val().trim(),
+                        dc: parseInt(html.find('[name="dc"]').val(), 10) || undefined,
+                        targets: against ? targets : [],
+                        against,
+                        dcs: against ? dcs : {}
+                    });
+                }
+            },
+            cancel: {
+                icon: '<i class="fas fa-times"></i>',
+                label: localize("Common.Cancel")
+            }
+        },
+        default: "roll",
+        render: (html) => {
+            // Picking the targets' statistic fills in each target's DC for it; "single DC" rolls without targets
+            const fillTargetDCs = () => {
+                const slug = html.find('[name="against"]').val();
+                html.find('.pf2e-awesome-secret-dc').prop("hidden", !!slug);
+                html.find('.pf2e-awesome-secret-targets').prop("hidden", !slug);
+                if (!slug) return;
+                html.find('[data-target-uuid]').each((i, input) => {
+                    input.value = getTargetDC(targets[i], slug) ?? "";
+                });
+            };
+            html.find('[name="against"]').on("change", fillTargetDCs);
+            html.find('[name="statistic"]').on("change", (event) => {
+                const opposed = OPPOSED_STATISTICS[event.currentTarget.value];
+                if (!opposed || !html.find('[name="against"]').val()) return;
+                html.find('[name="against"]').val(opposed);
+                fillTargetDCs();
+            });
+        }
+    }, { width: 420 }).render(true);
+}
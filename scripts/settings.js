@@ -0,0 +1,343 @@
+/**
+ * PF2e Awesome Macros - World Settings
+ * Registers the module's world settings and the settings menu used to edit them.
+ * Folder names, compendium lists and macro defaults are read from here so each
+ * table can configure the module without editing the source.
+ */
+
+import { localize, format } from './i18n.js';
+
+export const MODULE_ID = "pf2e-awesome-macros-for-gms";
+
+/**
+ * Default values for every configurable world setting.
+ * Keys match the setting keys registered with game.settings.
+ */
+export const DEFAULT_SETTINGS = {
+    macroFolderName: "PF2e Awesome Macros For GMs",
+    macroFolderColor: "#9c0000", // Dark red for visibility
+    sceneFolderName: "Random Encounters",
+    encounterPacks: "pf2e.pathfinder-monster-core, pf2e.pathfinder-bestiary",
+    partyFolderName: "party",
+    partySource: "auto",
+    xpThresholdFast: 800,
+    xpThresholdNormal: 1000,
+    xpThresholdSlow: 1200,
+    levelingPace: "normal",
+    levelingMode: "manual",
+    recallDefaultDC: 15,
+    restInterruptionDC: 18,
+    undoHistoryLength: 20
+};
+
+/**
+ * Where "the party" comes from when no tokens are selected (see 'party.js').
+ * Values are localization keys.
+ */
+export const PARTY_SOURCES = {
+    auto: "PF2EAM.Settings.PartySources.auto",
+    roster: "PF2EAM.Settings.PartySources.roster",
+    partyActor: "PF2EAM.Settings.PartySources.partyActor",
+    folder: "PF2EAM.Settings.PartySources.folder",
+    playerCharacters: "PF2EAM.Settings.PartySources.playerCharacters"
+};
+
+/**
+ * Leveling paces; each has its own XP threshold setting. Values are localization keys.
+ */
+export const LEVELING_PACES = {
+    normal: "PF2EAM.Settings.Paces.normal",
+    fast: "PF2EAM.Settings.Paces.fast",
+    slow: "PF2EAM.Settings.Paces.slow"
+};
+
+/**
+ * How characters level up (see 'leveling.js'). Values are localization keys.
+ */
+export const LEVELING_MODES = {
+    manual: "PF2EAM.Settings.LevelingModes.manual",
+    automatic: "PF2EAM.Settings.LevelingModes.automatic",
+    milestone: "PF2EAM.Settings.LevelingModes.milestone"
+};
+
+/**
+ * Layout of the settings menu: each section lists the settings it contains.
+ * Section titles and field labels/hints are localized from "PF2EAM.Settings.Sections.<title>"
+ * and "PF2EAM.Settings.Fields.<key>.Label/Hint".
+ */
+const SETTINGS_SECTIONS = [
+    { title: "Macros", fields: [{ key: "macroFolderName", type: "text" }, { key: "macroFolderColor", type: "color" }] },
+    { title: "RandomEncounters", fields: [{ key: "sceneFolderName", type: "text" }, { key: "encounterPacks", type: "text" }] },
+    { title: "Party", fields: [{ key: "partySource", type: "select", choices: PARTY_SOURCES }, { key: "partyFolderName", type: "text" }] },
+    {
+        title: "Experience",
+        fields: [
+            { key: "levelingMode", type: "select", choices: LEVELING_MODES },
+            { key: "levelingPace", type: "select", choices: LEVELING_PACES },
+            { key: "xpThresholdFast", type: "number" },
+            { key: "xpThresholdNormal", type: "number" },
+            { key: "xpThresholdSlow", type: "number" }
+        ]
+    },
+    { title: "RecallKnowledge", fields: [{ key: "recallDefaultDC", type: "number" }] },
+    { title: "Resting", fields: [{ key: "restInterruptionDC", type: "number" }] },
+    { title: "Undo", fields: [{ key: "undoHistoryLength", type: "number" }] }
+];
+
+// --- 1. HELPER FUNCTIONS ---
+
+/**
+ * Reads one of the module's settings.
+ * @param {string} key - The setting key (see DEFAULT_SETTINGS).
+ * @returns {*} The stored value.
+ */
+export function getSetting(key) {
+    return game.settings.get(MODULE_ID, key);
+}
+
+/**
+ * Returns the configured monster compendium keys as an array.
+ * @returns {string[]} Compendium collection keys, e.g. 'pf2e.pathfinder-bestiary'.
+ */
+export function getEncounterPackKeys() {
+    return String(getSetting("encounterPacks") ?? "")
+        .split(",")
+        .map(key => key.trim())
+        .filter(key => key.length > 0);
+}
+
+/**
+ * Returns the XP threshold for a leveling pace.
+ * @param {string} pace - 'fast', 'normal' or 'slow'.
+ * @returns {number} The XP needed to level up.
+ */
+export function getXpThreshold(pace) {
+    if (pace === "fast") return getSetting("xpThresholdFast");
+    if (pace === "slow") return getSetting("xpThresholdSlow");
+    return getSetting("xpThresholdNormal");
+}
+
+// --- 2. SETTINGS MENU ---
+
+const { ApplicationV2 } = foundry.applications.api;
+
+/**
+ * Settings menu form for the module's world settings.
+ */
+class ModuleSettingsMenu extends ApplicationV2 {
+    static DEFAULT_OPTIONS = {
+        id: "pf2e-awesome-macros-settings",
+        tag: "form",
+        classes: ["pf2e-awesome-macros-settings"],
+        window: {
+            title: "PF2EAM.Settings.Menu.Title",
+            icon: "fas fa-cogs",
+            contentClasses: ["standard-form"]
+        },
+        position: { width: 520 },
+        form: {
+            handler: ModuleSettingsMenu.#onSubmit,
+            closeOnSubmit: true
+        },
+        actions: {
+            resetDefaults: ModuleSettingsMenu.#onResetDefaults
+        }
+    };
+
+    /** @override */
+    async _renderHTML() {
+        const sections = SETTINGS_SECTIONS.map(section => {
+            const fields = section.fields.map(field => {
+                const value = foundry.utils.escapeHTML(String(getSetting(field.key) ?? ""));
+                let input;
+                if (field.type === "select") {
+                    const options = Object.entries(field.choices).map(([key, label]) =>
+                        `<option value="${key}" ${key === value ? "selected" : ""}>${game.i18n.localize(label)}</option>`
+                    ).join("");
+                    input = `<select name="${field.key}">${options}</select>`;
+                } else if (field.type === "number") {
+                    input = `<input type="number" name="${field.key}" value="${value}" min="1" step="1">`;
+                } else {
+                    input = `<input type="${field.type}" name="${field.key}" value="${value}">`;
+                }
+                return `
+                <div class="form-group">
+                    <label>${localize(`Settings.Fields.${field.key}.Label`)}</label>
+                    <div class="form-fields">${input}</div>
+                    <p class="hint">${localize(`Settings.Fields.${field.key}.Hint`)}</p>
+                </div>`;
+            }).join("");
+            return `<fieldset><legend>${localize(`Settings.Sections.${section.title}`)}</legend>${fields}</fieldset>`;
+        }).join("");
+
+        return `
+            ${sections}
+            <footer class="form-footer">
+                <button type="button" data-action="resetDefaults"><i class="fas fa-undo"></i> ${localize("Settings.ResetDefaults")}</button>
+                <button type="submit"><i class="fas fa-save"></i> ${localize("Settings.SaveChanges")}</button>
+            </footer>
+        `;
+    }
+
+    /** @override */
+    _replaceHTML(result, content) {
+        content.innerHTML = result;
+    }
+
+    /**
+     * Saves every submitted field back to its world setting.
+     */
+    static async #onSubmit(event, form, formData) {
+        const data = formData.object;
+        for (const [key, defaultValue] of Object.entries(DEFAULT_SETTINGS)) {
+            if (!(key in data)) continue;
+
+            let value = data[key];
+            if (typeof defaultValue === "number") {
+                value = Number(value);
+                if (!Number.isFinite(value) || value <= 0) value = defaultValue;
+            } else {
+                value = String(value ?? "").trim() || defaultValue;
+            }
+            await game.settings.set(MODULE_ID, key, value);
+        }
+        ui.notifications.info(localize("Settings.Saved"));
+    }
+
+    /**
+     * Restores the default values into the form without saving them.
+     */
+    static #onResetDefaults() {
+        for (const [key, value] of Object.entries(DEFAULT_SETTINGS)) {
+            const input = this.element.querySelector(`[name="${key}"]`);
+            if (input) input.value = value;
+        }
+    }
+}
+
+/**
+ * Settings menu for the GM-curated Party Roster used by the "roster" party source.
+ */
+class PartyRosterMenu extends ApplicationV2 {
+    static DEFAULT_OPTIONS = {
+        id: "pf2e-awesome-macros-party-roster",
+        tag: "form",
+        classes: ["pf2e-awesome-macros-settings"],
+        window: {
+            title: "PF2EAM.Settings.Roster.Title",
+            icon: "fas fa-users",
+            contentClasses: ["standard-form"]
+        },
+        position: { width: 420 },
+        form: {
+            handler: PartyRosterMenu.#onSubmit,
+            closeOnSubmit: true
+        }
+    };
+
+    /** @override */
+    async _renderHTML() {
+        const roster = new Set(getSetting("partyRoster") ?? []);
+
+        // Offer characters and any actor a player owns, sorted by name
+        const candidates = game.actors
+            .filter(a => a.type === "character" || a.hasPlayerOwner || roster.has(a.id))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        const rows = candidates.map(actor => `
+            <div class="form-group">
+                <label>${foundry.utils.escapeHTML(actor.name)} <em>(${game.i18n.localize(CONFIG.Actor.typeLabels?.[actor.type] ?? actor.type)})</em></label>
+                <div class="form-fields">
+                    <input type="checkbox" name="roster.${actor.id}" ${roster.has(actor.id) ? "checked" : ""}>
+                </div>
+            </div>
+        `).join("");
+
+        return `
+            <p class="hint">${localize("Settings.Roster.Hint")}</p>
+            <fieldset>${rows || `<p>${localize("Settings.Roster.Empty")}</p>`}</fieldset>
+            <footer class="form-footer">
+                <button type="submit"><i class="fas fa-save"></i> ${localize("Settings.Roster.Save")}</button>
+            </footer>
+        `;
+    }
+
+    /** @override */
+    _replaceHTML(result, content) {
+        content.innerHTML = result;
+    }
+
+    /**
+     * Stores the checked actor IDs as the new roster.
+     */
+    static async #onSubmit(event, form, formData) {
+        const checked = foundry.utils.expandObject(formData.object).roster ?? {};
+        const roster = Object.entries(checked).filter(([, isChecked]) => isChecked).map(([id]) => id);
+        await game.settings.set(MODULE_ID, "partyRoster", roster);
+        ui.notifications.info(format("Settings.Roster.Saved", { count: roster.length }));
+    }
+}
+
+// --- 3. REGISTRATION ---
+
+/**
+ * Registers all world settings and the settings menu. Called on the 'init' hook.
+ */
+export function registerSettings() {
+    game.settings.registerMenu(MODULE_ID, "settingsMenu", {
+        name: "PF2EAM.Settings.Menu.Name",
+        label: "PF2EAM.Settings.Menu.Label",
+        hint: "PF2EAM.Settings.Menu.Hint",
+        icon: "fas fa-cogs",
+        type: ModuleSettingsMenu,
+        restricted: true
+    });
+
+    game.settings.registerMenu(MODULE_ID, "partyRosterMenu", {
+        name: "PF2EAM.Settings.Roster.Name",
+        label: "PF2EAM.Settings.Roster.Label",
+        hint: "PF2EAM.Settings.Roster.MenuHint",
+        icon: "fas fa-users",
+        type: PartyRosterMenu,
+        restricted: true
+    });
+
+    game.settings.register(MODULE_ID, "partyRoster", {
+        scope: "world",
+        config: false,
+        type: Array,
+        default: []
+    });
+
+    // Combatants of the most recently ended encounter, for encounter-based XP awards (see 'encounter-xp.js')
+    game.settings.register(MODULE_ID, "lastCombat", {
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {}
+    });
+
+    // Per-client control panel state: pinned target UUIDs and the panel's last position
+    game.settings.register(MODULE_ID, "pinnedTargets", {
+        scope: "client",
+        config: false,
+        type: Array,
+        default: []
+    });
+
+    game.settings.register(MODULE_ID, "controlPanelPosition", {
+        scope: "client",
+        config: false,
+        type: Object,
+        default: {}
+    });
+
+    for (const [key, defaultValue] of Object.entries(DEFAULT_SETTINGS)) {
+        game.settings.register(MODULE_ID, key, {
+            scope: "world",
+            config: false,
+            type: typeof defaultValue === "number" ? Number : String,
+            default: defaultValue
+        });
+    }
+}
@@ -0,0 +1,205 @@
+/**
+ * PF2e Awesome Macros - 10-Minute Rest
+ * The short rest between encounters, run by Full Restore's "10-minute rest" mode (see 'full-restore.js'):
+ * - Treat Wounds: one medic rolls Medicine for each injured patient against the chosen DC (15, 20, 30 or 40,
+ *   healing +0, +10, +30 or +50). Success heals 2d8, critical success 4d8, critical failure deals 1d8 damage.
+ *   Each patient is then immune to that medic's Treat Wounds for 1 hour (10 minutes with Continual Recovery).
+ *   A medic with Ward Medic treats 2, 4 or 8 patients at once.
+ * - Refocus: every actor with a Focus Pool regains 1 Focus Point.
+ * - World time advances by the 10-minute blocks spent. Undo reverts the actors, not the world time.
+ */
+
+import { MODULE_ID } from './settings.js';
+import { DEGREES } from './secret-checks.js';
+import { localize, format } from './i18n.js';
+
+// Healing bonus by Treat Wounds DC (trained, expert, master, legendary)
+export const TREAT_WOUNDS_DCS = {
+    15: 0,
+    20: 10,
+    30: 30,
+    40: 50
+};
+
+// Medicine proficiency rank needed for each Treat Wounds DC (1 = trained ... 4 = legendary)
+const TREAT_WOUNDS_RANKS = {
+    15: 1,
+    20: 2,
+    30: 3,
+    40: 4
+};
+
+// Patients per 10 minutes with Ward Medic, by Medicine proficiency rank (expert, master, legendary)
+const WARD_MEDIC_PATIENTS = {
+    2: 2,
+    3: 4,
+    4: 8
+};
+
+const BLOCK_SECONDS = 600;
+const IMMUNITY_SECONDS = 3600;
+const CONTINUAL_RECOVERY_SECONDS = 600;
+
+// Patient flag: { [medicActorId]: worldTime until which the patient is immune to that medic's Treat Wounds }
+const IMMUNITY_FLAG = "treatWoundsImmunity";
+
+// --- 1. HELPER FUNCTIONS ---
+
+/**
+ * Checks whether an actor can Treat Wounds (trained in Medicine).
+ * @param {Actor} actor - The actor.
+ * @returns {boolean} True if trained or better.
+ */
+export function canTreatWounds(actor) {
+    return (actor.skills?.medicine?.rank ?? 0) >= 1;
+}
+
+/**
+ * Returns the Treat Wounds DCs a medic's Medicine proficiency qualifies for: DC 20 needs expert, DC 30 master and
+ * DC 40 legendary.
+ * @param {Actor} medic - The medic.
+ * @returns {number[]} The DCs, lowest first; empty if the medic isn't trained.
+ */
+export function getTreatWoundsDCs(medic) {
+    const rank = medic.skills?.medicine?.rank ?? 0;
+    return Object.keys(TREAT_WOUNDS_DCS).map(Number).filter(dc => TREAT_WOUNDS_RANKS[dc] <= rank);
+}
+
+/**
+ * Returns how many minutes a patient stays immune to a medic's Treat Wounds.
+ * @param {Actor} patient - The patient.
+ * @param {Actor} medic - The medic.
+ * @returns {number} Minutes left, 0 if the medic can treat the patient.
+ */
+export function getTreatWoundsImmunity(patient, medic) {
+    const until = patient.getFlag(MODULE_ID, IMMUNITY_FLAG)?.[medic.id] ?? 0;
+    return Math.max(Math.ceil((until - game.time.worldTime) / 60), 0);
+}
+
+/**
+ * Checks whether an actor has a feat.
+ */
+function hasFeat(actor, slug) {
+    return actor.itemTypes.feat.some(feat => feat.slug === slug);
+}
+
+/**
+ * How many patients the medic treats per 10 minutes: 1, or 2/4/8 with Ward Medic at expert/master/legendary Medicine.
+ */
+function patientsPerBlock(medic) {
+    if (!hasFeat(medic, "ward-medic")) return 1;
+    return WARD_MEDIC_PATIENTS[medic.skills.medicine.rank] ?? 1;
+}
+
+// --- 2. TREAT WOUNDS ---
+
+/**
+ * Rolls one Treat Wounds attempt and applies its result.
+ * @returns {Promise<string|null>} The report line, or null if the roll was cancelled.
+ */
+async function treatPatient(patient, medic, dc, immuneUntil, undo) {
+    const check = await medic.skills.medicine.roll({
+        dc: { value: dc },
+        label: format("FullRestore.Short.RollLabel", { patient: patient.name }),
+        extraRollOptions: ["action:treat-wounds"],
+        skipDialog: true
+    });
+    if (!check) return null;
+
+    const degree = DEGREES[check.degreeOfSuccess];
+    const degreeLabel = localize(`Recall.Degree.${degree}`);
+    const { value: currentHP, max: maxHP } = patient.system.attributes.hp;
+    const updates = { [`flags.${MODULE_ID}.${IMMUNITY_FLAG}.${medic.id}`]: immuneUntil };
+    let line;
+
+    if (degree === "success" || degree === "criticalSuccess") {
+        const dice = degree === "criticalSuccess" ? "4d8" : "2d8";
+        const healing = await new Roll(`${dice} + ${TREAT_WOUNDS_DCS[dc]}`).evaluate();
+        updates["system.attributes.hp.value"] = Math.min(currentHP + healing.total, maxHP);
+        line = format("FullRestore.Short.Healed", { degree: degreeLabel, hp: updates["system.attributes.hp.value"] - currentHP, formula: healing.formula });
+    } else if (degree === "criticalFailure") {
+        const damage = await new Roll("1d8").evaluate();
+        updates["system.attributes.hp.value"] = Math.max(currentHP - damage.total, 0);
+        line = format("FullRestore.Short.Damaged", { degree: degreeLabel, hp: damage.total });
+    } else {
+        line = format("FullRestore.Short.NoEffect", { degree: degreeLabel });
+    }
+
+    await undo.update(patient, updates);
+
+    // Treat Wounds that restores HP ends the wounded condition
+    if (updates["system.attributes.hp.value"] > currentHP && patient.hasCondition("wounded")) {
+        await undo.trackItems(patient, () => patient.decreaseCondition("wounded", { forceRemove: true }));
+    }
+    return line;
+}
+
+// --- 3. SHORT REST ---
+
+/**
+ * Runs a 10-minute rest: Treat Wounds by one medic, Refocus for everyone, then advances world time.
+ * @param {object} params
+ * @param {Actor[]} params.actors - The resting actors (dead actors already removed).
+ * @param {Function} params.optionsFor - Returns an actor's options, { treatWounds, refocus }; companions have their own.
+ * @param {Actor|null} params.medic - The actor rolling Treat Wounds; needs to be trained in Medicine.
+ * @param {number} params.dc - Treat Wounds DC: 15, 20, 30 or 40, as far as the medic's proficiency allows (see getTreatWoundsDCs).
+ * @param {UndoOperation} params.undo - The rest's undo operation (see 'undo-journal.js').
+ * @returns {Promise<{changes: Map<Actor, string[]>, minutes: number}>} Report lines per actor and the minutes spent.
+ */
+export async function takeShortRest({ actors, optionsFor, medic, dc, undo }) {
+    const changes = new Map(actors.map(actor => [actor, []]));
+    const startTime = game.time.worldTime;
+    let treatBlocks = 0;
+
+    const patients = actors.filter(actor => optionsFor(actor).treatWounds);
+    if (patients.length > 0 && medic) {
+        if (!canTreatWounds(medic)) {
+            throw new Error(`PF2e Awesome Macros | restore: ${medic.name} is not trained in Medicine.`);
+        }
+        if (!(dc in TREAT_WOUNDS_DCS)) {
+            throw new Error(`PF2e Awesome Macros | restore: Treat Wounds DC must be 15, 20, 30 or 40, not ${dc}.`);
+        }
+        if (!getTreatWoundsDCs(medic).includes(Number(dc))) {
+            throw new Error(`PF2e Awesome Macros | restore: ${medic.name}'s Medicine proficiency is too low for Treat Wounds DC ${dc}.`);
+        }
+
+        const perBlock = patientsPerBlock(medic);
+        const immunity = hasFeat(medic, "continual-recovery") ? CONTINUAL_RECOVERY_SECONDS : IMMUNITY_SECONDS;
+        let treated = 0;
+
+        for (const patient of patients) {
+            const hp = patient.system.attributes.hp;
+            if (hp.value >= hp.max) continue;
+
+            const immuneFor = getTreatWoundsImmunity(patient, medic);
+            if (immuneFor > 0) {
+                changes.get(patient).push(format("FullRestore.Short.Immune", { medic: medic.name, minutes: immuneFor }));
+                continue;
+            }
+
+            // Patients are treated in 10-minute blocks; immunity runs from the end of the patient's block
+            const block = Math.floor(treated / perBlock) + 1;
+            const line = await treatPatient(patient, medic, Number(dc), startTime + block * BLOCK_SECONDS + immunity, undo);
+            if (!line) continue;
+
+            changes.get(patient).push(line);
+            treated++;
+            treatBlocks = block;
+        }
+    }
+
+    // Everyone else refocuses while the medic works; a medic who also refocuses needs a block of their own
+    let refocusBlocks = 0;
+    for (const actor of actors.filter(actor => optionsFor(actor).refocus)) {
+        const focus = actor.system.resources?.focus;
+        if (!focus || focus.value >= focus.max) continue;
+
+        await undo.update(actor, { "system.resources.focus.value": focus.value + 1 });
+        changes.get(actor).push(localize("FullRestore.Short.Refocused"));
+        refocusBlocks = Math.max(refocusBlocks, actor === medic && treatBlocks > 0 ? 2 : 1);
+    }
+
+    const blocks = treatBlocks > 0 && refocusBlocks === 2 ? treatBlocks + 1 : Math.max(treatBlocks, refocusBlocks);
+    if (blocks > 0) await game.time.advance(blocks * BLOCK_SECONDS);
+    return { changes, minutes: blocks * 10 };
+}
@@ -0,0 +1,106 @@
+/**
+ * PF2e Awesome Macros - Module Socket
+ * Carries player requests to the active GM and the GM's answers back, over the module socket
+ * ("socket": true in module.json). Messages:
+ * - { action: "request", requestId, userId, type, data }: sent by a player, handled by the active GM only.
+ * - { action: "response", requestId, userId, approved }: sent by the GM, handled by the requesting player only.
+ * The GM side (approval prompts and the tools they run) lives in 'player-requests.js'.
+ */
+
+import { MODULE_ID } from './settings.js';
+import { localize, format } from './i18n.js';
+
+const SOCKET_NAME = `module.${MODULE_ID}`;
+
+// How long a player waits for an answer before the request counts as unanswered
+const REQUEST_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Requests this client is waiting on, keyed by request ID: { resolve, timer }
+const pendingRequests = new Map();
+
+// Function the active GM uses to answer requests (see registerSocket)
+let requestHandler = null;
+
+// --- 1. PLAYER SIDE ---
+
+/**
+ * Sends a request to the active GM and waits for the answer.
+ * @param {string} type - The request type, e.g. 'exploration' (see 'player-requests.js').
+ * @param {object} data - Serializable request data; actors are passed as UUIDs.
+ * @returns {Promise<{approved: boolean, timedOut?: boolean}>} The GM's answer.
+ */
+export function sendGMRequest(type, data) {
+    const typeLabel = localize(`Requests.Types.${type}`);
+    if (!game.users.activeGM) {
+        ui.notifications.warn(localize("Requests.NoGM"));
+        return Promise.resolve({ approved: false });
+    }
+
+    const requestId = foundry.utils.randomID();
+    const response = new Promise(resolve => {
+        const timer = setTimeout(() => {
+            pendingRequests.delete(requestId);
+            ui.notifications.warn(format("Requests.TimedOut", { request: typeLabel }));
+            resolve({ approved: false, timedOut: true });
+        }, REQUEST_TIMEOUT_MS);
+        pendingRequests.set(requestId, { resolve, timer });
+    });
+
+    game.socket.emit(SOCKET_NAME, { action: "request", requestId, userId: game.user.id, type, data });
+    ui.notifications.info(format("Requests.Sent", { request: typeLabel }));
+
+    return response.then(result => {
+        if (result.timedOut) return result;
+        if (result.approved) ui.notifications.info(format("Requests.Approved", { request: typeLabel }));
+        else ui.notifications.warn(format("Requests.Denied", { request: typeLabel }));
+        return result;
+    });
+}
+
+/**
+ * Resolves the pending request a GM response belongs to.
+ * @param {object} message - The response message.
+ */
+function receiveResponse(message) {
+    if (message.userId !== game.user.id) return;
+    const pending = pendingRequests.get(message.requestId);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    pendingRequests.delete(message.requestId);
+    pending.resolve({ approved: Boolean(message.approved) });
+}
+
+// --- 2. GM SIDE ---
+
+/**
+ * Answers a player request on the active GM's client.
+ * @param {object} message - The request message.
+ */
+async function receiveRequest(message) {
+    if (!requestHandler || !game.users.activeGM?.isSelf) return;
+
+    let approved = false;
+    try {
+        approved = await requestHandler(message);
+    } catch (err) {
+        console.error(`PF2e Awesome Macros | Failed to handle the "${message.type}" request:`, err);
+    }
+
+    game.socket.emit(SOCKET_NAME, { action: "response", requestId: message.requestId, userId: message.userId, approved });
+}
+
+// --- 3. REGISTRATION ---
+
+/**
+ * Starts listening on the module socket. Called on the 'ready' hook.
+ * @param {Function} handler - Async function receiving { requestId, userId, type, data } on the
+ * active GM's client and returning true if the request was approved and carried out.
+ */
+export function registerSocket(handler) {
+    requestHandler = handler;
+    game.socket.on(SOCKET_NAME, (message) => {
+        if (message?.action === "request") receiveRequest(message);
+        else if (message?.action === "response") receiveResponse(message);
+    });
+}
@@ -0,0 +1,337 @@
+/**
+ * PF2e Awesome Macros - Undo Journal
+ * Records a before-snapshot of every document a state-changing macro touches, so the GM can
+ * revert exactly what one operation changed:
+ * - updates store the previous source values of the changed keys,
+ * - creations store the UUIDs of the created documents (deleted again on undo),
+ * - deletions store the full document data (re-created with the same IDs on undo).
+ * Entries are kept in a hidden world setting, newest last, up to the configured history length.
+ * Each chat report carries an Undo button for its own entry, and the "Undo Last Action" macro
+ * reverts the most recent entry that hasn't been undone yet.
+ */
+
+import { MODULE_ID, getSetting } from './settings.js';
+import { localize, format } from './i18n.js';
+
+export const UNDO_MACRO_NAME = "Undo Last Action";
+export const UNDO_MACRO_ICON = "icons/svg/regen.svg";
+
+// --- 1. RECORDING ---
+
+/**
+ * Collects the before-snapshots of one macro operation.
+ * Use its methods instead of the document methods, then call commit() once the operation is done.
+ */
+export class UndoOperation {
+    /**
+     * @param {string} label - Short (localized) description shown in the undo confirmation, e.g. "Award XP".
+     */
+    constructor(label) {
+        this.label = label;
+        this.records = [];
+    }
+
+    /**
+     * Updates a document after recording the previous source values of the changed keys.
+     * @param {foundry.abstract.Document} document - The document to update.
+     * @param {object} changes - Update data (nested or dot-notation keys).
+     * @param {object} [options] - Update options.
+     * @returns {Promise<foundry.abstract.Document>} The updated document.
+     */
+    async update(document, changes, options = {}) {
+        this.records.push({ action: "update", uuid: document.uuid, before: snapshotKeys(document, changes) });
+        return document.update(changes, options);
+    }
+
+    /**
+     * Updates embedded documents after recording their previous source values.
+     * @param {foundry.abstract.Document} parent - The parent document (e.g. a Combat).
+     * @param {string} embeddedName - The embedded document name (e.g. 'Combatant').
+     * @param {object[]} updates - Update data, each with an _id.
+     * @returns {Promise<foundry.abstract.Document[]>} The updated documents.
+     */
+    async updateEmbedded(parent, embeddedName, updates) {
+        for (const update of updates) {
+            const document = parent.getEmbeddedDocument(embeddedName, update._id);
+            if (!document) continue;
+            const { _id, ...changes } = update;
+            this.records.push({ action: "update", uuid: document.uuid, before: snapshotKeys(document, changes) });
+        }
+        return parent.updateEmbeddedDocuments(embeddedName, updates);
+    }
+
+    /**
+     * Creates embedded documents and records them for deletion on undo.
+     * @param {foundry.abstract.Document} parent - The parent document (e.g. an Actor).
+     * @param {string} embeddedName - The embedded document name (e.g. 'Item').
+     * @param {object[]} data - Creation data.
+     * @returns {Promise<foundry.abstract.Document[]>} The created documents.
+     */
+    async create(parent, embeddedName, data) {
+        const created = await parent.createEmbeddedDocuments(embeddedName, data);
+        this.records.push({ action: "create", uuids: created.map(d => d.uuid) });
+        return created;
+    }
+
+    /**
+     * Deletes embedded documents after recording their full data for re-creation on undo.
+     * @param {foundry.abstract.Document} parent - The parent document (e.g. a Scene).
+     * @param {string} embeddedName - The embedded document name (e.g. 'Token').
+     * @param {string[]} ids - IDs of the documents to delete.
+     * @returns {Promise<foundry.abstract.Document[]>} The deleted documents.
+     */
+    async delete(parent, embeddedName, ids) {
+        const data = ids.map(id => parent.getEmbeddedDocument(embeddedName, id)?.toObject()).filter(d => d);
+        this.records.push({ action: "delete", parentUuid: parent.uuid, documentName: embeddedName, data });
+        return parent.deleteEmbeddedDocuments(embeddedName, ids);
+    }
+
+    /**
+     * Runs a callback that may delete a top-level document (e.g. Combat#endCombat, which asks for
+     * confirmation first) and records the document only if it was actually deleted.
+     * @param {foundry.abstract.Document} document - The document that may be deleted.
+     * @param {Function} callback - Async function performing the deletion.
+     * @returns {Promise<*>} The callback's result.
+     */
+    async trackDeletion(document, callback) {
+        const data = document.toObject();
+        const collection = document.collection;
+        const result = await callback();
+        if (!collection?.has(data._id)) {
+            this.records.push({ action: "delete", parentUuid: null, documentName: document.documentName, data: [data] });
+        }
+        return result;
+    }
+
+    /**
+     * Runs a callback that changes an actor's items indirectly (e.g. increaseCondition or
+     * decreaseCondition) and records every item it created, deleted or changed.
+     * @param {Actor} actor - The actor whose items are watched.
+     * @param {Function} callback - Async function changing the items.
+     * @returns {Promise<*>} The callback's result.
+     */
+    async trackItems(actor, callback) {
+        const before = new Map(actor.items.map(i => [i.id, i.toObject()]));
+        const result = await callback();
+        const after = new Map(actor.items.map(i => [i.id, i]));
+
+        const created = [...after.keys()].filter(id => !before.has(id));
+        if (created.length > 0) {
+            this.records.push({ action: "create", uuids: created.map(id => after.get(id).uuid) });
+        }
+
+        const deleted = [...before.keys()].filter(id => !after.has(id)).map(id => before.get(id));
+        if (deleted.length > 0) {
+            this.records.push({ action: "delete", parentUuid: actor.uuid, documentName: "Item", data: deleted });
+        }
+
+        for (const [id, item] of after) {
+            const previous = before.get(id);
+            if (previous && JSON.stringify(previous.system) !== JSON.stringify(item._source.system)) {
+                this.records.push({ action: "update", uuid: item.uuid, before: { system: previous.system } });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Stores the operation in the undo journal. Operations that changed nothing are not stored.
+     * @returns {Promise<string|null>} The journal entry ID, or null if nothing was recorded.
+     */
+    async commit() {
+        if (this.records.length === 0 || !game.user.isGM) return null;
+
+        const entry = {
+            id: foundry.utils.randomID(),
+            label: this.label,
+            userId: game.user.id,
+            timestamp: Date.now(),
+            undone: false,
+            records: this.records
+        };
+
+        const limit = Math.max(1, getSetting("undoHistoryLength"));
+        const journal = [...getJournal(), entry].slice(-limit);
+        await game.settings.set(MODULE_ID, "undoJournal", journal);
+        return entry.id;
+    }
+}
+
+/**
+ * Records the current source values of the keys an update is about to change.
+ * Keys that don't exist yet are recorded for deletion ("-=key").
+ * @param {foundry.abstract.Document} document - The document about to be updated.
+ * @param {object} changes - The update data.
+ * @returns {object} Flattened update data that restores the previous values.
+ */
+function snapshotKeys(document, changes) {
+    const before = {};
+    for (const key of Object.keys(foundry.utils.flattenObject(changes))) {
+        const value = foundry.utils.getProperty(document._source, key);
+        if (value === undefined) {
+            const parts = key.split(".");
+            parts.push(`-=${parts.pop()}`);
+            before[parts.join(".")] = null;
+        } else {
+            before[key] = foundry.utils.deepClone(value);
+        }
+    }
+    return before;
+}
+
+// --- 2. UNDOING ---
+
+/**
+ * Returns the stored undo journal entries, oldest first.
+ * @returns {object[]} The journal entries.
+ */
+export function getJournal() {
+    return getSetting("undoJournal") ?? [];
+}
+
+/**
+ * Reverts one journal entry, undoing its records newest first.
+ * @param {string} entryId - The journal entry ID.
+ * @returns {Promise<boolean>} True if the entry was reverted; false if it wasn't or some of its records failed to revert.
+ */
+export async function undoEntry(entryId) {
+    if (!game.user.isGM) {
+        ui.notifications.warn(localize("Undo.GMOnly"));
+        return false;
+    }
+
+    const journal = getJournal();
+    const entry = journal.find(e => e.id === entryId);
+    if (!entry) {
+        ui.notifications.warn(localize("Undo.NotFound"));
+        return false;
+    }
+    if (entry.undone) {
+        ui.notifications.warn(format("Undo.AlreadyUndone", { label: entry.label }));
+        return false;
+    }
+
+    // Records that fail to revert stay in the entry, so undoing it again retries only those
+    const failed = [];
+    for (const record of [...entry.records].reverse()) {
+        try {
+            await revertRecord(record);
+        } catch (err) {
+            console.error(`PF2e Awesome Macros | Failed to undo part of "${entry.label}":`, record, err);
+            failed.unshift(record);
+        }
+    }
+
+    entry.records = failed;
+    entry.undone = failed.length === 0;
+    await game.settings.set(MODULE_ID, "undoJournal", journal);
+    if (!entry.undone) {
+        ui.notifications.error(format("Undo.PartlyFailed", { label: entry.label, count: failed.length }));
+        return false;
+    }
+    ui.notifications.info(format("Undo.Undid", { label: entry.label }));
+    return true;
+}
+
+/**
+ * Reverts a single record.
+ * @param {object} record - A record created by UndoOperation.
+ */
+async function revertRecord(record) {
+    switch (record.action) {
+        case "update": {
+            const document = await fromUuid(record.uuid);
+            if (document) await document.update(record.before, { diff: false });
+            break;
+        }
+        case "create": {
+            for (const uuid of record.uuids) {
+                const document = await fromUuid(uuid);
+                if (document) await document.delete();
+            }
+            break;
+        }
+        case "delete": {
+            if (record.parentUuid) {
+                const parent = await fromUuid(record.parentUuid);
+                if (parent) await parent.createEmbeddedDocuments(record.documentName, record.data, { keepId: true });
+            } else {
+                const cls = getDocumentClass(record.documentName);
+                await cls.createDocuments(record.data, { keepId: true });
+            }
+            break;
+        }
+    }
+}
+
+/**
+ * Asks for confirmation and undoes the most recent entry that hasn't been undone.
+ * This is the function that the "Undo Last Action" macro calls.
+ */
+export async function undoLastAction() {
+    if (!game.user.isGM) {
+        ui.notifications.warn(localize("Undo.GMOnly"));
+        return;
+    }
+
+    const entry = [...getJournal()].reverse().find(e => !e.undone);
+    if (!entry) {
+        ui.notifications.info(localize("Undo.Nothing"));
+        return;
+    }
+
+    const time = new Date(entry.timestamp).toLocaleTimeString();
+    const confirmed = await Dialog.confirm({
+        title: localize("Macros.undoLastAction"),
+        content: `<p>${format("Undo.Confirm", { label: `<strong>${entry.label}</strong>`, time })}</p>`
+    });
+    if (confirmed) await undoEntry(entry.id);
+}
+
+// --- 3. CHAT INTEGRATION AND REGISTRATION ---
+
+/**
+ * Returns the HTML for an Undo button that reverts a journal entry. Empty if there is no entry.
+ * @param {string|null} entryId - The journal entry ID returned by UndoOperation#commit().
+ * @returns {string} Button HTML.
+ */
+export function undoButtonHTML(entryId) {
+    if (!entryId) return "";
+    return `<button type="button" class="pf2e-awesome-undo" data-undo-id="${entryId}"><i class="fas fa-undo"></i> ${localize("Undo.Button")}</button>`;
+}
+
+/**
+ * Registers the undo journal settings and the chat button handler. Called on the 'init' hook.
+ */
+export function registerUndoJournal() {
+    game.settings.register(MODULE_ID, "undoJournal", {
+        scope: "world",
+        config: false,
+        type: Array,
+        default: []
+    });
+
+    Hooks.on("renderChatMessageHTML", (message, html) => {
+        const button = html.querySelector("button.pf2e-awesome-undo");
+        if (!button) return;
+
+        const entry = getJournal().find(e => e.id === button.dataset.undoId);
+        if (!game.user.isGM || !entry) {
+            button.remove();
+            return;
+        }
+        if (entry.undone) {
+            button.disabled = true;
+            button.innerHTML = `<i class="fas fa-check"></i> ${localize("Undo.Undone")}`;
+            return;
+        }
+
+        button.addEventListener("click", async (event) => {
+            event.preventDefault();
+            button.disabled = true;
+            const undone = await undoEntry(button.dataset.undoId);
+            if (undone) ui.chat.updateMessage(message);
+            else button.disabled = false;
+        });
+    });
+}
@@ -0,0 +1,238 @@
+/**
+ * PF2e Awesome Macros - XP Ledger
+ * Every XP award is written to a ledger on the actor (flags["pf2e-awesome-macros-for-gms"].xpLedger), in the
+ * same update that changes the XP, so undoing an award also removes its ledger entry.
+ * Each entry records { id, timestamp, userId, amount, category, reason, xpBefore, xpAfter }, where category is
+ * 'custom', 'encounter', 'minor', 'moderate', 'major' or 'milestone' (a level-up without XP, see 'leveling.js').
+ * Entries that changed the character's level also record { levelBefore, levelAfter }.
+ * The "XP Ledger" window lists a character's awards and exports the ledgers as CSV or JSON.
+ */
+
+import { MODULE_ID } from './settings.js';
+import { resolveTargets, getPartyMembers } from './party.js';
+import { saveDataToFile } from './journal-to-html-export.js';
+import { localize, format, escape } from './i18n.js';
+
+export const XP_LEDGER_MACRO_NAME = "XP Ledger";
+export const XP_LEDGER_MACRO_ICON = "icons/svg/book.svg";
+
+const LEDGER_FLAG = "xpLedger";
+
+// --- 1. LEDGER DATA ---
+
+/**
+ * Returns an actor's XP ledger, oldest entry first.
+ * @param {Actor} actor - The actor.
+ * @returns {object[]} The ledger entries.
+ */
+export function getXpLedger(actor) {
+    return [...(actor.getFlag(MODULE_ID, LEDGER_FLAG) ?? [])];
+}
+
+/**
+ * Builds the update data that appends an entry to an actor's ledger. Merge it into the XP update.
+ * @param {Actor} actor - The actor receiving the award.
+ * @param {object} award - { amount, category, reason, xpBefore, xpAfter, levelBefore?, levelAfter? }.
+ * @returns {object} Update data for the actor.
+ */
+export function buildLedgerUpdate(actor, { amount, category = "custom", reason = "", xpBefore, xpAfter, levelBefore, levelAfter }) {
+    const entry = {
+        id: foundry.utils.randomID(),
+        timestamp: Date.now(),
+        userId: game.user.id,
+        amount,
+        category,
+        reason,
+        xpBefore,
+        xpAfter
+    };
+    if (levelAfter !== undefined && levelAfter !== levelBefore) Object.assign(entry, { levelBefore, levelAfter });
+    return { [`flags.${MODULE_ID}.${LEDGER_FLAG}`]: [...getXpLedger(actor), entry] };
+}
+
+/**
+ * Returns the localized label of an award category, e.g. "Major accomplishment".
+ * @param {string} category - 'custom', 'encounter', 'minor', 'moderate', 'major' or 'milestone'.
+ * @returns {string} The label.
+ */
+export function categoryLabel(category) {
+    return localize(`AwardXP.Category.${category}`);
+}
+
+// --- 2. EXPORT ---
+
+/**
+ * Quotes a CSV field if needed.
+ */
+function csvField(value) {
+    const text = String(value ?? "");
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exports the XP ledgers of several actors. Dialog-free, so it also backs the scripting API.
+ * @param {object} [params]
+ * @param {Actor[]} [params.actors] - Actors to export; defaults to the party's characters (see 'party.js').
+ * @param {string} [params.format="csv"] - 'csv' (one row per award) or 'json' (one object per actor).
+ * @param {boolean} [params.download=true] - Save the file.
+ * @returns {{fileName: string, content: string, count: number}} The file name, its content and the number of awards.
+ */
+export function exportXpLedger({ actors, format: fileFormat = "csv", download = true } = {}) {
+    actors ??= getPartyMembers({ filter: a => a.type === "character" }).actors;
+    if (!["csv", "json"].includes(fileFormat)) {
+        throw new Error(`PF2e Awesome Macros | exportXpLedger: unknown format "${fileFormat}".`);
+    }
+
+    const ledgers = actors.map(actor => ({ actor: actor.name, uuid: actor.uuid, entries: getXpLedger(actor) }));
+    const count = ledgers.reduce((sum, ledger) => sum + ledger.entries.length, 0);
+
+    let content;
+    if (fileFormat === "json") {
+        content = JSON.stringify(ledgers, null, 2);
+    } else {
+        const header = ["actor", "date", "amount", "category", "reason", "xpBefore", "xpAfter", "levelBefore", "levelAfter", "awardedBy"];
+        const rows = ledgers.flatMap(ledger => ledger.entries.map(entry => [
+            ledger.actor,
+            new Date(entry.timestamp).toISOString(),
+            entry.amount,
+            entry.category,
+            entry.reason,
+            entry.xpBefore,
+            entry.xpAfter,
+            entry.levelBefore,
+            entry.levelAfter,
+            game.users.get(entry.userId)?.name ?? ""
+        ]));
+        content = [header, ...rows].map(row => row.map(csvField).join(",")).join("\n");
+    }
+
+    const fileName = `xp-ledger-${new Date().toISOString().slice(0, 10)}.${fileFormat}`;
+    if (download) {
+        saveDataToFile(content, fileFormat === "json" ? "application/json" : "text/csv", fileName);
+    }
+    return { fileName, content, count };
+}
+
+// --- 3. LEDGER VIEWER ---
+
+const { ApplicationV2 } = foundry.applications.api;
+
+/**
+ * Lists one character's XP awards, newest first, with totals per category.
+ */
+class XpLedgerViewer extends ApplicationV2 {
+    static DEFAULT_OPTIONS = {
+        id: "pf2e-awesome-macros-xp-ledger",
+        classes: ["pf2e-awesome-ledger"],
+        window: {
+            title: "PF2EAM.Ledger.Title",
+            icon: "fas fa-book",
+            resizable: true
+        },
+        position: { width: 560, height: 480 },
+        actions: {
+            selectActor: XpLedgerViewer.#onSelectActor,
+            exportLedger: XpLedgerViewer.#onExport
+        }
+    };
+
+    // UUID of the character whose ledger is shown
+    #actorUuid = null;
+
+    /**
+     * The characters the viewer offers: the current targets, otherwise the party.
+     * @returns {Actor[]} Characters.
+     */
+    get actors() {
+        return resolveTargets({ targeted: true, filter: a => a.type === "character" }).actors;
+    }
+
+    /** @override */
+    async _renderHTML() {
+        const actors = this.actors;
+        if (actors.length === 0) return `<p class="notes">${localize("AwardXP.NoActors")}</p>`;
+
+        const actor = actors.find(a => a.uuid === this.#actorUuid) ?? actors[0];
+        this.#actorUuid = actor.uuid;
+        const ledger = getXpLedger(actor).reverse();
+
+        const chips = actors.map(a => `
+            <a class="pf2e-awesome-ledger-actor ${a === actor ? "active" : ""}" data-action="selectActor" data-uuid="${a.uuid}">
+                <img src="${a.img}" alt=""> ${escape(a.name)}
+            </a>`).join("");
+
+        const totals = {};
+        for (const entry of ledger) totals[entry.category] = (totals[entry.category] ?? 0) + entry.amount;
+        const totalList = Object.entries(totals)
+            .map(([category, xp]) => `<li><span>${escape(categoryLabel(category))}</span><strong>${xp} XP</strong></li>`).join("");
+
+        const rows = ledger.map(entry => `
+            <tr>
+                <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                <td>+${entry.amount}</td>
+                <td>${escape(categoryLabel(entry.category))}</td>
+                <td>${escape(entry.reason)}</td>
+                <td>${entry.xpBefore} &rarr; ${entry.xpAfter}${entry.levelAfter
+                    ? `<br><em>${format("Ledger.LevelChange", { before: entry.levelBefore, after: entry.levelAfter })}</em>` : ""}</td>
+            </tr>`).join("");
+
+        return `
+            <nav class="pf2e-awesome-ledger-actors">${chips}</nav>
+            ${ledger.length === 0 ? `<p class="notes">${format("Ledger.Empty", { name: escape(actor.name) })}</p>` : `
+            <ul class="pf2e-awesome-ledger-totals">${totalList}</ul>
+            <table class="pf2e-awesome-ledger-table">
+                <thead>
+                    <tr>
+                        <th>${localize("Ledger.Columns.Date")}</th>
+                        <th>${localize("Ledger.Columns.Amount")}</th>
+                        <th>${localize("Ledger.Columns.Category")}</th>
+                        <th>${localize("Ledger.Columns.Reason")}</th>
+                        <th>${localize("Ledger.Columns.XP")}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>`}
+            <footer class="pf2e-awesome-ledger-buttons">
+                <button type="button" data-action="exportLedger" data-format="csv"><i class="fas fa-file-csv"></i> ${localize("Ledger.ExportCsv")}</button>
+                <button type="button" data-action="exportLedger" data-format="json"><i class="fas fa-file-code"></i> ${localize("Ledger.ExportJson")}</button>
+            </footer>
+        `;
+    }
+
+    /** @override */
+    _replaceHTML(result, content) {
+        content.innerHTML = result;
+    }
+
+    /**
+     * Shows another character's ledger.
+     */
+    static #onSelectActor(event, target) {
+        this.#actorUuid = target.dataset.uuid;
+        this.render();
+    }
+
+    /**
+     * Exports the ledgers of every character listed in the viewer.
+     */
+    static #onExport(event, target) {
+        const { count } = exportXpLedger({ actors: this.actors, format: target.dataset.format });
+        ui.notifications.info(format("Ledger.Exported", { count }));
+    }
+}
+
+/**
+ * Opens the XP ledger viewer. This is the function that the "XP Ledger" macro calls.
+ */
+export function openXpLedger() {
+    if (!game.user.isGM) {
+        ui.notifications.warn(localize("Ledger.GMOnly"));
+        return;
+    }
+    const existing = foundry.applications.instances.get(XpLedgerViewer.DEFAULT_OPTIONS.id);
+    if (existing) {
+        existing.render({ force: true });
+        return;
+    }
+    new XpLedgerViewer().render(true);
+}